@@ -3,181 +3,177 @@
  * 使用免费的 AI API 进行视频质量检测
  */
 
+import { MAX_SAMPLE_FRAMES } from './sampling.js';
+import { ratioProbability } from './ensemble.js';
+import { getHttpClient, DEFAULT_HTTP_OPTIONS } from './httpClient.js';
+import { readModelConfig, mapModelOutput, mappedIssueTypes } from './modelConfig.js';
+import { pickEvenly } from './mathUtils.js';
+
+// Workers AI 模型
+export const CLOUDFLARE_AI_MODELS = {
+  classification: '@cf/microsoft/resnet-50',
+  detection: '@cf/facebook/detr-resnet-50',
+  vision: '@cf/llava-hf/llava-1.5-7b-hf',
+};
+
+// 视觉语言模型较慢，最多分析的帧数
+const CLOUDFLARE_VISION_MAX_FRAMES = 3;
+
+const VISION_PROMPT = 'Inspect this video frame for quality problems. Answer only with JSON like ' +
+  '{"glitch": false, "colorShift": false, "blur": false}, where glitch means blocky, corrupted, green or pink ' +
+  'artifacts, colorShift means an unnatural color cast, and blur means the image is out of focus.';
+
+// Workers AI 图像分类使用默认的标签映射（ImageNet 标签中的 glitch / corrupt / error）
+const CLOUDFLARE_CLASSIFICATION_CONFIG = readModelConfig();
+
 /**
  * 使用 Hugging Face Inference API 检测
- * 免费 API，无需信用卡
+ * 免费 API，无需信用卡；对页面上传的 JPEG 帧逐帧调用模型，
+ * 模型、任务类型和标签映射见 modelConfig.js（可按部署配置）
+ * @param {Object} [options] - { expectPerson }
+ * @returns {Promise<Object>} { probabilities, details }
  */
-export async function detectWithHuggingFace(videoSamples, metadata, env) {
+export async function detectWithHuggingFace(videoSamples, metadata, env, options = {}) {
   const HF_API_KEY = env.HF_API_KEY || '';
   const baseUrl = 'https://router.huggingface.co/hf-inference/models';
-  
-  const results = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
-    details: [],
-    confidence: 0,
-  };
 
-  try {
-    // 方法1: 使用图像质量评估模型
-    // 注意：需要先将视频帧转换为图像
-    // 这里使用文本/数据分析模型作为示例
-    
-    // 分析视频数据特征
-    const features = extractFeatures(videoSamples, metadata);
-    
-    // 使用简单的规则引擎进行初步检测
-    const ruleBasedResults = ruleBasedDetection(features, metadata);
-    
-    // 如果有 Hugging Face API Key，可以调用实际的模型
-    if (HF_API_KEY) {
-      // 检查是否有提取的视频帧图像
-      const videoFrames = metadata.extractedFrames || [];
-      
-      if (videoFrames.length > 0) {
-        // 对每个帧进行 AI 检测
-        const frameResults = await Promise.all(
-          videoFrames.slice(0, 5).map(async (frameData, index) => {
-            try {
-              return await analyzeFrameWithHF(frameData, HF_API_KEY, baseUrl, index);
-            } catch (error) {
-              console.error(`帧 ${index} 分析失败:`, error);
-              return null;
-            }
-          })
-        );
-
-        // 合并帧检测结果
-        const validResults = frameResults.filter(r => r !== null);
-        if (validResults.length > 0) {
-          const aiDetectedIssues = aggregateFrameResults(validResults);
-          // 合并 AI 检测结果到最终结果
-          Object.assign(results, aiDetectedIssues);
-          results.confidence = Math.max(results.confidence, 0.85);
-          results.details.push(`使用 AI 模型分析了 ${validResults.length} 个视频帧`);
-        }
-      } else {
-        results.details.push('提示：未检测到视频帧图像，使用规则引擎检测');
-      }
-    }
-
-    // 合并规则检测结果
-    Object.assign(results, ruleBasedResults);
-    results.confidence = 0.7;
-    results.details.push('使用规则引擎和数据分析进行检测');
-    results.details.push('提示：完整检测需要视频帧提取，建议使用 FFmpeg 预处理');
-
-    return results;
-  } catch (error) {
-    console.error('Hugging Face 检测错误:', error);
-    results.details.push('AI 检测服务错误: ' + error.message);
-    return results;
+  if (!HF_API_KEY) {
+    throw new Error('Hugging Face API Key 未配置');
   }
-}
 
-/**
- * 使用 Cloudflare AI Workers 检测
- */
-export async function detectWithCloudflareAI(videoSamples, metadata, env) {
+  // 配置无效时直接失败，由注册表记录为检测器错误
+  const config = readModelConfig(env);
+
   const results = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
+    probabilities: {},
     details: [],
-    confidence: 0,
   };
 
-  try {
-    if (!env.AI) {
-      throw new Error('Cloudflare AI 未配置');
-    }
-
-    // 使用 Cloudflare AI Workers
-    // 示例：图像分类
-    // const response = await env.AI.run(
-    //   '@cf/meta/m2m100-1.2b',
-    //   { text: "analyze video quality" }
-    // );
-
-    results.details.push('Cloudflare AI 检测（需要配置相应模型）');
-    results.confidence = 0.8;
-
-    return results;
-  } catch (error) {
-    console.error('Cloudflare AI 检测错误:', error);
-    results.details.push('Cloudflare AI 检测错误: ' + error.message);
+  // 检查是否有提取的视频帧图像
+  const videoFrames = metadata.extractedFrames || [];
+  if (videoFrames.length === 0) {
+    results.details.push('提示：未检测到视频帧图像，未调用 Hugging Face 模型');
     return results;
   }
-}
-
-/**
- * 提取视频特征
- */
-function extractFeatures(samples, metadata) {
-  const features = {
-    dataVariance: [],
-    dataMean: [],
-    fileSize: metadata.size,
-    codec: metadata.codec,
-  };
 
-  samples.forEach(sample => {
-    features.dataVariance.push(sample.variance);
-    features.dataMean.push(sample.mean);
-  });
+  // 对每个帧进行 AI 检测（并发数由共享 HTTP 客户端限制）
+  const frameResults = await Promise.all(
+    videoFrames.slice(0, MAX_SAMPLE_FRAMES).map(async (frameData, index) => {
+      try {
+        return await analyzeFrameWithHF(frameData, HF_API_KEY, baseUrl, index, config, options);
+      } catch (error) {
+        console.error(`帧 ${index} 分析失败:`, error);
+        return null;
+      }
+    })
+  );
 
-  // 计算方差的变化率（可能指示卡顿或花屏）
-  const varianceChanges = [];
-  for (let i = 1; i < features.dataVariance.length; i++) {
-    const change = Math.abs(features.dataVariance[i] - features.dataVariance[i - 1]);
-    varianceChanges.push(change);
+  // 合并帧检测结果
+  const validResults = frameResults.filter(r => r !== null);
+  if (validResults.length === 0) {
+    throw new Error(`${frameResults.length} 个视频帧全部分析失败`);
   }
 
-  features.varianceVolatility = varianceChanges.reduce((a, b) => a + b, 0) / varianceChanges.length;
-  features.maxVarianceChange = Math.max(...varianceChanges);
-
-  return features;
+  const issueTypes = mappedIssueTypes(config, options);
+  results.probabilities = aggregateFrameResults(validResults, issueTypes);
+  results.details.push(`使用 AI 模型 ${config.model}（${config.task}）分析了 ${validResults.length} 个视频帧`);
+  const abstained = issueTypes.filter(issue => !(issue in results.probabilities));
+  if (abstained.length > 0) {
+    results.details.push(`模型输出中没有出现 ${abstained.join('、')} 映射的标签，这些问题类型不参与判定`);
+  }
+  return results;
 }
 
 /**
- * 基于规则的检测
+ * 使用 Cloudflare AI Workers 检测
+ * 对页面上传的 JPEG 帧调用 Workers AI 模型（只依赖 env.AI.run，离线测试时可传入模拟的 AI 绑定）：
+ * - 图像分类：按默认标签映射判定花屏 / 乱码
+ * - 目标检测：要求画面中有人物时，统计没有人物的帧
+ * - 视觉语言模型：要求按 JSON 回答花屏、偏色、模糊，只分析少量帧
+ * 每类问题取各任务给出的最高概率
+ * @param {Object} [options] - { expectPerson }
+ * @returns {Promise<Object>} { probabilities, details }
  */
-function ruleBasedDetection(features, metadata) {
+export async function detectWithCloudflareAI(videoSamples, metadata, env, options = {}) {
+  if (!env.AI) {
+    throw new Error('Cloudflare AI 未配置');
+  }
+
   const results = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
+    probabilities: {},
     details: [],
   };
 
-  // 检测花屏：数据方差异常高
-  if (features.varianceVolatility > 5000) {
-    results.glitch = true;
-    results.details.push('检测到数据异常波动，可能存在花屏问题');
+  const videoFrames = (metadata.extractedFrames || []).slice(0, MAX_SAMPLE_FRAMES);
+  if (videoFrames.length === 0) {
+    results.details.push('提示：未检测到视频帧图像，未调用 Cloudflare AI 模型');
+    return results;
   }
 
-  // 检测乱码：文件头异常或数据模式异常
-  if (!metadata.codec) {
-    results.corruption = true;
-    results.details.push('无法识别视频编码格式，可能存在乱码或文件损坏');
+  const images = videoFrames.map(frameData => [...toUint8Array(frameData)]);
+  const runAll = (model, buildInput, frameIndexes) => Promise.all(
+    frameIndexes.map(async (index) => {
+      try {
+        return await getHttpClient('cloudflare').run(() => env.AI.run(model, buildInput(images[index])));
+      } catch (error) {
+        console.error(`帧 ${index} Cloudflare AI (${model}) 分析失败:`, error);
+        return null;
+      }
+    })
+  );
+
+  const allFrames = images.map((_, index) => index);
+  const visionFrames = pickEvenly(allFrames, CLOUDFLARE_VISION_MAX_FRAMES);
+  const [classifications, detections, descriptions] = await Promise.all([
+    runAll(CLOUDFLARE_AI_MODELS.classification, image => ({ image }), allFrames),
+    options.expectPerson ? runAll(CLOUDFLARE_AI_MODELS.detection, image => ({ image }), allFrames) : [],
+    runAll(CLOUDFLARE_AI_MODELS.vision, image => ({ image, prompt: VISION_PROMPT, max_tokens: 64 }), visionFrames),
+  ]);
+
+  const taskProbabilities = [];
+
+  // 图像分类：标签只能反映花屏 / 乱码
+  const classified = classifications.filter(output => output !== null);
+  if (classified.length > 0) {
+    taskProbabilities.push(aggregateFrameResults(
+      classified.map(output => ({ issues: mapModelOutput(output, CLOUDFLARE_CLASSIFICATION_CONFIG) })),
+      mappedIssueTypes(CLOUDFLARE_CLASSIFICATION_CONFIG)
+    ));
   }
 
-  // 检测卡顿：方差变化过大
-  if (features.maxVarianceChange > 10000) {
-    results.stutter = true;
-    results.details.push('检测到数据不连续性，可能存在卡顿问题');
+  // 目标检测：没有置信度足够的 person 框的帧视为人物缺失
+  const detected = detections.filter(output => output !== null);
+  if (detected.length > 0) {
+    const missing = detected.filter(output =>
+      !(Array.isArray(output) ? output : []).some(item => item.label === 'person' && item.score >= 0.5)
+    ).length;
+    taskProbabilities.push({ missingPerson: ratioProbability(missing, detected.length, 0.3) });
   }
 
-  // 偏色和人物检测需要实际的图像分析，这里只能做基础提示
-  results.details.push('偏色和人物画面检测需要视频帧图像分析');
+  // 视觉语言模型
+  const answers = descriptions.filter(output => output !== null).map(parseVisionAnswer).filter(answer => answer !== null);
+  if (answers.length > 0) {
+    const probabilities = {};
+    ['glitch', 'colorShift', 'blur'].forEach(issue => {
+      probabilities[issue] = ratioProbability(answers.filter(answer => answer[issue]).length, answers.length, 0.3);
+    });
+    taskProbabilities.push(probabilities);
+  }
 
+  const calls = classifications.length + detections.length + descriptions.length;
+  if (classified.length + detected.length + answers.length === 0) {
+    throw new Error(`${calls} 次 Workers AI 调用全部失败或无法解析`);
+  }
+
+  taskProbabilities.forEach(probabilities => {
+    Object.entries(probabilities).forEach(([issue, probability]) => {
+      results.probabilities[issue] = Math.max(results.probabilities[issue] ?? 0, probability);
+    });
+  });
+  results.details.push(
+    `使用 Cloudflare AI 分析了 ${videoFrames.length} 个视频帧` +
+    `（图像分类 ${classified.length} 帧，目标检测 ${detected.length} 帧，视觉语言模型 ${answers.length} 帧）`
+  );
   return results;
 }
 
@@ -187,8 +183,10 @@ function ruleBasedDetection(features, metadata) {
  * @param {string} apiKey - Hugging Face API Key
  * @param {string} baseUrl - API 基础 URL
  * @param {number} frameIndex - 帧索引
+ * @param {Object} config - readModelConfig 的结果
+ * @param {Object} [options] - { expectPerson }
  */
-async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex) {
+async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex, config, options = {}) {
   try {
     let imageData;
 
@@ -202,8 +200,9 @@ async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex) {
     }
 
     // 调用 Hugging Face API（使用二进制图像数据，按照 curl 示例格式）
-    const response = await fetch(
-      `${baseUrl}/google/vit-base-patch16-224`,
+    // 模型冷启动时返回 503 和 estimated_time，由共享客户端按预计加载时间（不超过 maxDelay）等待后重试
+    const response = await getHttpClient('huggingface').fetch(
+      `${baseUrl}/${config.model}`,
       {
         method: 'POST',
         headers: {
@@ -222,11 +221,9 @@ async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex) {
         errorText = `HTTP ${response.status}`;
       }
       
-      // 如果是模型加载中，等待后重试
+      // 重试用尽后模型仍在加载
       if (response.status === 503) {
-        const retryAfter = response.headers.get('Retry-After') || '10';
-        // 可以选择重试逻辑
-        throw new Error(`模型正在加载，请稍后重试 (等待 ${retryAfter} 秒)`);
+        throw new Error(`模型正在加载，重试 ${DEFAULT_HTTP_OPTIONS.maxRetries} 次后仍不可用: ${errorText}`);
       }
       
       throw new Error(`API 请求失败 (${response.status}): ${errorText}`);
@@ -234,11 +231,11 @@ async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex) {
 
     const result = await response.json();
     
-    // 解析模型输出，检测视频质量问题
+    // 按标签映射表把模型输出转换为问题标记
     return {
       frameIndex,
       rawResult: result,
-      issues: parseModelOutput(result),
+      issues: mapModelOutput(result, config, options),
     };
   } catch (error) {
     console.error(`帧 ${frameIndex} AI 分析错误:`, error);
@@ -247,115 +244,195 @@ async function analyzeFrameWithHF(frameData, apiKey, baseUrl, frameIndex) {
 }
 
 /**
- * 解析模型输出，识别视频质量问题
+ * 解析视觉语言模型的回答（{ description } 或 { response }），优先读取 JSON，否则按 "key: true" 匹配
+ * @returns {Object|null} { glitch, colorShift, blur }；无法解析时为 null
  */
-function parseModelOutput(modelResult) {
-  const issues = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
-  };
-
-  // 如果返回的是分类结果数组
-  if (Array.isArray(modelResult)) {
-    const labels = modelResult.map(item => 
-      item.label ? item.label.toLowerCase() : ''
-    ).join(' ');
-
-    // 检测花屏相关关键词
-    if (labels.includes('glitch') || labels.includes('corrupt') || labels.includes('error')) {
-      issues.glitch = true;
-      issues.corruption = true;
-    }
-
-    // 检测人物相关
-    if (!labels.includes('person') && !labels.includes('human') && !labels.includes('face')) {
-      // 如果预期有人物但未检测到，可能存在问题
-      // 这里需要根据实际场景调整
+function parseVisionAnswer(output) {
+  const text = typeof output === 'string' ? output : (output && (output.description || output.response)) || '';
+  const keys = ['glitch', 'colorShift', 'blur'];
+
+  const match = text.match(/\{[\s\S]*?\}/);
+  if (match) {
+    try {
+      const answer = JSON.parse(match[0]);
+      if (keys.some(key => typeof answer[key] === 'boolean')) {
+        return Object.fromEntries(keys.map(key => [key, answer[key] === true]));
+      }
+    } catch (error) {
+      // 不是合法 JSON，继续按关键词匹配
     }
   }
 
-  // 如果返回的是单个对象
-  if (modelResult.label) {
-    const label = modelResult.label.toLowerCase();
-    if (label.includes('glitch') || label.includes('corrupt')) {
-      issues.glitch = true;
-      issues.corruption = true;
-    }
-  }
+  const found = keys.filter(key => new RegExp(`"?${key}"?\\s*[:=]\\s*(true|false)`, 'i').test(text));
+  if (found.length === 0) return null;
+  return Object.fromEntries(keys.map(key => [key, new RegExp(`"?${key}"?\\s*[:=]\\s*true`, 'i').test(text)]));
+}
 
-  return issues;
+function toUint8Array(frameData) {
+  if (frameData instanceof Uint8Array) return frameData;
+  if (frameData instanceof ArrayBuffer) return new Uint8Array(frameData);
+  throw new Error('不支持的帧数据格式，需要 Uint8Array 或 ArrayBuffer');
 }
 
 /**
  * 聚合多个帧的检测结果
+ * @param {Array<Object>} frameResults - [{ issues }]，issues 中省略的类型表示该帧弃权
+ * @param {Array<string>} issueTypes - 参与统计的问题类型
+ * @returns {Object} { 问题类型: 概率 }，所有帧都弃权的类型省略
  */
-function aggregateFrameResults(frameResults) {
-  const aggregated = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
-  };
-
-  // 统计每个问题的出现次数
-  const issueCounts = {
-    glitch: 0,
-    corruption: 0,
-    stutter: 0,
-    colorShift: 0,
-    missingPerson: 0,
-  };
+function aggregateFrameResults(frameResults, issueTypes) {
+  // 统计每个问题的出现次数，以及有多少帧给出了判定
+  const issueCounts = Object.fromEntries(issueTypes.map(issue => [issue, 0]));
+  const answered = Object.fromEntries(issueTypes.map(issue => [issue, 0]));
 
   frameResults.forEach(result => {
     if (result && result.issues) {
       Object.keys(result.issues).forEach(issue => {
-        if (result.issues[issue]) {
-          issueCounts[issue]++;
-        }
+        if (!(issue in issueCounts)) return;
+        answered[issue]++;
+        if (result.issues[issue]) issueCounts[issue]++;
       });
     }
   });
 
-  // 如果超过 30% 的帧检测到问题，则认为存在该问题
-  const threshold = frameResults.length * 0.3;
-  Object.keys(aggregated).forEach(issue => {
-    if (issueCounts[issue] > threshold) {
-      aggregated[issue] = true;
-    }
+  // 按出现问题的帧比例计算概率，超过 30% 的帧时概率超过 0.5；
+  // 模型只要在某一帧输出过映射的标签，其余帧也按没有问题计
+  const probabilities = {};
+  Object.keys(issueCounts).forEach(issue => {
+    if (answered[issue] === 0) return;
+    probabilities[issue] = ratioProbability(issueCounts[issue], frameResults.length, 0.3);
   });
-
-  return aggregated;
+  return probabilities;
 }
 
 /**
- * 使用 OpenAI API（如果用户有免费额度）
+ * 使用 OpenAI 兼容的视觉对话接口（视觉语言模型）检测
+ * 逐帧发送 JPEG 图像和结构化提示，模型以 JSON 返回问题标记和一句说明，说明写入 details。
+ * OPENAI_BASE_URL 可指向任何兼容 /chat/completions 的服务（如本地的替身服务，此时可不配置 API Key）
+ * @param {Object} [options] - { expectPerson }
+ * @returns {Promise<Object>} { probabilities, details }
  */
-export async function detectWithOpenAI(videoSamples, metadata, env) {
-  const OPENAI_API_KEY = env.OPENAI_API_KEY;
-  
-  if (!OPENAI_API_KEY) {
+export async function detectWithOpenAI(videoSamples, metadata, env, options = {}) {
+  const OPENAI_API_KEY = env.OPENAI_API_KEY || '';
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  if (!OPENAI_API_KEY && !env.OPENAI_BASE_URL) {
     throw new Error('OpenAI API Key 未配置');
   }
 
-  // 注意：OpenAI API 需要付费，但新用户有免费额度
-  // 这里提供接口，但实际使用需要将视频帧转换为图像
-  
   const results = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
+    probabilities: {},
     details: [],
-    confidence: 0,
   };
 
-  results.details.push('OpenAI API 检测（需要配置 API Key 和视频帧提取）');
-  
+  const videoFrames = (metadata.extractedFrames || []).slice(0, MAX_SAMPLE_FRAMES);
+  if (videoFrames.length === 0) {
+    results.details.push('提示：未检测到视频帧图像，未调用视觉语言模型');
+    return results;
+  }
+
+  const issueKeys = options.expectPerson ? [...VLM_ISSUES, 'missingPerson'] : VLM_ISSUES;
+  const prompt = buildVLMPrompt(options.expectPerson);
+  const answers = await Promise.all(
+    videoFrames.map(async (frameData, index) => {
+      try {
+        return await analyzeFrameWithVLM(frameData, { apiKey: OPENAI_API_KEY, baseUrl, model, prompt, issueKeys });
+      } catch (error) {
+        console.error(`帧 ${index} 视觉语言模型分析失败:`, error);
+        return null;
+      }
+    })
+  );
+
+  const valid = answers.filter(answer => answer !== null);
+  if (valid.length === 0) {
+    throw new Error(`${answers.length} 个视频帧全部分析失败`);
+  }
+
+  issueKeys.forEach(issue => {
+    results.probabilities[issue] = ratioProbability(valid.filter(answer => answer.issues[issue]).length, valid.length, 0.3);
+  });
+  results.details.push(`使用视觉语言模型 ${model} 分析了 ${valid.length} 个视频帧`);
+  answers.forEach((answer, index) => {
+    if (answer && answer.explanation) {
+      results.details.push(`第 ${index} 帧: ${answer.explanation}`);
+    }
+  });
   return results;
 }
 
+// 视觉语言模型判定的问题类型（要求画面中有人物时再加上 missingPerson）
+const VLM_ISSUES = ['glitch', 'colorShift', 'blur'];
+
+/**
+ * 结构化提示：说明每个字段的含义，要求只输出 JSON，说明用中文并指出位置
+ */
+function buildVLMPrompt(expectPerson) {
+  const fields = [
+    '"glitch": blocky compression artifacts, corrupted areas, or green/pink blocks',
+    '"colorShift": an unnatural color cast over the whole frame',
+    '"blur": the main subject is out of focus or motion-blurred',
+  ];
+  if (expectPerson) {
+    fields.push('"missingPerson": no person is visible, or the person is cut off by the frame edge or largely occluded');
+  }
+  return 'You are a video quality inspector. Inspect this frame and answer ONLY with a JSON object containing ' +
+    'boolean fields:\n' + fields.map(field => '- ' + field).join('\n') + '\n' +
+    'and "explanation": one short sentence in Simplified Chinese describing the defects and where they are ' +
+    '(e.g. "左下角有绿色色块"), or an empty string if the frame looks fine.';
+}
+
+/**
+ * 调用 OpenAI 兼容接口分析单个视频帧
+ * @returns {Promise<Object>} { issues, explanation }
+ */
+async function analyzeFrameWithVLM(frameData, config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await getHttpClient('openai').fetch(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: config.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: config.prompt },
+          { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${toBase64(toUint8Array(frameData))}` } },
+        ],
+      }],
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`视觉语言模型请求失败 (${response.status})`);
+  }
+
+  const output = await response.json();
+  const content = output.choices && output.choices[0] && output.choices[0].message
+    ? output.choices[0].message.content
+    : '';
+  const match = typeof content === 'string' ? content.match(/\{[\s\S]*\}/) : null;
+  if (!match) {
+    throw new Error('视觉语言模型没有返回 JSON');
+  }
+
+  const answer = JSON.parse(match[0]);
+  return {
+    issues: Object.fromEntries(config.issueKeys.map(key => [key, answer[key] === true])),
+    explanation: typeof answer.explanation === 'string' ? answer.explanation.trim() : '',
+  };
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,116 @@
+/**
+ * 音频轨道质量分析
+ * Worker 端基于容器元数据检查音频缺失和音视频时长不一致（口型不同步），
+ * 静音和削波由页面端 Web Audio 解码后上报，这里负责校验和汇总
+ */
+
+import { round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_AUDIO_OPTIONS = {
+  durationTolerance: 0.2, // 音视频时长差超过该值（秒）视为不一致
+  minSilence: 2,          // 静音段最短时长（秒）
+  maxClippedRatio: 0.001, // 削波采样占比超过该值视为削波
+  maxEvents: 20,          // 每类事件最多返回的时间段数
+};
+
+/**
+ * 分析音频轨道
+ * @param {Array<Object>} tracks - 容器解析得到的轨道列表
+ * @param {Object|null} clientAnalysis - 页面端 Web Audio 分析结果
+ * @param {Object} [options] - 见 DEFAULT_AUDIO_OPTIONS
+ * @returns {Object} 音频信息、静音段、削波段、是否存在问题
+ */
+export function analyzeAudio(tracks, clientAnalysis, options = {}) {
+  const settings = { ...DEFAULT_AUDIO_OPTIONS, ...options };
+  const videoTrack = tracks.find(track => track.type === 'video');
+  const audioTrack = tracks.find(track => track.type === 'audio');
+
+  const result = {
+    hasAudioTrack: Boolean(audioTrack),
+    audioCodec: audioTrack ? audioTrack.codec : null,
+    audioDuration: audioTrack ? audioTrack.duration : null,
+    videoDuration: videoTrack ? videoTrack.duration : null,
+    durationDiff: null,
+    silentRanges: [],
+    clippedRanges: [],
+    clippedRatio: 0,
+    clientAnalyzed: false,
+    hasIssue: false,
+    details: [],
+  };
+
+  if (!audioTrack) {
+    // 纯音频文件或容器无法识别时不报缺失
+    if (videoTrack) {
+      result.hasIssue = true;
+      result.details.push('视频缺少音频轨道');
+    }
+    return result;
+  }
+
+  if (result.audioDuration && result.videoDuration) {
+    result.durationDiff = round(result.audioDuration - result.videoDuration);
+    if (Math.abs(result.durationDiff) > settings.durationTolerance) {
+      result.hasIssue = true;
+      result.details.push(
+        `音频${result.durationDiff > 0 ? '比视频长' : '比视频短'} ${Math.abs(result.durationDiff)}s ` +
+        `（容差 ${settings.durationTolerance}s），可能存在音画不同步`
+      );
+    }
+  }
+
+  if (clientAnalysis && !clientAnalysis.error) {
+    applyClientAnalysis(result, clientAnalysis, settings);
+  }
+
+  return result;
+}
+
+/**
+ * 汇总页面端上报的静音和削波结果
+ */
+function applyClientAnalysis(result, clientAnalysis, settings) {
+  result.clientAnalyzed = true;
+
+  result.silentRanges = sanitizeRanges(clientAnalysis.silentRanges)
+    .filter(range => range.end - range.start >= settings.minSilence)
+    .slice(0, settings.maxEvents);
+  result.clippedRanges = sanitizeRanges(clientAnalysis.clippedRanges).slice(0, settings.maxEvents);
+
+  const totalSamples = Number(clientAnalysis.totalSamples) || 0;
+  const clippedSamples = Number(clientAnalysis.clippedSamples) || 0;
+  result.clippedRatio = totalSamples > 0 ? clippedSamples / totalSamples : 0;
+
+  if (result.silentRanges.length > 0) {
+    const total = result.silentRanges.reduce((sum, range) => sum + range.end - range.start, 0);
+    result.hasIssue = true;
+    result.details.push(
+      `检测到 ${result.silentRanges.length} 段长时间静音（共 ${round(total)}s）: ` +
+      result.silentRanges.map(formatRange).join(', ')
+    );
+  }
+
+  if (result.clippedRatio > settings.maxClippedRatio) {
+    result.hasIssue = true;
+    result.details.push(
+      `${(result.clippedRatio * 100).toFixed(3)}% 的音频采样削波: ` +
+      result.clippedRanges.map(formatRange).join(', ')
+    );
+  }
+}
+
+/**
+ * 校验页面端上报的时间段
+ */
+function sanitizeRanges(ranges) {
+  if (!Array.isArray(ranges)) return [];
+  return ranges
+    .map(range => ({ start: Number(range.start), end: Number(range.end) }))
+    .filter(range => Number.isFinite(range.start) && Number.isFinite(range.end) && range.end > range.start)
+    .map(range => ({ start: round(range.start), end: round(range.end) }));
+}
+
+function formatRange(range) {
+  return `${range.start}s - ${range.end}s`;
+}
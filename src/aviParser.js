@@ -0,0 +1,456 @@
+/**
+ * RIFF/AVI 容器解析
+ * 遍历 RIFF 块结构，读取 avih/strh/strf，并用 idx1 索引交叉校验 movi 数据块
+ * hdrl 和 idx1 整体载入内存后解析；movi 只逐个读取数据块头，跳过帧数据
+ */
+
+import { isScanExhausted, loadRegion, readView, rebase } from './byteSource.js';
+
+// 每类问题最多列出的具体条目数
+const MAX_REPORTED_ENTRIES = 10;
+
+// idx1 关键帧标记
+const AVIIF_KEYFRAME = 0x10;
+
+// strh 流类型到轨道类型的映射
+const STREAM_TYPES = {
+  vids: 'video',
+  auds: 'audio',
+  txts: 'subtitle',
+  mids: 'midi',
+};
+
+// 常见视频 FourCC 对应的名称
+export const CODEC_NAMES = {
+  H264: 'H.264/AVC',
+  h264: 'H.264/AVC',
+  X264: 'H.264/AVC',
+  avc1: 'H.264/AVC',
+  HEVC: 'H.265/HEVC',
+  XVID: 'MPEG-4 Visual (Xvid)',
+  xvid: 'MPEG-4 Visual (Xvid)',
+  DIVX: 'MPEG-4 Visual (DivX)',
+  DX50: 'MPEG-4 Visual (DivX)',
+  FMP4: 'MPEG-4 Visual',
+  MJPG: 'Motion JPEG',
+};
+
+// WAVEFORMATEX wFormatTag 对应的音频编码
+const AUDIO_FORMATS = {
+  0x0001: 'PCM',
+  0x0003: 'PCM (float)',
+  0x0050: 'MP2',
+  0x0055: 'MP3',
+  0x00FF: 'AAC',
+  0x2000: 'AC-3',
+};
+
+/**
+ * 判断文件头是否为 RIFF 格式（不区分 AVI/WAV 等表单类型）
+ * @param {Uint8Array} header - 文件头（至少 4 字节）
+ */
+export function isRIFF(header) {
+  return header.length >= 4 && readFourCC(header, 0) === 'RIFF';
+}
+
+/**
+ * 判断文件头是否为 AVI 文件（RIFF 表单类型为 "AVI "）
+ * @param {Uint8Array} header - 文件头（至少 12 字节）
+ */
+export function isAVI(header) {
+  return header.length >= 12 && isRIFF(header) && readFourCC(header, 8) === 'AVI ';
+}
+
+/**
+ * 读取 RIFF 表单类型（如 "AVI "、"WAVE"）
+ * @param {Uint8Array} header - 文件头（至少 12 字节）
+ */
+export function getRIFFFormType(header) {
+  return header.length >= 12 ? readFourCC(header, 8) : null;
+}
+
+/**
+ * 解析 AVI 文件
+ * @param {Object} source - 字节源 { size, read(offset, length) }，见 byteSource.js
+ * @returns {Promise<Object>} 容器信息（时长、帧数、轨道、索引校验结果、结构错误）；scanStoppedAt 为 movi 扫描达到读取上限时停止的偏移
+ */
+export async function parseAVI(source) {
+  const result = {
+    duration: null,
+    frameRate: null,
+    totalFrames: null,
+    tracks: [],
+    index: {
+      present: false,
+      entryCount: 0,
+      keyframeCount: 0,
+      moviChunkCount: 0,
+      missingChunks: 0,
+      mismatchedChunks: 0,
+      unindexedChunks: 0,
+    },
+    scanStoppedAt: null,
+    errors: [],
+  };
+
+  const riff = source.size >= 12 ? readChunkHeader(await readView(source, 0, 12), 0, source.size, result.errors) : null;
+  if (!riff || riff.id !== 'RIFF' || riff.listType !== 'AVI ') {
+    result.errors.push(`RIFF 表单类型为 "${riff ? riff.listType : '?'}"，不是 AVI 视频`);
+    return result;
+  }
+
+  // 数据流只能顺序读取，hdrl、movi、idx1 在扫描经过时立即读取
+  let hdrl = null;
+  let movi = null;
+  let moviChunks = [];
+  let idx1 = null;
+  let idx1View = null;
+  await scanChunks(source, riff.dataStart + 4, riff.end, result.errors, async (chunk) => {
+    if (chunk.listType === 'hdrl' && !hdrl) {
+      hdrl = chunk;
+      const view = await loadRegion(source, hdrl.start, hdrl.end, 'hdrl 列表', result.errors);
+      if (view) parseHeaderList(view, rebase(hdrl), result);
+    } else if (chunk.listType === 'movi' && !movi) {
+      movi = chunk;
+      moviChunks = await collectMoviChunks(source, movi, result);
+    } else if (chunk.id === 'idx1' && !idx1) {
+      idx1 = chunk;
+      idx1View = await loadRegion(source, idx1.start, idx1.end, 'idx1 索引', result.errors);
+    }
+  });
+
+  if (!hdrl) {
+    result.errors.push('缺少 hdrl 列表，无法读取视频头信息');
+  }
+
+  if (!movi) {
+    result.errors.push('缺少 movi 列表，文件中没有媒体数据');
+    return result;
+  }
+
+  result.index.moviChunkCount = moviChunks.length;
+  // 只扫描了部分 movi 时块数量不是帧数
+  if (result.scanStoppedAt === null) {
+    countStreamSamples(moviChunks, result);
+  }
+
+  if (idx1) {
+    if (idx1View) validateIndex(idx1View, rebase(idx1), movi, moviChunks, result);
+  } else {
+    // OpenDML (AVI 2.0) 文件可以只有 indx/ix## 索引
+    const hasOpenDMLIndex = moviChunks.some(chunk => chunk.id.startsWith('ix'));
+    if (!hasOpenDMLIndex) {
+      result.errors.push('缺少 idx1 索引，播放器无法快速定位帧');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 读取指定范围内的同级 RIFF 块
+ * @param {DataView} view - 数据视图
+ * @param {number} start - 起始偏移
+ * @param {number} end - 结束偏移
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @returns {Array<Object>} 块列表（LIST/RIFF 块带 listType）
+ */
+export function readChunks(view, start, end, errors = []) {
+  const chunks = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const chunk = readChunkHeader(view, offset, end, errors);
+    chunks.push(chunk);
+
+    // 块数据按 2 字节对齐
+    offset = chunk.dataStart + chunk.size + (chunk.size % 2);
+  }
+
+  return chunks;
+}
+
+/**
+ * 从字节源逐个读取同级块的头部（不读取块内容）
+ * @param {Function} [onChunk] - 每读到一个块调用一次（async），返回后才读取下一个块的头部；返回 false 时停止扫描
+ * @returns {Promise<Array<Object>>} 块列表（偏移为文件中的绝对偏移）
+ */
+async function scanChunks(source, start, end, errors, onChunk) {
+  const chunks = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    // 块头 8 字节，LIST/RIFF 另有 4 字节列表类型
+    const header = await readView(source, offset, Math.min(offset + 12, end));
+    const chunk = readChunkHeader(header, 0, end - offset, errors);
+    const absolute = { ...chunk, start: offset, dataStart: offset + chunk.dataStart, end: offset + chunk.end };
+    chunks.push(absolute);
+    if (onChunk && await onChunk(absolute) === false) break;
+
+    offset += chunk.dataStart + chunk.size + (chunk.size % 2);
+  }
+
+  return chunks;
+}
+
+/**
+ * 读取单个块的头部（ID、大小，LIST/RIFF 块的列表类型）
+ */
+function readChunkHeader(view, offset, end, errors) {
+  const id = readFourCC(view, offset);
+  const size = view.getUint32(offset + 4, true);
+  const dataStart = offset + 8;
+  const truncated = dataStart + size > end;
+
+  if (truncated) {
+    errors.push(`块 "${id}" 被截断：声明 ${size} 字节，实际仅剩 ${end - dataStart} 字节`);
+  }
+
+  const chunk = {
+    id,
+    start: offset,
+    size,
+    dataStart,
+    end: Math.min(dataStart + size, end),
+    listType: null,
+    truncated,
+  };
+  if ((id === 'LIST' || id === 'RIFF') && dataStart + 4 <= end) {
+    chunk.listType = readFourCC(view, dataStart);
+  }
+  return chunk;
+}
+
+/**
+ * 解析 hdrl：avih 主头和每个 strl 流头
+ */
+function parseHeaderList(view, hdrl, result) {
+  const children = readChunks(view, hdrl.dataStart + 4, hdrl.end, result.errors);
+  const avih = children.find(chunk => chunk.id === 'avih');
+  let microSecPerFrame = 0;
+
+  if (avih && avih.end - avih.dataStart >= 40) {
+    microSecPerFrame = view.getUint32(avih.dataStart, true);
+    result.totalFrames = view.getUint32(avih.dataStart + 16, true);
+  } else {
+    result.errors.push('缺少 avih 主头或长度不足');
+  }
+
+  children
+    .filter(chunk => chunk.listType === 'strl')
+    .forEach((strl, index) => {
+      result.tracks.push(parseStreamList(view, strl, index, result.errors));
+    });
+
+  const videoTrack = result.tracks.find(track => track.type === 'video');
+  if (videoTrack && videoTrack.frameRate) {
+    result.frameRate = videoTrack.frameRate;
+  } else if (microSecPerFrame > 0) {
+    result.frameRate = Math.round((1e6 / microSecPerFrame) * 100) / 100;
+  }
+
+  const frames = result.totalFrames || (videoTrack && videoTrack.sampleCount);
+  if (frames && result.frameRate) {
+    result.duration = frames / result.frameRate;
+  }
+}
+
+/**
+ * 解析 strl：strh 流头和 strf 格式
+ */
+function parseStreamList(view, strl, index, errors) {
+  const track = {
+    id: index,
+    type: 'unknown',
+    codec: null,
+    codecName: null,
+    duration: null,
+    width: null,
+    height: null,
+    sampleCount: null,
+    frameRate: null,
+    sampleRate: null,
+    channelCount: null,
+  };
+
+  const children = readChunks(view, strl.dataStart + 4, strl.end, errors);
+  const strh = children.find(chunk => chunk.id === 'strh');
+  const strf = children.find(chunk => chunk.id === 'strf');
+
+  if (!strh || strh.end - strh.dataStart < 36) {
+    errors.push(`流 ${index} 缺少 strh 流头或长度不足`);
+    return track;
+  }
+
+  const fccType = readFourCC(view, strh.dataStart);
+  const handler = readFourCC(view, strh.dataStart + 4);
+  const scale = view.getUint32(strh.dataStart + 20, true);
+  const rate = view.getUint32(strh.dataStart + 24, true);
+  const length = view.getUint32(strh.dataStart + 32, true);
+
+  track.type = STREAM_TYPES[fccType] || fccType;
+
+  if (track.type === 'video') {
+    track.codec = handler.replace(/\0/g, '').trim() || null;
+    track.sampleCount = length;
+    if (scale > 0 && rate > 0) {
+      track.frameRate = Math.round((rate / scale) * 100) / 100;
+      track.duration = length / (rate / scale);
+    }
+    // BITMAPINFOHEADER：biWidth、biHeight、biCompression
+    if (strf && strf.end - strf.dataStart >= 20) {
+      track.width = view.getInt32(strf.dataStart + 4, true);
+      track.height = Math.abs(view.getInt32(strf.dataStart + 8, true));
+      const compression = readFourCC(view, strf.dataStart + 16).replace(/\0/g, '').trim();
+      if (compression) {
+        track.codec = compression;
+      }
+    }
+    track.codecName = CODEC_NAMES[track.codec] || null;
+  } else if (track.type === 'audio') {
+    // WAVEFORMATEX：wFormatTag、nChannels、nSamplesPerSec
+    if (strf && strf.end - strf.dataStart >= 8) {
+      const formatTag = view.getUint16(strf.dataStart, true);
+      track.codec = `0x${formatTag.toString(16).padStart(4, '0')}`;
+      track.codecName = AUDIO_FORMATS[formatTag] || null;
+      track.channelCount = view.getUint16(strf.dataStart + 2, true);
+      track.sampleRate = view.getUint32(strf.dataStart + 4, true);
+    }
+    if (scale > 0 && rate > 0) {
+      track.duration = length / (rate / scale);
+    }
+  }
+
+  return track;
+}
+
+/**
+ * 收集 movi 中的数据块（展开 "rec " 子列表）
+ * 读取次数达到上限时停止，result.scanStoppedAt 记录停止的偏移
+ */
+async function collectMoviChunks(source, movi, result) {
+  const chunks = [];
+  await scanChunks(source, movi.dataStart + 4, movi.end, result.errors, async (chunk) => {
+    if (isScanExhausted(source)) {
+      result.scanStoppedAt = chunk.start;
+      return false;
+    }
+    if (chunk.listType === 'rec ') {
+      chunks.push(...await scanChunks(source, chunk.dataStart + 4, chunk.end, result.errors));
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  return chunks;
+}
+
+/**
+ * 按流编号统计 movi 中的块数量（"00dc" → 流 0）
+ */
+function countStreamSamples(moviChunks, result) {
+  const counts = {};
+  moviChunks.forEach(chunk => {
+    const stream = parseInt(chunk.id.slice(0, 2), 10);
+    if (!Number.isNaN(stream)) {
+      counts[stream] = (counts[stream] || 0) + 1;
+    }
+  });
+
+  result.tracks.forEach(track => {
+    if (track.type === 'video' && counts[track.id] !== undefined && !track.sampleCount) {
+      track.sampleCount = counts[track.id];
+    }
+  });
+}
+
+/**
+ * 用 idx1 索引交叉校验 movi 数据块
+ */
+function validateIndex(view, idx1, movi, moviChunks, result) {
+  const index = result.index;
+  const entryCount = Math.floor((idx1.end - idx1.dataStart) / 16);
+  const chunksByOffset = new Map(moviChunks.map(chunk => [chunk.start, chunk]));
+  const indexedOffsets = new Set();
+  const details = [];
+
+  index.present = true;
+  index.entryCount = entryCount;
+
+  if (entryCount === 0) {
+    result.errors.push('idx1 索引为空');
+    return;
+  }
+
+  // idx1 偏移通常相对 "movi" 标识位置，部分编码器写入文件绝对偏移
+  const firstOffset = view.getUint32(idx1.dataStart + 8, true);
+  const base = chunksByOffset.has(movi.dataStart + firstOffset) ? movi.dataStart : 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    const entryStart = idx1.dataStart + i * 16;
+    const id = readFourCC(view, entryStart);
+    const flags = view.getUint32(entryStart + 4, true);
+    const offset = base + view.getUint32(entryStart + 8, true);
+    const length = view.getUint32(entryStart + 12, true);
+
+    if (flags & AVIIF_KEYFRAME) {
+      index.keyframeCount++;
+    }
+
+    if (offset < movi.dataStart + 4 || offset + 8 + length > movi.end) {
+      index.missingChunks++;
+      if (details.length < MAX_REPORTED_ENTRIES) {
+        details.push(`idx1 第 ${i} 项 (${id}) 指向偏移 ${offset}，超出 movi 范围 [${movi.dataStart + 4}, ${movi.end})`);
+      }
+      continue;
+    }
+
+    const chunk = chunksByOffset.get(offset);
+    // movi 只扫描到 scanStoppedAt，之后的数据块无法校验
+    if (!chunk && result.scanStoppedAt !== null && offset >= result.scanStoppedAt) {
+      continue;
+    }
+    if (!chunk) {
+      index.missingChunks++;
+      if (details.length < MAX_REPORTED_ENTRIES) {
+        details.push(`idx1 第 ${i} 项 (${id}) 指向偏移 ${offset}，该位置没有数据块`);
+      }
+      continue;
+    }
+
+    indexedOffsets.add(offset);
+    if (chunk.id !== id || chunk.size !== length) {
+      index.mismatchedChunks++;
+      if (details.length < MAX_REPORTED_ENTRIES) {
+        details.push(`idx1 第 ${i} 项记录为 ${id}/${length} 字节，实际数据块为 ${chunk.id}/${chunk.size} 字节`);
+      }
+    }
+  }
+
+  // 未被索引的音视频数据块（不含 JUNK、ix## 等）
+  index.unindexedChunks = moviChunks.filter(chunk =>
+    /^\d\d(dc|db|wb|pc|tx)$/.test(chunk.id) && !indexedOffsets.has(chunk.start)
+  ).length;
+
+  result.errors.push(...details);
+  if (index.missingChunks > 0) {
+    result.errors.push(`idx1 中共 ${index.missingChunks} 项指向缺失或越界的数据块`);
+  }
+  if (index.mismatchedChunks > 0) {
+    result.errors.push(`idx1 中共 ${index.mismatchedChunks} 项与实际数据块的 ID 或大小不符`);
+  }
+  if (index.unindexedChunks > 0) {
+    result.errors.push(`movi 中有 ${index.unindexedChunks} 个数据块未被 idx1 索引`);
+  }
+}
+
+/**
+ * 读取 4 字节 ASCII 标识
+ * @param {DataView|Uint8Array} source - 数据源
+ * @param {number} offset - 偏移
+ */
+function readFourCC(source, offset) {
+  const byteAt = source instanceof DataView
+    ? (i) => source.getUint8(offset + i)
+    : (i) => source[offset + i];
+  return String.fromCharCode(byteAt(0), byteAt(1), byteAt(2), byteAt(3));
+}
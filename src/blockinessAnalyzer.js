@@ -0,0 +1,316 @@
+/**
+ * 块效应 / 花屏分析
+ * 基于帧像素计算 8x8 / 16x16 块边界不连续度，检测解码错误产生的绿块/粉块和纹理丢失的涂抹区域，
+ * 输出每帧分数和热力图式的区域列表
+ */
+
+import { toLuma, regionGrid, toVideoRect } from './imageUtils.js';
+import { round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_BLOCKINESS_OPTIONS = {
+  blockinessThreshold: 1.4,   // 块边界与块内梯度之比超过该值视为块效应
+  greenPinkThreshold: 0.005,  // 绿块/粉块占比超过该值视为解码错误
+  smearThreshold: 0.15,       // 涂抹块占比超过该值视为涂抹
+  gridCols: 8,                // 热力图区域列数
+  gridRows: 8,                // 热力图区域行数
+  maxRegions: 16,             // 每帧最多返回的区域数
+  frameRatio: 0.3,            // 超过该比例的帧存在块效应或涂抹时判定为花屏
+};
+
+// 块内亮度方差低于该值视为平坦块
+const FLAT_VARIANCE = 4;
+// 相邻平坦块亮度差超过该值视为台阶
+const STEP_DIFF = 6;
+// 绿块/粉块的通道差
+const TINT_DIFF = 50;
+// 分析分辨率下块尺寸小于该像素数时无法定位块边界
+const MIN_BLOCK_STEP = 3;
+
+/**
+ * 分析多帧的块效应
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale, data: RGBA, blockCrop }
+ * @param {Object} [options] - 见 DEFAULT_BLOCKINESS_OPTIONS
+ * @returns {Object} 每帧结果、问题帧下标、未分析的帧下标、是否花屏
+ */
+export function analyzeBlockiness(frames, options = {}) {
+  const settings = { ...DEFAULT_BLOCKINESS_OPTIONS, ...options };
+  const result = {
+    frames: frames.map(frame => analyzeFrameBlockiness(frame, settings)),
+    artifactFrames: [],
+    skippedFrames: [],
+    hasGlitch: false,
+    details: [],
+  };
+
+  result.artifactFrames = result.frames.filter(frame => frame.hasArtifacts).map(frame => frame.frameIndex);
+  result.skippedFrames = result.frames.filter(frame => frame.skipped).map(frame => frame.frameIndex);
+  const hasGreenPink = result.frames.some(frame => frame.greenPinkRatio > settings.greenPinkThreshold);
+  // 未分析的帧不计入比例
+  const analyzedCount = result.frames.length - result.skippedFrames.length;
+  result.hasGlitch = hasGreenPink ||
+    (analyzedCount > 0 && result.artifactFrames.length > analyzedCount * settings.frameRatio);
+
+  result.frames.filter(frame => frame.hasArtifacts).forEach(frame => {
+    const time = frame.time !== null ? ` (${frame.time.toFixed(2)}s)` : '';
+    const findings = [];
+    if (frame.blockinessScore > settings.blockinessThreshold) {
+      findings.push(`块效应 ${frame.blockinessScore.toFixed(2)}`);
+    }
+    if (frame.greenPinkRatio > settings.greenPinkThreshold) {
+      findings.push(`绿块/粉块 ${(frame.greenPinkRatio * 100).toFixed(1)}%`);
+    }
+    if (frame.smearRatio > settings.smearThreshold) {
+      findings.push(`涂抹 ${(frame.smearRatio * 100).toFixed(1)}%`);
+    }
+    result.details.push(`第 ${frame.frameIndex} 帧${time}花屏: ${findings.join('，')}（${frame.regions.length} 个区域）`);
+  });
+  if (result.skippedFrames.length > 0) {
+    result.details.push(`${result.skippedFrames.length} 帧分辨率过高，缩放后无法定位块边界且没有原始分辨率区域，未做块效应分析`);
+  }
+
+  return result;
+}
+
+/**
+ * 分析单帧块效应
+ * 缩放后 8px 块小于 MIN_BLOCK_STEP（约 2900px 以上宽度的视频）时，改为分析页面截取的原始分辨率区域 blockCrop，
+ * 区域坐标换算回整个画面
+ * @param {Object} frame - 帧像素
+ * @param {Object} settings - 阈值
+ */
+export function analyzeFrameBlockiness(frame, settings = DEFAULT_BLOCKINESS_OPTIONS) {
+  const crop = 8 * (frame.scale || 1) < MIN_BLOCK_STEP && frame.blockCrop ? frame.blockCrop : null;
+  const target = crop ? { ...crop, scale: 1 } : frame;
+  const { width, height } = target;
+  const scale = target.scale || 1;
+  const luma = toLuma(target);
+
+  const grid8 = blockBoundaries(width, height, 8 * scale);
+  const grid16 = blockBoundaries(width, height, 16 * scale);
+  const regions = regionGrid(width, height, settings.gridCols, settings.gridRows);
+
+  const blockiness8 = grid8 ? boundaryRatio(luma, width, height, grid8, regions, settings) : null;
+  const blockiness16 = grid16 ? boundaryRatio(luma, width, height, grid16) : null;
+  const blocks = grid8 ? classifyBlocks(target, luma, grid8, settings) : null;
+
+  const result = {
+    frameIndex: frame.index,
+    time: typeof frame.time === 'number' ? frame.time : null,
+    blockiness8: blockiness8 ? round(blockiness8.ratio) : null,
+    blockiness16: blockiness16 ? round(blockiness16.ratio) : null,
+    blockinessScore: 0,
+    greenPinkRatio: 0,
+    smearRatio: 0,
+    regions: [],
+    crop: crop ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height } : null,
+    skipped: false,
+    hasArtifacts: false,
+  };
+
+  if (!grid8) {
+    // 缩放后块尺寸过小（或画面过小），无法定位块边界
+    result.skipped = 8 * scale < MIN_BLOCK_STEP;
+    return result;
+  }
+
+  result.blockinessScore = round(Math.max(blockiness8.ratio, blockiness16 ? blockiness16.ratio : 0));
+  result.greenPinkRatio = round(blocks.greenPink / blocks.total);
+  result.smearRatio = round(blocks.smear / blocks.total);
+  result.hasArtifacts = result.blockinessScore > settings.blockinessThreshold ||
+    result.greenPinkRatio > settings.greenPinkThreshold ||
+    result.smearRatio > settings.smearThreshold;
+
+  // 区域热力图：块效应、绿块/粉块、涂抹占比
+  result.regions = regions
+    .map((region, i) => {
+      const stats = blocks.regions[i];
+      const regionBlockiness = blockiness8.regions[i];
+      const greenPink = stats.total ? stats.greenPink / stats.total : 0;
+      const smear = stats.total ? stats.smear / stats.total : 0;
+      const score = Math.max(
+        Math.min(1, Math.max(0, regionBlockiness - 1) / (settings.blockinessThreshold - 1) / 2),
+        greenPink > 0 ? Math.min(1, 0.5 + greenPink) : 0,
+        smear
+      );
+      const rect = toVideoRect(region, scale);
+      return {
+        ...rect,
+        x: rect.x + (crop ? crop.x : 0),
+        y: rect.y + (crop ? crop.y : 0),
+        col: region.col,
+        row: region.row,
+        blockiness: round(regionBlockiness),
+        greenPinkRatio: round(greenPink),
+        smearRatio: round(smear),
+        score: round(score),
+      };
+    })
+    .filter(region =>
+      region.blockiness > settings.blockinessThreshold ||
+      region.greenPinkRatio > 0 ||
+      region.smearRatio > settings.smearThreshold
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.maxRegions);
+
+  return result;
+}
+
+/**
+ * 计算块边界位置（分析分辨率下），块尺寸过小时返回 null
+ */
+function blockBoundaries(width, height, step) {
+  if (step < MIN_BLOCK_STEP || width < step * 2 || height < step * 2) return null;
+
+  const build = (size) => {
+    const isBoundary = new Uint8Array(size);
+    const edges = [0];
+    for (let k = 1; Math.round(k * step) < size; k++) {
+      const position = Math.round(k * step);
+      isBoundary[position] = 1;
+      edges.push(position);
+    }
+    edges.push(size);
+    return { isBoundary, edges };
+  };
+
+  return { columns: build(width), rows: build(height) };
+}
+
+/**
+ * 块边界处与块内部的平均亮度梯度之比（整帧，以及可选的各区域）
+ */
+function boundaryRatio(luma, width, height, grid, regions = null, settings = null) {
+  const sums = new Float64Array(4); // 边界和、边界数、内部和、内部数
+  const regionSums = regions ? regions.map(() => new Float64Array(4)) : null;
+  const colRegion = regions ? new Uint16Array(width) : null;
+  const rowRegion = regions ? new Uint16Array(height) : null;
+
+  if (regions) {
+    for (let x = 0; x < width; x++) colRegion[x] = Math.min(settings.gridCols - 1, Math.floor((x * settings.gridCols) / width));
+    for (let y = 0; y < height; y++) rowRegion[y] = Math.min(settings.gridRows - 1, Math.floor((y * settings.gridRows) / height));
+  }
+
+  const add = (x, y, diff, boundary) => {
+    const slot = boundary ? 0 : 2;
+    sums[slot] += diff;
+    sums[slot + 1]++;
+    if (regionSums) {
+      const target = regionSums[rowRegion[y] * settings.gridCols + colRegion[x]];
+      target[slot] += diff;
+      target[slot + 1]++;
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * width;
+    for (let x = 1; x < width; x++) {
+      add(x, y, Math.abs(luma[rowStart + x] - luma[rowStart + x - 1]), grid.columns.isBoundary[x] === 1);
+    }
+    if (y > 0) {
+      const boundary = grid.rows.isBoundary[y] === 1;
+      for (let x = 0; x < width; x++) {
+        add(x, y, Math.abs(luma[rowStart + x] - luma[rowStart - width + x]), boundary);
+      }
+    }
+  }
+
+  // 分子分母各加 1，避免平坦区域的噪声放大比值
+  const ratio = (s) => (s[0] / Math.max(1, s[1]) + 1) / (s[2] / Math.max(1, s[3]) + 1);
+  return {
+    ratio: ratio(sums),
+    regions: regionSums ? regionSums.map(ratio) : null,
+  };
+}
+
+/**
+ * 按 8x8 块统计绿块/粉块和涂抹块
+ */
+function classifyBlocks(frame, luma, grid, settings) {
+  const { width, data } = frame;
+  const { edges: xEdges } = grid.columns;
+  const { edges: yEdges } = grid.rows;
+  const cols = xEdges.length - 1;
+  const rows = yEdges.length - 1;
+  const means = new Float32Array(cols * rows);
+  const flat = new Uint8Array(cols * rows);
+  const tinted = new Uint8Array(cols * rows);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      let sum = 0;
+      let sumSquares = 0;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let count = 0;
+      for (let y = yEdges[by]; y < yEdges[by + 1]; y++) {
+        for (let x = xEdges[bx]; x < xEdges[bx + 1]; x++) {
+          const value = luma[y * width + x];
+          const p = (y * width + x) * 4;
+          sum += value;
+          sumSquares += value * value;
+          r += data[p];
+          g += data[p + 1];
+          b += data[p + 2];
+          count++;
+        }
+      }
+      const index = by * cols + bx;
+      const mean = sum / count;
+      const variance = sumSquares / count - mean * mean;
+      means[index] = mean;
+      flat[index] = variance < FLAT_VARIANCE ? 1 : 0;
+
+      r /= count;
+      g /= count;
+      b /= count;
+      // 解码错误常见的纯绿块（YUV 全零）和粉/品红块
+      const isGreen = g - Math.max(r, b) > TINT_DIFF;
+      const isPink = Math.min(r, b) - g > TINT_DIFF;
+      tinted[index] = variance < FLAT_VARIANCE * 4 && (isGreen || isPink) ? 1 : 0;
+    }
+  }
+
+  const result = {
+    total: cols * rows,
+    greenPink: 0,
+    smear: 0,
+    regions: null,
+  };
+  const { gridCols, gridRows } = settings;
+  result.regions = Array.from({ length: gridCols * gridRows }, () => ({ total: 0, greenPink: 0, smear: 0 }));
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const index = by * cols + bx;
+
+      // 涂抹：平坦块与至少两个平坦邻块之间存在明显亮度台阶
+      let steps = 0;
+      if (flat[index]) {
+        [[bx - 1, by], [bx + 1, by], [bx, by - 1], [bx, by + 1]].forEach(([nx, ny]) => {
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) return;
+          const neighbor = ny * cols + nx;
+          if (flat[neighbor] && Math.abs(means[neighbor] - means[index]) > STEP_DIFF) steps++;
+        });
+      }
+      const smear = steps >= 2 ? 1 : 0;
+
+      const centerX = (xEdges[bx] + xEdges[bx + 1]) / 2;
+      const centerY = (yEdges[by] + yEdges[by + 1]) / 2;
+      const regionIndex =
+        Math.min(gridRows - 1, Math.floor((centerY * gridRows) / frame.height)) * gridCols +
+        Math.min(gridCols - 1, Math.floor((centerX * gridCols) / frame.width));
+      const region = result.regions[regionIndex];
+
+      region.total++;
+      region.greenPink += tinted[index];
+      region.smear += smear;
+      result.greenPink += tinted[index];
+      result.smear += smear;
+    }
+  }
+
+  return result;
+}
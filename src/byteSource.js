@@ -0,0 +1,307 @@
+/**
+ * 字节源：按范围读取视频数据，不把整个文件读入内存
+ * 所有字节源都提供 { size, read(offset, length), close() }，read 返回 Promise<Uint8Array>（超出文件末尾时截短）：
+ * - createBufferSource：内存中的 ArrayBuffer（小文件或测试）
+ * - createBlobSource：上传的 File / Blob，按需 slice
+ * - createStreamSource：ReadableStream（如远程视频的响应体），只能顺序读取，
+ *   读过的数据随即丢弃，只保留创建时声明的范围（文件头、数据采样位置）
+ * - createSliceSource / createConcatSource：字节源的一段 / 多个字节源首尾相连（流媒体分片的字节范围、初始化分片 + 媒体分片）
+ * - createSparseSource：只包含部分范围的文件（页面只上传容器元数据所在的范围）
+ * 容器解析只读取 box / 元素头和元数据区域（moov、Tracks、idx1 等），媒体数据直接跳过
+ */
+
+// 默认参数
+export const DEFAULT_SOURCE_OPTIONS = {
+  chunkSize: 256 * 1024,            // 顺序扫描 box / 元素头时每次读取的块大小
+  maxRegionSize: 64 * 1024 * 1024,  // 单个元数据区域（moov、idx1 等）整体载入内存的上限
+  remoteChunkSize: 64 * 1024,       // 远程（Range）字节源扫描时每次读取的块大小，每块一次请求
+  maxRemoteReads: 100,              // 远程字节源扫描媒体数据（fMP4 分片、Cluster、movi 块）的读取次数上限
+  maxTimestamps: 500000,            // 视频轨道最多展开的采样时间戳数（stts、trun、Block），超出的采样只计数
+};
+
+/**
+ * 把 ArrayBuffer / TypedArray / Blob 转换为字节源（已是字节源时原样返回）
+ */
+export function toByteSource(input) {
+  if (input && typeof input.read === 'function' && typeof input.size === 'number') {
+    return input;
+  }
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    return createBufferSource(input);
+  }
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    return createBlobSource(input);
+  }
+  throw new Error('不支持的视频数据类型，需要 ArrayBuffer、Blob 或字节源');
+}
+
+/**
+ * 内存中的数据
+ * @param {ArrayBuffer|ArrayBufferView} buffer - 视频数据
+ */
+export function createBufferSource(buffer) {
+  const bytes = buffer instanceof ArrayBuffer
+    ? new Uint8Array(buffer)
+    : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+  return {
+    size: bytes.byteLength,
+    read: async (offset, length) => bytes.subarray(offset, Math.min(offset + length, bytes.byteLength)),
+    close: async () => {},
+  };
+}
+
+/**
+ * 上传的文件：每次读取只取出请求的范围
+ * @param {Blob} blob - File / Blob
+ */
+export function createBlobSource(blob) {
+  return {
+    size: blob.size,
+    read: async (offset, length) =>
+      new Uint8Array(await blob.slice(offset, Math.min(offset + length, blob.size)).arrayBuffer()),
+    close: async () => {},
+  };
+}
+
+/**
+ * 只能顺序读取的数据流
+ * 每次读取都会丢弃该偏移之前的数据，内存中只保留当前读取的范围和声明的保留范围；
+ * 读取已丢弃的位置时抛出错误，因此调用方需要按偏移递增的顺序读取
+ * @param {ReadableStream} stream - 数据流
+ * @param {number} size - 总字节数（如 Content-Length）
+ * @param {Object} [options] - { keep: [{ offset, length }] } 数据流过时需要保留的范围
+ */
+export function createStreamSource(stream, size, options = {}) {
+  const reader = stream.getReader();
+  const kept = (options.keep || []).map(range => ({
+    offset: range.offset,
+    data: new Uint8Array(Math.max(0, Math.min(range.length, size - range.offset))),
+  }));
+  let chunks = [];    // 已收到且未丢弃的数据 [{ offset, bytes }]
+  let received = 0;   // 已从数据流收到的字节数
+  let discarded = 0;  // 该偏移之前的数据已丢弃
+  let done = false;
+
+  async function pull() {
+    const { value, done: finished } = await reader.read();
+    if (finished) {
+      done = true;
+      return;
+    }
+    const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+    kept.forEach(range => {
+      const start = Math.max(range.offset, received);
+      const end = Math.min(range.offset + range.data.length, received + bytes.byteLength);
+      if (start < end) {
+        range.data.set(bytes.subarray(start - received, end - received), start - range.offset);
+      }
+    });
+    chunks.push({ offset: received, bytes });
+    received += bytes.byteLength;
+  }
+
+  function discardBefore(offset) {
+    chunks = chunks.filter(chunk => chunk.offset + chunk.bytes.byteLength > offset);
+    discarded = Math.max(discarded, offset);
+  }
+
+  async function read(offset, length) {
+    const end = Math.min(offset + length, size);
+    if (offset >= end) return new Uint8Array(0);
+
+    if (offset < discarded) {
+      const range = kept.find(r => offset >= r.offset && end <= r.offset + r.data.length);
+      if (range) {
+        return range.data.subarray(offset - range.offset, end - range.offset);
+      }
+      throw new Error(`数据流只能顺序读取，偏移 ${offset} 处的数据已丢弃`);
+    }
+
+    discardBefore(offset);
+    while (received < end && !done) {
+      await pull();
+      discardBefore(offset);
+    }
+    return concatRange(chunks, offset, Math.min(end, received));
+  }
+
+  return {
+    size,
+    read,
+    close: () => reader.cancel().catch(() => {}),
+    bytesReceived: () => received,
+  };
+}
+
+/**
+ * 字节源中的一段（偏移从 0 开始），其余属性（如 stats）原样保留
+ * @param {Object} source - 字节源
+ * @param {number} offset - 起始偏移
+ * @param {number} length - 字节数（超出字节源末尾时截短）
+ */
+export function createSliceSource(source, offset, length) {
+  const size = Math.max(0, Math.min(length, source.size - offset));
+  return {
+    ...source,
+    size,
+    read: (start, count) => source.read(offset + start, Math.max(0, Math.min(count, size - start))),
+  };
+}
+
+/**
+ * 多个字节源首尾相连，读取跨越边界时分别读取后拼接
+ * @param {Array<Object>} sources - 字节源列表
+ */
+export function createConcatSource(sources) {
+  const parts = [];
+  let size = 0;
+  sources.forEach(source => {
+    parts.push({ offset: size, source });
+    size += source.size;
+  });
+
+  async function read(offset, length) {
+    const end = Math.min(offset + length, size);
+    const chunks = [];
+    for (const part of parts) {
+      const from = Math.max(offset, part.offset);
+      const to = Math.min(end, part.offset + part.source.size);
+      if (from < to) {
+        chunks.push({ offset: from, bytes: await part.source.read(from - part.offset, to - from) });
+      }
+    }
+    return chunks.length === 1 ? chunks[0].bytes : concatRange(chunks, offset, Math.max(offset, end));
+  }
+
+  return {
+    size,
+    read,
+    close: () => Promise.all(sources.map(source => source.close())),
+  };
+}
+
+/**
+ * 只包含部分范围的字节源（页面只上传容器元数据所在的范围，见 /api/gop）
+ * 读取返回从 offset 开始所在范围内的数据（可能短于 length）；offset 处的数据未上传时抛出错误
+ * @param {number} size - 原文件大小
+ * @param {Array<Object>} parts - [{ offset, bytes: Uint8Array }]，互不重叠（相接的范围应已合并）
+ */
+export function createSparseSource(size, parts) {
+  const ranges = [...parts].sort((a, b) => a.offset - b.offset);
+
+  return {
+    size,
+    async read(offset, length) {
+      const end = Math.min(offset + length, size);
+      if (offset >= end) return new Uint8Array(0);
+      // 二分查找起点不大于 offset 的最后一个范围
+      let low = 0;
+      let high = ranges.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (ranges[middle].offset <= offset) low = middle;
+        else high = middle - 1;
+      }
+      const range = ranges[low];
+      if (!range || offset < range.offset || offset >= range.offset + range.bytes.byteLength) {
+        throw new Error(`偏移 ${offset} 处的数据未上传`);
+      }
+      return range.bytes.subarray(offset - range.offset, Math.min(end, range.offset + range.bytes.byteLength) - range.offset);
+    },
+    close: async () => {},
+  };
+}
+
+/**
+ * 按块缓存读取：顺序扫描大量 box / 元素头时每次读取一整块，只保留最近的一块
+ * 超过块大小的读取直接交给字节源
+ * 远程字节源每次读取都是一次 Range 请求，逐个读取媒体数据中的块头相当于下载整个文件：
+ * 设置 maxReads 后，读取次数达到上限时 exhausted() 返回 true，容器解析据此停止扫描媒体数据（见 isScanExhausted）
+ * @param {Object} source - 字节源
+ * @param {Object} [options] - { chunkSize: 块大小, maxReads: 读取次数上限（默认不限） }
+ */
+export function createCachedReader(source, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_SOURCE_OPTIONS.chunkSize;
+  const maxReads = options.maxReads || Infinity;
+  let cache = null;
+  let reads = 0;
+
+  return {
+    size: source.size,
+    async read(offset, length) {
+      const end = Math.min(offset + length, source.size);
+      if (cache && offset >= cache.offset && end <= cache.offset + cache.bytes.byteLength) {
+        return cache.bytes.subarray(offset - cache.offset, end - cache.offset);
+      }
+      reads++;
+      if (length > chunkSize) {
+        return source.read(offset, length);
+      }
+      cache = { offset, bytes: await source.read(offset, chunkSize) };
+      return cache.bytes.subarray(0, Math.max(0, end - offset));
+    },
+    close: () => source.close(),
+    exhausted: () => reads >= maxReads,
+    maxReads,
+  };
+}
+
+/**
+ * 扫描媒体数据的读取次数是否已达上限（只有设置了 maxReads 的 createCachedReader 会达到）
+ */
+export function isScanExhausted(source) {
+  return Boolean(source.exhausted && source.exhausted());
+}
+
+/**
+ * 读取一段数据并返回 DataView（偏移从 0 开始）
+ */
+export async function readView(source, start, end) {
+  const bytes = await source.read(start, Math.max(0, end - start));
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * 把元数据区域（moov、Tracks、idx1 等）整体载入内存
+ * @param {string} label - 区域名称（用于错误信息）
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @returns {Promise<DataView|null>} 区域数据（偏移从 0 开始）；超过 maxRegionSize 时记录错误并返回 null
+ */
+export async function loadRegion(source, start, end, label, errors) {
+  const maxSize = DEFAULT_SOURCE_OPTIONS.maxRegionSize;
+  if (end - start > maxSize) {
+    errors.push(`${label} 过大（${formatMB(end - start)}），超过单次载入上限 ${formatMB(maxSize)}，未解析`);
+    return null;
+  }
+  return readView(source, start, end);
+}
+
+/**
+ * 把区域内的 box / 元素 / 块的偏移改为相对区域起点，base 记录区域在文件中的偏移（用于错误信息）
+ */
+export function rebase(item) {
+  return {
+    ...item,
+    start: 0,
+    dataStart: item.dataStart - item.start,
+    end: item.end - item.start,
+    base: (item.base || 0) + item.start,
+  };
+}
+
+function concatRange(chunks, start, end) {
+  const output = new Uint8Array(Math.max(0, end - start));
+  chunks.forEach(chunk => {
+    const from = Math.max(start, chunk.offset);
+    const to = Math.min(end, chunk.offset + chunk.bytes.byteLength);
+    if (from < to) {
+      output.set(chunk.bytes.subarray(from - chunk.offset, to - chunk.offset), from - start);
+    }
+  });
+  return output;
+}
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
@@ -0,0 +1,212 @@
+/**
+ * 帧偏色分析
+ * 对页面上传的 RGBA 帧像素计算通道直方图、灰度世界偏差、白点估计和饱和度异常，
+ * 给出每帧的偏色方向和强度
+ */
+
+import { round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_COLOR_OPTIONS = {
+  grayWorldThreshold: 0.06,  // 灰度世界色度偏差超过该值视为可能偏色
+  whitePointThreshold: 0.04, // 白点色度偏差超过该值视为白平衡异常
+  saturationThreshold: 0.15, // 过饱和像素占比超过该值视为饱和度异常
+  brightRatio: 0.01,         // 白点估计取最亮的像素比例
+  frameRatio: 0.3,           // 超过该比例的帧偏色时判定为偏色（与 AI 帧聚合一致）
+};
+
+// 偏色方向：色度偏差向量的色相角（度）对应的颜色名称
+const CAST_DIRECTIONS = [
+  { name: 'red', label: '偏红', hue: 0 },
+  { name: 'yellow', label: '偏黄', hue: 60 },
+  { name: 'green', label: '偏绿', hue: 120 },
+  { name: 'cyan', label: '偏青', hue: 180 },
+  { name: 'blue', label: '偏蓝', hue: 240 },
+  { name: 'magenta', label: '偏品红', hue: 300 },
+];
+
+/**
+ * 分析多帧的偏色情况
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, data: RGBA }
+ * @param {Object} [options] - 见 DEFAULT_COLOR_OPTIONS
+ * @returns {Object} 每帧结果、偏色帧下标、是否偏色
+ */
+export function analyzeColorCast(frames, options = {}) {
+  const settings = { ...DEFAULT_COLOR_OPTIONS, ...options };
+  const result = {
+    frames: frames.map(frame => analyzeFrameColor(frame, settings)),
+    castFrames: [],
+    hasColorShift: false,
+    details: [],
+  };
+
+  result.castFrames = result.frames.filter(frame => frame.hasColorCast).map(frame => frame.frameIndex);
+  result.hasColorShift = result.frames.length > 0 &&
+    result.castFrames.length > result.frames.length * settings.frameRatio;
+
+  result.frames
+    .filter(frame => frame.hasColorCast || frame.saturationOutlierRatio > settings.saturationThreshold)
+    .forEach(frame => {
+      const time = frame.time !== null ? ` (${frame.time.toFixed(2)}s)` : '';
+      if (frame.hasColorCast) {
+        result.details.push(
+          `第 ${frame.frameIndex} 帧${time}${frame.castLabel}，强度 ${frame.castMagnitude.toFixed(3)}`
+        );
+      } else {
+        result.details.push(
+          `第 ${frame.frameIndex} 帧${time}过饱和像素占 ${(frame.saturationOutlierRatio * 100).toFixed(1)}%`
+        );
+      }
+    });
+
+  return result;
+}
+
+/**
+ * 分析单帧颜色
+ * @param {Object} frame - 帧像素 { index, time, width, height, data: RGBA }
+ * @param {Object} settings - 阈值
+ */
+export function analyzeFrameColor(frame, settings = DEFAULT_COLOR_OPTIONS) {
+  const { data } = frame;
+  const pixelCount = Math.floor(data.length / 4);
+  const histograms = { r: new Uint32Array(256), g: new Uint32Array(256), b: new Uint32Array(256) };
+  const brightness = new Uint32Array(766);
+  let sumR = 0;
+  let sumG = 0;
+  let sumB = 0;
+  let saturated = 0;
+
+  for (let i = 0; i < pixelCount * 4; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    histograms.r[r]++;
+    histograms.g[g]++;
+    histograms.b[b]++;
+    brightness[r + g + b]++;
+    sumR += r;
+    sumG += g;
+    sumB += b;
+
+    // HSV 饱和度 > 0.9 且亮度足够的像素视为过饱和
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    if (max > 50 && (max - min) / max > 0.9) {
+      saturated++;
+    }
+  }
+
+  const grayWorld = chromaticity(sumR, sumG, sumB);
+  const whitePoint = estimateWhitePoint(data, pixelCount, brightness, settings.brightRatio);
+  const cast = castVector(grayWorld);
+  const whiteCast = castVector(whitePoint);
+
+  // 灰度世界和白点同时偏向同一侧才判定为偏色，避免把场景本身的颜色当成偏色
+  const agrees = cast.magnitude > 0 && whiteCast.magnitude > 0 &&
+    Math.abs(angleDiff(cast.hue, whiteCast.hue)) <= 60;
+  const hasColorCast = cast.magnitude > settings.grayWorldThreshold &&
+    whiteCast.magnitude > settings.whitePointThreshold && agrees;
+  const direction = nearestDirection(cast.hue);
+
+  return {
+    frameIndex: frame.index,
+    time: typeof frame.time === 'number' ? frame.time : null,
+    channelMeans: {
+      r: round(sumR / pixelCount),
+      g: round(sumG / pixelCount),
+      b: round(sumB / pixelCount),
+    },
+    channelPercentiles: {
+      r: percentiles(histograms.r, pixelCount),
+      g: percentiles(histograms.g, pixelCount),
+      b: percentiles(histograms.b, pixelCount),
+    },
+    grayWorld,
+    whitePoint,
+    saturationOutlierRatio: round(saturated / pixelCount),
+    castDirection: hasColorCast ? direction.name : null,
+    castLabel: hasColorCast ? direction.label : null,
+    castMagnitude: round(cast.magnitude),
+    whitePointDeviation: round(whiteCast.magnitude),
+    hasColorCast,
+  };
+}
+
+/**
+ * 取最亮的一部分像素的平均颜色作为白点估计
+ */
+function estimateWhitePoint(data, pixelCount, brightness, brightRatio) {
+  const target = Math.max(1, Math.floor(pixelCount * brightRatio));
+  let cutoff = 765;
+  let count = 0;
+  while (cutoff > 0 && count + brightness[cutoff] < target) {
+    count += brightness[cutoff];
+    cutoff--;
+  }
+
+  let sumR = 0;
+  let sumG = 0;
+  let sumB = 0;
+  for (let i = 0; i < pixelCount * 4; i += 4) {
+    if (data[i] + data[i + 1] + data[i + 2] >= cutoff) {
+      sumR += data[i];
+      sumG += data[i + 1];
+      sumB += data[i + 2];
+    }
+  }
+  return chromaticity(sumR, sumG, sumB);
+}
+
+/**
+ * 归一化色度坐标 (r, g, b)，三者之和为 1
+ */
+function chromaticity(r, g, b) {
+  const sum = r + g + b;
+  if (sum === 0) return { r: 1 / 3, g: 1 / 3, b: 1 / 3 };
+  return { r: round(r / sum), g: round(g / sum), b: round(b / sum) };
+}
+
+/**
+ * 色度相对中性灰的偏差向量：强度和色相角
+ */
+function castVector(color) {
+  const dr = color.r - 1 / 3;
+  const dg = color.g - 1 / 3;
+  const db = color.b - 1 / 3;
+  const magnitude = Math.sqrt(dr * dr + dg * dg + db * db);
+  // 将 RGB 偏差投影到色相平面
+  const x = dr - (dg + db) / 2;
+  const y = (Math.sqrt(3) / 2) * (dg - db);
+  const hue = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  return { magnitude, hue };
+}
+
+function nearestDirection(hue) {
+  return CAST_DIRECTIONS.reduce((best, direction) =>
+    Math.abs(angleDiff(hue, direction.hue)) < Math.abs(angleDiff(hue, best.hue)) ? direction : best
+  );
+}
+
+function angleDiff(a, b) {
+  return ((a - b + 540) % 360) - 180;
+}
+
+/**
+ * 通道直方图的 5%/50%/95% 分位数
+ */
+function percentiles(histogram, total) {
+  const targets = [0.05, 0.5, 0.95].map(p => p * total);
+  const values = [];
+  let cumulative = 0;
+  let t = 0;
+  for (let value = 0; value < 256 && t < targets.length; value++) {
+    cumulative += histogram[value];
+    while (t < targets.length && cumulative >= targets[t]) {
+      values.push(value);
+      t++;
+    }
+  }
+  while (values.length < 3) values.push(255);
+  return { p5: values[0], p50: values[1], p95: values[2] };
+}
@@ -0,0 +1,194 @@
+/**
+ * 全参考质量对比：PSNR / SSIM
+ * 将待测视频的帧与参考视频（母版）同一时间点的帧配对，在亮度通道上计算 PSNR 和 SSIM，
+ * 给出每帧分数、整体统计和最差帧时间点
+ */
+
+import { toLuma, resizeLuma } from './imageUtils.js';
+import { round } from './mathUtils.js';
+
+// 默认参数
+export const DEFAULT_COMPARE_OPTIONS = {
+  alignTolerance: 0.1, // 参考帧与待测帧时间差超过该值（秒）不配对
+  ssimWindow: 8,       // SSIM 窗口边长（像素）
+  ssimStride: 4,       // SSIM 窗口步长（像素）
+  psnrThreshold: 30,   // PSNR 低于该值（dB）视为明显失真
+  ssimThreshold: 0.9,  // SSIM 低于该值视为明显失真
+  worstFrames: 5,      // 返回的最差帧数
+};
+
+// 两帧完全相同时 PSNR 为无穷大，JSON 中以该值表示
+const MAX_PSNR = 100;
+// SSIM 稳定常数 (K1 = 0.01, K2 = 0.03, L = 255)
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * 对比参考帧和待测帧
+ * @param {Array<Object>} referenceFrames - 参考视频帧像素 { index, time, width, height, scale, data: RGBA }
+ * @param {Array<Object>} distortedFrames - 待测视频帧像素
+ * @param {Object} [options] - 见 DEFAULT_COMPARE_OPTIONS
+ * @returns {Object} 每帧 PSNR/SSIM、平均/最小值、最差帧
+ */
+export function compareFrames(referenceFrames, distortedFrames, options = {}) {
+  const settings = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  const result = {
+    frameCount: 0,
+    unmatchedFrames: [],
+    frames: [],
+    avgPSNR: null,
+    minPSNR: null,
+    avgSSIM: null,
+    minSSIM: null,
+    worstFrames: [],
+    lowQualityFrames: [],
+    hasQualityLoss: false,
+    details: [],
+  };
+
+  distortedFrames.forEach(distorted => {
+    const reference = findReference(referenceFrames, distorted, settings.alignTolerance);
+    if (!reference) {
+      result.unmatchedFrames.push(distorted.index);
+      return;
+    }
+    result.frames.push(compareFramePair(reference, distorted, settings));
+  });
+
+  result.frameCount = result.frames.length;
+  if (result.unmatchedFrames.length > 0) {
+    result.details.push(
+      `${result.unmatchedFrames.length} 帧在 ±${settings.alignTolerance}s 内没有对应的参考帧，未参与对比`
+    );
+  }
+  if (result.frameCount === 0) {
+    return result;
+  }
+
+  // 整体 PSNR 按平均 MSE 计算（与 FFmpeg psnr 滤镜的 average 一致）
+  const avgMSE = result.frames.reduce((sum, frame) => sum + frame.mse, 0) / result.frameCount;
+  result.avgPSNR = round(psnrFromMSE(avgMSE));
+  result.minPSNR = result.frames.reduce((min, frame) => Math.min(min, frame.psnr), Infinity);
+  result.avgSSIM = round(result.frames.reduce((sum, frame) => sum + frame.ssim, 0) / result.frameCount);
+  result.minSSIM = result.frames.reduce((min, frame) => Math.min(min, frame.ssim), Infinity);
+
+  result.worstFrames = [...result.frames]
+    .sort((a, b) => a.ssim - b.ssim || a.psnr - b.psnr)
+    .slice(0, settings.worstFrames)
+    .map(frame => ({ frameIndex: frame.frameIndex, time: frame.time, psnr: frame.psnr, ssim: frame.ssim }));
+  result.lowQualityFrames = result.frames
+    .filter(frame => frame.psnr < settings.psnrThreshold || frame.ssim < settings.ssimThreshold)
+    .map(frame => frame.frameIndex);
+  result.hasQualityLoss = result.lowQualityFrames.length > 0;
+
+  result.details.push(
+    `对比 ${result.frameCount} 帧: 平均 PSNR ${result.avgPSNR} dB（最低 ${result.minPSNR} dB），` +
+    `平均 SSIM ${result.avgSSIM}（最低 ${result.minSSIM}）`
+  );
+  if (result.hasQualityLoss) {
+    const worst = result.worstFrames[0];
+    result.details.push(
+      `${result.lowQualityFrames.length} 帧 PSNR 低于 ${settings.psnrThreshold} dB 或 SSIM 低于 ${settings.ssimThreshold}，` +
+      `最差帧位于 ${worst.time !== null ? worst.time.toFixed(2) + 's' : '第 ' + worst.frameIndex + ' 帧'}` +
+      `（PSNR ${worst.psnr} dB，SSIM ${worst.ssim}）`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * 计算一对帧的 PSNR 和 SSIM，尺寸不同时将待测帧缩放到参考帧尺寸
+ */
+function compareFramePair(reference, distorted, settings) {
+  const { width, height } = reference;
+  const referenceLuma = toLuma(reference);
+  const distortedLuma = resizeLuma(toLuma(distorted), distorted.width, distorted.height, width, height);
+
+  const mse = meanSquaredError(referenceLuma, distortedLuma);
+  return {
+    frameIndex: distorted.index,
+    referenceIndex: reference.index,
+    time: distorted.time,
+    referenceTime: reference.time,
+    mse: round(mse),
+    psnr: round(psnrFromMSE(mse)),
+    ssim: round(structuralSimilarity(referenceLuma, distortedLuma, width, height, settings)),
+    resized: distorted.width !== width || distorted.height !== height,
+  };
+}
+
+/**
+ * 查找时间最接近的参考帧；没有时间信息时按帧序号配对
+ */
+function findReference(referenceFrames, distorted, tolerance) {
+  if (distorted.time === null) {
+    return referenceFrames.find(frame => frame.index === distorted.index) || null;
+  }
+
+  let best = null;
+  referenceFrames.forEach(frame => {
+    if (frame.time === null) return;
+    const diff = Math.abs(frame.time - distorted.time);
+    if (diff <= tolerance && (!best || diff < Math.abs(best.time - distorted.time))) {
+      best = frame;
+    }
+  });
+  return best;
+}
+
+function meanSquaredError(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum / a.length;
+}
+
+function psnrFromMSE(mse) {
+  if (mse === 0) return MAX_PSNR;
+  return Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / mse));
+}
+
+/**
+ * 滑动窗口 SSIM 的平均值
+ */
+function structuralSimilarity(a, b, width, height, settings) {
+  const size = Math.min(settings.ssimWindow, width, height);
+  const stride = Math.max(1, settings.ssimStride);
+  const count = size * size;
+  let total = 0;
+  let windows = 0;
+
+  for (let y0 = 0; y0 + size <= height; y0 += stride) {
+    for (let x0 = 0; x0 + size <= width; x0 += stride) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = y0; y < y0 + size; y++) {
+        for (let x = x0; x < x0 + size; x++) {
+          const va = a[y * width + x];
+          const vb = b[y * width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
@@ -0,0 +1,204 @@
+/**
+ * 检测器注册表
+ * 每个检测后端统一为 { name, ai, supports, isEnabled(env), detect(context) }：
+ * - ai: 是否为 AI 后端（页面关闭 AI 时跳过）
+ * - supports: 能判定的问题类型（ISSUE_TYPES 的子集）
+ * - detect 返回 { probabilities: { 类型: 0-1 }, details: [] }；无法判断的类型省略（弃权），
+ *   只返回 issues: { 类型: boolean } 的检测器按 1 / 0 计
+ *
+ * 合并策略：
+ * 1. 按配置顺序依次运行（sequential），或同时运行（parallel）；两种方式都按配置顺序合并，结果一致
+ * 2. 某类问题只由声明支持它的检测器投票，按权重合并概率（见 ensemble.js），概率超过 0.5 判定为存在；
+ *    判定为不存在或弃权的检测器不会抵消其他检测器的发现，未声明的类型忽略
+ * 3. issueSources 记录每类问题由哪些检测器判定为存在（概率超过 0.5）
+ * 4. details 按检测器顺序拼接；单个检测器失败只记录错误，不影响其他检测器
+ * 5. 每类问题给出集成概率和置信度，confidence 为各类问题置信度的平均值，qualityScore 为 0-100 的综合质量分
+ */
+
+import { combineProbabilities, readDetectorWeights, DECISION_THRESHOLD } from './ensemble.js';
+
+// 所有问题类型
+export const ISSUE_TYPES = [
+  'glitch',        // 花屏
+  'corruption',    // 乱码
+  'stutter',       // 卡顿
+  'colorShift',    // 偏色
+  'missingPerson', // 人物画面缺残
+  'audio',         // 音频异常
+  'blur',          // 模糊
+  'frameAnomaly',  // 黑场 / 冻结 / 闪烁
+];
+
+// 默认检测器顺序（环境变量 DETECTORS 可覆盖，逗号分隔）
+export const DEFAULT_DETECTOR_ORDER = ['local', 'rules', 'cloudflare', 'huggingface', 'openai'];
+
+// 运行方式
+export const DETECTOR_MODES = ['sequential', 'parallel'];
+
+/**
+ * 读取检测器配置
+ * @param {Object} env - 环境变量（DETECTORS、DETECTOR_MODE、DETECTOR_WEIGHTS）
+ * @param {boolean} useAI - 页面是否启用 AI 检测
+ * @returns {Object} { order, mode, weights, useAI }
+ */
+export function readDetectorConfig(env = {}, useAI = true) {
+  const order = typeof env.DETECTORS === 'string' && env.DETECTORS.trim()
+    ? env.DETECTORS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_DETECTOR_ORDER;
+  return {
+    order,
+    mode: DETECTOR_MODES.includes(env.DETECTOR_MODE) ? env.DETECTOR_MODE : 'sequential',
+    weights: readDetectorWeights(env),
+    useAI,
+  };
+}
+
+/**
+ * 创建检测器注册表
+ * @returns {Object} { register, get, names, run }
+ */
+export function createDetectorRegistry() {
+  const detectors = new Map();
+
+  return {
+    /**
+     * 注册检测器，同名检测器会被替换
+     */
+    register(detector) {
+      if (!detector || !detector.name || typeof detector.detect !== 'function') {
+        throw new Error('检测器需要 name 和 detect(context)');
+      }
+      const unknown = (detector.supports || []).filter(type => !ISSUE_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`检测器 ${detector.name} 声明了未知的问题类型: ${unknown.join(', ')}`);
+      }
+      detectors.set(detector.name, {
+        ai: false,
+        supports: [],
+        isEnabled: () => true,
+        ...detector,
+      });
+      return this;
+    },
+
+    get(name) {
+      return detectors.get(name) || null;
+    },
+
+    names() {
+      return [...detectors.keys()];
+    },
+
+    /**
+     * 按配置运行检测器并合并结果
+     * @param {Object} context - 传给 detect 的上下文 { samples, metadata, checks, env }
+     * @param {Object} config - readDetectorConfig 的结果
+     * @returns {Promise<Object>} 见 mergeDetectorResults
+     */
+    async run(context, config) {
+      const env = context.env || {};
+      const planned = config.order.map(name => {
+        const detector = detectors.get(name);
+        if (!detector) return { name, skipped: 'unknown' };
+        if (detector.ai && !config.useAI) return { name, detector, skipped: 'aiDisabled' };
+        if (!detector.isEnabled(env)) return { name, detector, skipped: 'notConfigured' };
+        return { name, detector };
+      });
+
+      const runOne = async (entry) => {
+        if (entry.skipped) return entry;
+        const startedAt = Date.now();
+        try {
+          const result = await entry.detector.detect(context);
+          return { ...entry, result, duration: Date.now() - startedAt };
+        } catch (error) {
+          console.error(`检测器 ${entry.name} 错误:`, error);
+          return { ...entry, error, duration: Date.now() - startedAt };
+        }
+      };
+
+      let outcomes;
+      if (config.mode === 'parallel') {
+        outcomes = await Promise.all(planned.map(runOne));
+      } else {
+        outcomes = [];
+        for (const entry of planned) {
+          outcomes.push(await runOne(entry));
+        }
+      }
+
+      return mergeDetectorResults(outcomes, config.weights || readDetectorWeights());
+    },
+  };
+}
+
+/**
+ * 按合并策略汇总各检测器的结果（见文件头说明）
+ * @param {Array<Object>} outcomes - 按配置顺序的运行结果 { name, detector?, skipped?, result?, error?, duration? }
+ * @param {Object} weights - 检测器权重
+ * @returns {Object} { issues, issueProbabilities, issueConfidence, issueSources, confidence, qualityScore, details, detectors }
+ */
+export function mergeDetectorResults(outcomes, weights) {
+  const issueSources = Object.fromEntries(ISSUE_TYPES.map(type => [type, []]));
+  const details = [];
+  const summaries = [];
+  const votes = [];
+
+  outcomes.forEach(outcome => {
+    const supports = outcome.detector ? outcome.detector.supports : [];
+    const summary = { name: outcome.name, supports, status: 'ok', probabilities: {}, duration: outcome.duration ?? null };
+    summaries.push(summary);
+
+    if (outcome.skipped) {
+      summary.status = 'skipped';
+      summary.reason = outcome.skipped;
+      if (outcome.skipped === 'unknown') {
+        details.push(`未知的检测器 ${outcome.name}，已忽略`);
+      }
+      return;
+    }
+    if (outcome.error) {
+      summary.status = 'failed';
+      summary.error = outcome.error.message;
+      details.push(`检测器 ${outcome.name} 运行失败: ${outcome.error.message}`);
+      return;
+    }
+
+    const result = outcome.result || {};
+    supports.forEach(type => {
+      const probability = readProbability(result, type);
+      if (probability === null) return;
+      summary.probabilities[type] = probability;
+      if (probability > DECISION_THRESHOLD) {
+        issueSources[type].push(outcome.name);
+      }
+    });
+    votes.push({ name: outcome.name, supports, probabilities: summary.probabilities });
+    details.push(...(result.details || []));
+  });
+
+  const ensemble = combineProbabilities(votes, weights, ISSUE_TYPES);
+  return {
+    issues: ensemble.issues,
+    issueProbabilities: ensemble.probabilities,
+    issueConfidence: ensemble.issueConfidence,
+    issueSources,
+    confidence: ensemble.confidence,
+    qualityScore: ensemble.qualityScore,
+    details,
+    detectors: summaries,
+  };
+}
+
+/**
+ * 读取检测器对某类问题给出的概率，兼容只返回布尔判定的检测器
+ */
+function readProbability(result, type) {
+  if (result.probabilities && typeof result.probabilities[type] === 'number') {
+    return Math.min(1, Math.max(0, result.probabilities[type]));
+  }
+  if (result.issues && typeof result.issues[type] === 'boolean') {
+    return result.issues[type] ? 1 : 0;
+  }
+  return null;
+}
@@ -0,0 +1,229 @@
+/**
+ * 内置检测器
+ * local: 容器结构和帧像素层面的检测结果（始终可用）
+ * rules: 基于采样数据特征的规则引擎
+ * cloudflare / huggingface / openai: AI 后端，需要相应的绑定或 API Key
+ */
+
+import { createDetectorRegistry } from './detectorRegistry.js';
+import { detectWithCloudflareAI, detectWithHuggingFace, detectWithOpenAI } from './aiDetector.js';
+import { ratioProbability, thresholdProbability } from './ensemble.js';
+import { DEFAULT_COLOR_OPTIONS } from './colorAnalyzer.js';
+import { DEFAULT_BLOCKINESS_OPTIONS } from './blockinessAnalyzer.js';
+import { DEFAULT_SHARPNESS_OPTIONS } from './sharpnessAnalyzer.js';
+import { DEFAULT_PERSON_OPTIONS } from './personAnalyzer.js';
+import { MODEL_ISSUE_TYPES } from './modelConfig.js';
+
+/**
+ * 创建注册了全部内置检测器的注册表
+ */
+export function createDefaultRegistry() {
+  return createDetectorRegistry()
+    .register(localDetector)
+    .register(rulesDetector)
+    .register(cloudflareDetector)
+    .register(huggingFaceDetector)
+    .register(openAIDetector);
+}
+
+/**
+ * 本地检测：把 videoProcessor 中各项检测结果（checks）转换为问题概率
+ * 逐帧判定的问题按异常帧比例计算概率，其余按检测结果取固定概率；没有数据的检查弃权
+ */
+export const localDetector = {
+  name: 'local',
+  supports: ['corruption', 'stutter', 'audio', 'colorShift', 'glitch', 'blur', 'missingPerson', 'frameAnomaly'],
+  async detect({ checks }) {
+    const probabilities = {};
+    const details = [];
+
+    // 首先检查文件损坏
+    probabilities.corruption = flagProbability(checks.corruption.hasIssue);
+    if (checks.corruption.hasIssue) {
+      details.push(...checks.corruption.issues);
+    }
+
+    // 帧时间戳卡顿检测
+    if (checks.stutter.timing) {
+      probabilities.stutter = flagProbability(checks.stutter.hasIssue);
+    }
+    if (checks.stutter.hasIssue) {
+      details.push(...checks.stutter.issues);
+    } else if (!checks.stutter.timing) {
+      details.push('容器中没有可用的帧时间戳，未进行卡顿检测');
+    }
+
+    // 关键帧 / GOP 结构（不单独归类，影响拖动定位）
+    if (checks.gop.hasIssue) {
+      details.push(...checks.gop.issues);
+    }
+
+    // 音频轨道
+    const audio = checks.audio.audio;
+    if (audio) {
+      probabilities.audio = flagProbability(checks.audio.hasIssue);
+    }
+    if (checks.audio.hasIssue) {
+      details.push(...checks.audio.issues);
+    } else if (audio && audio.hasAudioTrack && !audio.clientAnalyzed) {
+      details.push('页面未上报音频解码结果，未进行静音和削波检测');
+    }
+
+    // 帧像素偏色
+    const color = checks.color.color;
+    if (color) {
+      probabilities.colorShift = ratioProbability(color.castFrames.length, color.frames.length, DEFAULT_COLOR_OPTIONS.frameRatio);
+    }
+    details.push(...checks.color.issues);
+    if (!color) {
+      details.push('未收到视频帧像素数据，未进行偏色检测');
+    }
+
+    // 帧像素块效应 / 花屏：任一帧出现绿块/粉块即视为高概率
+    const blockiness = checks.blockiness.blockiness;
+    if (blockiness) {
+      const analyzedCount = blockiness.frames.length - blockiness.skippedFrames.length;
+      const glitch = ratioProbability(blockiness.artifactFrames.length, analyzedCount, DEFAULT_BLOCKINESS_OPTIONS.frameRatio);
+      const hasGreenPink = blockiness.frames.some(frame => frame.greenPinkRatio > DEFAULT_BLOCKINESS_OPTIONS.greenPinkThreshold);
+      probabilities.glitch = hasGreenPink ? Math.max(glitch, 0.9) : glitch;
+    }
+    details.push(...checks.blockiness.issues);
+
+    // 帧像素清晰度（对比度过低的帧不参与判定）
+    const sharpness = checks.blur.sharpness;
+    if (sharpness) {
+      const rated = sharpness.frames.filter(frame => !frame.lowContrast).length;
+      const blur = ratioProbability(sharpness.blurryFrames.length, rated, DEFAULT_SHARPNESS_OPTIONS.frameRatio);
+      if (blur !== null) probabilities.blur = blur;
+    }
+    details.push(...checks.blur.issues);
+
+    // 人物画面缺残（仅在要求画面中有人物时判定，检测失败的帧不参与）
+    const person = checks.person.person;
+    if (person && person.expectPerson) {
+      const analyzed = person.frames.filter(frame => frame.status !== 'unknown').length;
+      const missing = ratioProbability(person.problemFrames.length, analyzed, DEFAULT_PERSON_OPTIONS.frameRatio);
+      if (missing !== null) probabilities.missingPerson = missing;
+    }
+    details.push(...checks.person.issues);
+    if (person && !person.expectPerson) {
+      details.push('未要求画面中出现人物，仅报告人物检测结果');
+    }
+
+    // 亮度时间轴：黑场 / 冻结 / 闪烁
+    if (checks.temporal.temporal) {
+      probabilities.frameAnomaly = flagProbability(checks.temporal.hasIssue);
+    }
+    details.push(...checks.temporal.issues);
+    if (!checks.temporal.temporal) {
+      details.push('未收到亮度时间轴，未进行黑场、冻结和闪烁检测');
+    }
+
+    return { probabilities, details };
+  },
+};
+
+/**
+ * 规则引擎：采样数据方差波动和编码识别
+ */
+export const rulesDetector = {
+  name: 'rules',
+  supports: ['glitch', 'corruption'],
+  async detect({ samples, metadata }) {
+    const features = extractFeatures(samples, metadata);
+    const details = [];
+
+    // 检测花屏：数据方差异常高
+    const probabilities = {
+      glitch: thresholdProbability(features.varianceVolatility, 5000, 1000),
+      corruption: flagProbability(!metadata.codec),
+    };
+    if (features.varianceVolatility > 5000) {
+      details.push('检测到数据异常波动，可能存在花屏问题');
+    }
+
+    // 检测乱码：文件头异常或数据模式异常
+    if (!metadata.codec) {
+      details.push('无法识别视频编码格式，可能存在乱码或文件损坏');
+    }
+
+    return { probabilities, details };
+  },
+};
+
+/**
+ * Cloudflare Workers AI（需要 AI 绑定和页面上传的 JPEG 帧）
+ */
+export const cloudflareDetector = {
+  name: 'cloudflare',
+  ai: true,
+  supports: ['glitch', 'corruption', 'colorShift', 'blur', 'missingPerson'],
+  isEnabled: env => Boolean(env.AI),
+  detect: ({ samples, metadata, checks, env }) => detectWithCloudflareAI(samples, metadata, env, {
+    expectPerson: Boolean(checks.person.person && checks.person.person.expectPerson),
+  }),
+};
+
+/**
+ * Hugging Face 图像模型（需要 HF_API_KEY 和页面上传的 JPEG 帧）
+ * 实际给出概率的问题类型由标签映射表决定，映射表之外的类型弃权
+ */
+export const huggingFaceDetector = {
+  name: 'huggingface',
+  ai: true,
+  supports: MODEL_ISSUE_TYPES,
+  isEnabled: env => Boolean(env.HF_API_KEY),
+  detect: ({ samples, metadata, checks, env }) => detectWithHuggingFace(samples, metadata, env, {
+    expectPerson: Boolean(checks.person.person && checks.person.person.expectPerson),
+  }),
+};
+
+/**
+ * OpenAI 兼容的视觉语言模型（需要 OPENAI_API_KEY，或指向本地服务的 OPENAI_BASE_URL）
+ */
+export const openAIDetector = {
+  name: 'openai',
+  ai: true,
+  supports: ['glitch', 'colorShift', 'blur', 'missingPerson'],
+  isEnabled: env => Boolean(env.OPENAI_API_KEY || env.OPENAI_BASE_URL),
+  detect: ({ samples, metadata, checks, env }) => detectWithOpenAI(samples, metadata, env, {
+    expectPerson: Boolean(checks.person.person && checks.person.person.expectPerson),
+  }),
+};
+
+/**
+ * 提取视频特征（用于规则引擎）
+ */
+function extractFeatures(samples, metadata) {
+  const features = {
+    dataVariance: [],
+    dataMean: [],
+    fileSize: metadata.size,
+    codec: metadata.codec,
+  };
+
+  samples.forEach(sample => {
+    features.dataVariance.push(sample.variance);
+    features.dataMean.push(sample.mean);
+  });
+
+  const varianceChanges = [];
+  for (let i = 1; i < features.dataVariance.length; i++) {
+    const change = Math.abs(features.dataVariance[i] - features.dataVariance[i - 1]);
+    varianceChanges.push(change);
+  }
+
+  features.varianceVolatility = varianceChanges.length > 0
+    ? varianceChanges.reduce((a, b) => a + b, 0) / varianceChanges.length
+    : 0;
+  features.maxVarianceChange = varianceChanges.length > 0 ? Math.max(...varianceChanges) : 0;
+
+  return features;
+}
+
+/**
+ * 只有是 / 否结果的检查：判定存在时的概率较高但不取 1，为其他检测器留出余地
+ */
+function flagProbability(flag) {
+  return flag ? 0.9 : 0.05;
+}
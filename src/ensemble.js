@@ -0,0 +1,165 @@
+/**
+ * 多检测器加权集成
+ * 各检测器对支持的问题类型给出概率（0-1，0.5 对应该检测器自身的判定阈值），
+ * 集成层按权重合并得到每类问题的概率、判定结果和置信度，并计算 0-100 的综合质量分：
+ * 有检测器判定为存在时按 noisy-OR 合并存在证据，判定为不存在或弃权的检测器不会抵消有把握的发现
+ */
+
+import { round } from './mathUtils.js';
+
+// 检测器默认权重（环境变量 DETECTOR_WEIGHTS 可覆盖）
+export const DEFAULT_DETECTOR_WEIGHTS = {
+  local: 1,
+  rules: 0.3,       // 只看采样数据的方差，证据较弱
+  cloudflare: 1,
+  huggingface: 0.7, // 默认是通用图像分类模型，标签与画质问题只是关键词匹配
+  openai: 1,
+};
+
+// 集成概率超过该值判定为存在问题（与各分析模块的 frameRatio 判定一致，恰好等于时不算）
+export const DECISION_THRESHOLD = 0.5;
+
+// 各类问题对质量分的影响程度（0-1）
+export const ISSUE_SEVERITY = {
+  corruption: 1,
+  glitch: 0.8,
+  stutter: 0.6,
+  frameAnomaly: 0.5,
+  blur: 0.5,
+  colorShift: 0.4,
+  audio: 0.4,
+  missingPerson: 0.4,
+};
+
+/**
+ * 读取检测器权重
+ * DETECTOR_WEIGHTS 为 JSON：{ "检测器": 权重 } 或 { "检测器": { "问题类型": 权重 } }
+ * @param {Object} env - 环境变量
+ * @returns {Object} 检测器权重
+ */
+export function readDetectorWeights(env = {}) {
+  if (!env.DETECTOR_WEIGHTS) return { ...DEFAULT_DETECTOR_WEIGHTS };
+
+  try {
+    const raw = typeof env.DETECTOR_WEIGHTS === 'string' ? JSON.parse(env.DETECTOR_WEIGHTS) : env.DETECTOR_WEIGHTS;
+    return { ...DEFAULT_DETECTOR_WEIGHTS, ...raw };
+  } catch (error) {
+    console.warn('DETECTOR_WEIGHTS 解析失败，使用默认权重:', error);
+    return { ...DEFAULT_DETECTOR_WEIGHTS };
+  }
+}
+
+/**
+ * 按帧比例计算问题概率：异常帧比例等于判定比例时为 0.5
+ * @param {number} count - 异常帧数
+ * @param {number} total - 参与判定的帧数
+ * @param {number} frameRatio - 判定比例（与各分析模块的 frameRatio 一致）
+ * @returns {number|null} 概率；没有参与判定的帧时为 null
+ */
+export function ratioProbability(count, total, frameRatio) {
+  if (!(total > 0)) return null;
+  return round(logistic((count / total - frameRatio) * 10));
+}
+
+/**
+ * 按原始分数相对阈值的距离计算概率：分数等于阈值时为 0.5，超过阈值一个 scale 约为 0.73
+ */
+export function thresholdProbability(value, threshold, scale) {
+  return round(logistic((value - threshold) / scale));
+}
+
+/**
+ * 合并各检测器的概率
+ * @param {Array<Object>} votes - 按检测器顺序 { name, supports, probabilities }
+ * @param {Object} weights - readDetectorWeights 的结果
+ * @param {Array<string>} issueTypes - 所有问题类型
+ * @returns {Object} { probabilities, issues, issueConfidence, confidence, qualityScore }
+ */
+export function combineProbabilities(votes, weights, issueTypes) {
+  const probabilities = {};
+  const issues = {};
+  const issueConfidence = {};
+
+  issueTypes.forEach(type => {
+    const cast = [];
+    votes.forEach(vote => {
+      const probability = vote.probabilities[type];
+      if (!vote.supports.includes(type) || typeof probability !== 'number') return;
+      const weight = detectorWeight(weights, vote.name, type);
+      if (weight > 0) cast.push({ weight, probability: clamp(probability) });
+    });
+
+    // 没有检测器对该类问题给出概率时不判定
+    if (cast.length === 0) {
+      probabilities[type] = null;
+      issues[type] = false;
+      issueConfidence[type] = null;
+      return;
+    }
+
+    const probability = combineVotes(cast);
+    probabilities[type] = round(probability);
+    issues[type] = probability > DECISION_THRESHOLD;
+    issueConfidence[type] = round(issues[type] ? probability : 1 - probability);
+  });
+
+  const rated = issueTypes.filter(type => issueConfidence[type] !== null);
+  return {
+    probabilities,
+    issues,
+    issueConfidence,
+    confidence: rated.length > 0
+      ? round(rated.reduce((sum, type) => sum + issueConfidence[type], 0) / rated.length)
+      : 0,
+    qualityScore: qualityScore(probabilities),
+  };
+}
+
+/**
+ * 综合质量分：100 × Π(1 - 严重程度 × 概率²)，概率取平方使低概率的问题几乎不扣分
+ */
+export function qualityScore(probabilities) {
+  let score = 1;
+  Object.entries(probabilities).forEach(([type, probability]) => {
+    if (probability === null) return;
+    score *= 1 - (ISSUE_SEVERITY[type] ?? 0.5) * probability * probability;
+  });
+  return Math.round(score * 100);
+}
+
+/**
+ * 合并某类问题的投票
+ * - 有检测器判定为存在（概率超过 0.5）时：每票超出 0.5 的部分换算到 0-1，乘以相对权重（除以最大权重）作为存在证据，
+ *   按 noisy-OR 合并为 0.5 + 0.5 × (1 - Π(1 - 证据))；判定为不存在的票不参与，不会抵消有把握的发现
+ * - 都判定为不存在时按权重加权平均
+ * @param {Array<Object>} votes - [{ weight, probability }]，权重大于 0
+ */
+function combineVotes(votes) {
+  const maxWeight = Math.max(...votes.map(vote => vote.weight));
+  const positive = votes.filter(vote => vote.probability > DECISION_THRESHOLD);
+  if (positive.length > 0) {
+    const miss = positive.reduce((product, vote) => {
+      const evidence = (vote.probability - DECISION_THRESHOLD) / (1 - DECISION_THRESHOLD);
+      return product * (1 - evidence * vote.weight / maxWeight);
+    }, 1);
+    return DECISION_THRESHOLD + (1 - DECISION_THRESHOLD) * (1 - miss);
+  }
+
+  const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+  return votes.reduce((sum, vote) => sum + vote.weight * vote.probability, 0) / totalWeight;
+}
+
+function detectorWeight(weights, name, type) {
+  const weight = weights[name];
+  if (typeof weight === 'number') return Math.max(0, weight);
+  if (weight && typeof weight === 'object' && typeof weight[type] === 'number') return Math.max(0, weight[type]);
+  return DEFAULT_DETECTOR_WEIGHTS[name] ?? 1;
+}
+
+function logistic(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,103 @@
+/**
+ * 关键帧 / GOP 结构分析
+ * 基于 MP4 stss 同步采样表或 WebM 块关键帧标记，检查 GOP 过长和开头缺少关键帧等拖动定位问题
+ */
+
+import { round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_GOP_OPTIONS = {
+  initialKeyframeWindow: 2, // 开头多少秒内必须出现关键帧
+  maxGopSeconds: 10,        // 单个 GOP 超过该时长视为过长
+  maxEvents: 20,            // 最多返回的过长 GOP 数
+};
+
+/**
+ * 分析 GOP 结构
+ * @param {Array<number>} timestamps - 帧显示时间（秒），按解码顺序
+ * @param {Array<number>} keyframes - 关键帧在 timestamps 中的下标（升序）
+ * @param {Object} [options] - 见 DEFAULT_GOP_OPTIONS
+ * @returns {Object} 关键帧数量、GOP 长度统计（帧数和秒数）、过长 GOP 列表
+ */
+export function analyzeGOP(timestamps, keyframes, options = {}) {
+  const settings = { ...DEFAULT_GOP_OPTIONS, ...options };
+  const frameCount = timestamps.length;
+  const result = {
+    frameCount,
+    keyframeCount: keyframes.length,
+    gopCount: keyframes.length,
+    firstKeyframeTime: null,
+    maxGopFrames: 0,
+    avgGopFrames: 0,
+    maxGopSeconds: 0,
+    avgGopSeconds: 0,
+    longGops: [],
+    hasInitialKeyframe: false,
+    hasIssue: false,
+    details: [],
+  };
+
+  if (frameCount === 0) {
+    return result;
+  }
+
+  // 帧数可能很多，避免展开参数导致调用栈溢出
+  const startTime = timestamps.reduce((min, time) => Math.min(min, time), Infinity);
+  const frameDuration = estimateFrameDuration(timestamps);
+  const endTime = timestamps.reduce((max, time) => Math.max(max, time), -Infinity) + frameDuration;
+
+  if (keyframes.length === 0) {
+    result.hasIssue = true;
+    result.details.push('视频中没有任何关键帧，无法拖动定位');
+    return result;
+  }
+
+  result.firstKeyframeTime = round(timestamps[keyframes[0]] - startTime);
+  result.hasInitialKeyframe = result.firstKeyframeTime <= settings.initialKeyframeWindow;
+
+  const gops = keyframes.map((keyframe, i) => {
+    const nextFrame = i + 1 < keyframes.length ? keyframes[i + 1] : frameCount;
+    const start = timestamps[keyframe];
+    const end = nextFrame < frameCount ? timestamps[nextFrame] : endTime;
+    return { start, end, frames: nextFrame - keyframe, seconds: end - start };
+  });
+
+  result.maxGopFrames = gops.reduce((max, gop) => Math.max(max, gop.frames), 0);
+  result.avgGopFrames = round((frameCount - keyframes[0]) / gops.length);
+  result.maxGopSeconds = round(gops.reduce((max, gop) => Math.max(max, gop.seconds), 0));
+  result.avgGopSeconds = round((endTime - timestamps[keyframes[0]]) / gops.length);
+  result.longGops = gops
+    .filter(gop => gop.seconds > settings.maxGopSeconds)
+    .slice(0, settings.maxEvents)
+    .map(gop => ({ start: round(gop.start), end: round(gop.end), frames: gop.frames }));
+
+  if (!result.hasInitialKeyframe) {
+    result.details.push(
+      `前 ${settings.initialKeyframeWindow} 秒内没有关键帧（第一个关键帧位于 ${result.firstKeyframeTime}s），开头无法正常解码`
+    );
+  }
+  if (result.longGops.length > 0) {
+    result.details.push(
+      `${result.longGops.length} 个 GOP 超过 ${settings.maxGopSeconds} 秒（最长 ${result.maxGopSeconds}s / ${result.maxGopFrames} 帧），拖动定位会很慢: ` +
+      result.longGops.map(gop => `${gop.start}s - ${gop.end}s`).join(', ')
+    );
+  }
+
+  result.hasIssue = !result.hasInitialKeyframe || result.longGops.length > 0;
+  return result;
+}
+
+/**
+ * 估算单帧时长（相邻时间戳差值的中位数）
+ */
+function estimateFrameDuration(timestamps) {
+  if (timestamps.length < 2) return 0;
+  const sorted = [...timestamps].sort((a, b) => a - b);
+  const deltas = [];
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] > sorted[i - 1]) deltas.push(sorted[i] - sorted[i - 1]);
+  }
+  if (deltas.length === 0) return 0;
+  deltas.sort((a, b) => a - b);
+  return deltas[Math.floor(deltas.length / 2)];
+}
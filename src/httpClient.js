@@ -0,0 +1,235 @@
+/**
+ * AI 后端共用的 HTTP 客户端
+ * 每个服务商（huggingface、cloudflare、openai 等）共用一个客户端实例，提供：
+ * - 有限次重试：429 / 5xx、网络错误和超时会重试，优先按 Retry-After 或响应体的 estimated_time 等待，否则指数退避（带抖动）
+ * - 单次调用超时
+ * - 并发上限：超出的调用排队，调用方可以直接对所有帧 Promise.all
+ * - 熔断：连续失败达到阈值后暂停调用一段时间，期间直接失败；暂停结束后放行一次试探调用
+ * 客户端保存在模块作用域，同一 Worker 实例的多个请求共享熔断状态
+ */
+
+// 默认参数
+export const DEFAULT_HTTP_OPTIONS = {
+  maxRetries: 3,        // 最多重试次数（不含首次调用）
+  baseDelay: 500,       // 指数退避的初始等待（毫秒）
+  maxDelay: 20000,      // 单次等待上限（毫秒），Retry-After / estimated_time 超过该值时按上限等待
+  timeout: 30000,       // 单次调用超时（毫秒）
+  concurrency: 4,       // 同一服务商同时进行的调用数
+  failureThreshold: 5,  // 连续失败多少次后熔断
+  cooldown: 60000,      // 熔断持续时间（毫秒）
+};
+
+// 需要重试的 HTTP 状态码
+export const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+const clients = new Map();
+
+/**
+ * 获取服务商的共享客户端（首次获取时创建）
+ * @param {string} provider - 服务商名称
+ * @param {Object} [options] - 见 DEFAULT_HTTP_OPTIONS，仅首次创建时生效
+ */
+export function getHttpClient(provider, options = {}) {
+  if (!clients.has(provider)) {
+    clients.set(provider, createHttpClient(provider, options));
+  }
+  return clients.get(provider);
+}
+
+/**
+ * 清除所有共享客户端（熔断状态随之重置），用于测试
+ */
+export function resetHttpClients() {
+  clients.clear();
+}
+
+/**
+ * 创建客户端
+ * @param {string} provider - 服务商名称（用于错误信息）
+ * @param {Object} [options] - 见 DEFAULT_HTTP_OPTIONS
+ * @returns {Object} { fetch(url, init), run(task), state() }
+ */
+export function createHttpClient(provider, options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  const limit = createLimiter(settings.concurrency);
+  const breaker = { failures: 0, openUntil: 0, probing: false };
+
+  /**
+   * 带重试、超时、并发上限和熔断的通用调用
+   * @param {Function} task - (signal) => Promise，抛出 retryable 为 false 的错误时不重试
+   */
+  async function run(task) {
+    return limit(async () => {
+      checkBreaker();
+      let attempt = 0;
+      for (;;) {
+        try {
+          const result = await withTimeout(task, settings.timeout);
+          recordSuccess();
+          return result;
+        } catch (error) {
+          const retryable = error.retryable !== false;
+          if (!retryable || attempt >= settings.maxRetries) {
+            recordFailure(retryable);
+            throw error;
+          }
+          // 丢弃本次响应前取消响应体，释放连接
+          await error.response?.body?.cancel();
+          await sleep(retryDelay(error, attempt));
+          attempt++;
+        }
+      }
+    });
+  }
+
+  /**
+   * 带重试的 fetch：可重试的状态码用尽重试后返回最后一次响应，由调用方按 response.ok 处理
+   */
+  async function fetchWithRetry(url, init = {}) {
+    try {
+      return await run(async (signal) => {
+        const response = await fetch(url, { ...init, signal });
+        if (!RETRYABLE_STATUS.includes(response.status)) return response;
+
+        const error = new Error(`${provider} 请求失败 (${response.status})`);
+        error.status = response.status;
+        error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        error.response = response;
+        // Hugging Face 模型冷启动时返回 503，不带 Retry-After，预计加载时间在 JSON 响应体的 estimated_time（秒）
+        if (error.retryAfter === null && (response.headers.get('Content-Type') || '').includes('json')) {
+          const text = await response.text();
+          error.retryAfter = parseEstimatedTime(text);
+          // 响应体已读出，重试用尽时交给调用方的是同样内容的新响应
+          error.response = new Response(text, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+          });
+        }
+        throw error;
+      });
+    } catch (error) {
+      if (error.response) return error.response;
+      throw error;
+    }
+  }
+
+  function checkBreaker() {
+    if (breaker.openUntil === 0) return;
+    if (Date.now() < breaker.openUntil || breaker.probing) {
+      const seconds = Math.max(1, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+      const error = new Error(`${provider} 连续调用失败，已暂停调用（约 ${seconds} 秒后重试）`);
+      error.retryable = false;
+      error.circuitOpen = true;
+      throw error;
+    }
+    // 暂停结束，放行一次试探调用
+    breaker.probing = true;
+  }
+
+  function recordSuccess() {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    breaker.probing = false;
+  }
+
+  function recordFailure(retryable) {
+    // 参数错误等不可重试的失败不说明服务不可用，不计入熔断
+    if (!retryable) {
+      breaker.probing = false;
+      return;
+    }
+    breaker.failures++;
+    if (breaker.probing || breaker.failures >= settings.failureThreshold) {
+      breaker.openUntil = Date.now() + settings.cooldown;
+      console.warn(`${provider} 连续失败 ${breaker.failures} 次，暂停调用 ${settings.cooldown / 1000} 秒`);
+    }
+    breaker.probing = false;
+  }
+
+  function retryDelay(error, attempt) {
+    if (typeof error.retryAfter === 'number') {
+      return Math.min(error.retryAfter, settings.maxDelay);
+    }
+    const backoff = settings.baseDelay * Math.pow(2, attempt);
+    return Math.min(backoff / 2 + Math.random() * backoff / 2, settings.maxDelay);
+  }
+
+  return {
+    fetch: fetchWithRetry,
+    run,
+    state: () => ({
+      failures: breaker.failures,
+      open: breaker.openUntil > Date.now(),
+    }),
+  };
+}
+
+/**
+ * 并发上限：超出的任务排队，按提交顺序执行
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * 超时后中止调用（fetch 通过 signal 中止，其他调用只是不再等待）
+ */
+async function withTimeout(task, timeout) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`调用超时（${timeout / 1000} 秒）`));
+    }, timeout);
+  });
+  try {
+    return await Promise.race([task(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 解析 Retry-After（秒数或 HTTP 日期），返回毫秒
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 解析 JSON 错误响应体中的 estimated_time（秒），返回毫秒
+ */
+function parseEstimatedTime(text) {
+  try {
+    const seconds = JSON.parse(text)?.estimated_time;
+    return typeof seconds === 'number' && Number.isFinite(seconds) ? Math.max(0, seconds * 1000) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
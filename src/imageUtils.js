@@ -0,0 +1,132 @@
+/**
+ * 帧像素工具
+ * 帧像素统一为 { index, time, width, height, scale, data: RGBA }，scale 为相对原始视频的缩放比例
+ */
+
+/**
+ * 计算亮度通道（BT.601）
+ * @param {Object} frame - 帧像素
+ * @returns {Float32Array} 每个像素的亮度 (0-255)
+ */
+export function toLuma(frame) {
+  const { width, height, data } = frame;
+  const luma = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return luma;
+}
+
+/**
+ * 将画面划分为 cols x rows 个区域
+ * @returns {Array<Object>} 区域 { col, row, x0, y0, x1, y1 }（分析分辨率下的像素范围）
+ */
+export function regionGrid(width, height, cols, rows) {
+  const regions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      regions.push({
+        col,
+        row,
+        x0: Math.floor((col * width) / cols),
+        y0: Math.floor((row * height) / rows),
+        x1: Math.floor(((col + 1) * width) / cols),
+        y1: Math.floor(((row + 1) * height) / rows),
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * 将分析分辨率下的矩形换算回原始视频坐标
+ * @param {Object} rect - { x0, y0, x1, y1 }
+ * @param {number} scale - 帧像素相对原始视频的缩放比例
+ */
+export function toVideoRect(rect, scale = 1) {
+  return {
+    x: Math.round(rect.x0 / scale),
+    y: Math.round(rect.y0 / scale),
+    width: Math.round((rect.x1 - rect.x0) / scale),
+    height: Math.round((rect.y1 - rect.y0) / scale),
+  };
+}
+
+/**
+ * 双线性缩放亮度平面
+ * @param {Float32Array} luma - 亮度
+ * @param {number} width - 原宽度
+ * @param {number} height - 原高度
+ * @param {number} targetWidth - 目标宽度
+ * @param {number} targetHeight - 目标高度
+ * @returns {Float32Array} 缩放后的亮度
+ */
+export function resizeLuma(luma, width, height, targetWidth, targetHeight) {
+  if (width === targetWidth && height === targetHeight) return luma;
+
+  const output = new Float32Array(targetWidth * targetHeight);
+  const scaleX = width / targetWidth;
+  const scaleY = height / targetHeight;
+  for (let y = 0; y < targetHeight; y++) {
+    const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < targetWidth; x++) {
+      const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = luma[y0 * width + x0] * (1 - fx) + luma[y0 * width + x1] * fx;
+      const bottom = luma[y1 * width + x0] * (1 - fx) + luma[y1 * width + x1] * fx;
+      output[y * targetWidth + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return output;
+}
+
+/**
+ * 将 8 位灰度图编码为 BMP data URL（用于缩略图，无需压缩库）
+ * @param {Uint8Array} luma - 灰度像素，按行从上到下
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {string} data:image/bmp;base64,...
+ */
+export function encodeGrayBMP(luma, width, height) {
+  const rowSize = Math.ceil(width / 4) * 4;
+  const headerSize = 14 + 40 + 256 * 4;
+  const fileSize = headerSize + rowSize * height;
+  const bytes = new Uint8Array(fileSize);
+  const view = new DataView(bytes.buffer);
+
+  // BITMAPFILEHEADER
+  bytes[0] = 0x42; // 'B'
+  bytes[1] = 0x4d; // 'M'
+  view.setUint32(2, fileSize, true);
+  view.setUint32(10, headerSize, true);
+  // BITMAPINFOHEADER：8 位索引色，256 级灰度调色板
+  view.setUint32(14, 40, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true);
+  view.setUint16(26, 1, true);
+  view.setUint16(28, 8, true);
+  view.setUint32(34, rowSize * height, true);
+  view.setUint32(46, 256, true);
+  for (let i = 0; i < 256; i++) {
+    const offset = 54 + i * 4;
+    bytes[offset] = i;
+    bytes[offset + 1] = i;
+    bytes[offset + 2] = i;
+  }
+
+  // 像素行从下到上存储
+  for (let y = 0; y < height; y++) {
+    bytes.set(luma.subarray(y * width, (y + 1) * width), headerSize + (height - 1 - y) * rowSize);
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return 'data:image/bmp;base64,' + btoa(binary);
+}
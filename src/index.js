@@ -3,8 +3,37 @@
  * 使用 AI 模型检测视频质量问题
  */
 
-import { analyzeVideoMetadata, detectCorruption, sampleVideoData } from './videoProcessor.js';
-import { detectWithHuggingFace, detectWithCloudflareAI } from './aiDetector.js';
+import {
+  analyzeVideoMetadata,
+  detectCorruption,
+  detectStutter,
+  detectGOPIssues,
+  detectAudioIssues,
+  detectColorShift,
+  detectBlockArtifacts,
+  detectBlur,
+  detectMissingPerson,
+  detectFrameAnomalies,
+  splitScenes,
+  compareWithReference,
+  detectManifestIssues,
+  sampleVideoData,
+  listRetainedRanges,
+} from './videoProcessor.js';
+import { createBlobSource, createSparseSource } from './byteSource.js';
+import { openRemoteSource } from './remoteSource.js';
+import { detectManifestType } from './manifestParser.js';
+import { loadManifest, createSegmentOpener } from './manifestLoader.js';
+import { DEFAULT_MANIFEST_OPTIONS, selectSampleSegments } from './manifestAnalyzer.js';
+import { createDefaultRegistry } from './detectors.js';
+import { readDetectorConfig } from './detectorRegistry.js';
+import { createPersonDetector } from './personDetector.js';
+import { normalizeSampling, summarizeSampling, listKeyframeTimes, MAX_SAMPLE_FRAMES } from './sampling.js';
+import { DEFAULT_SCENE_OPTIONS } from './sceneAnalyzer.js';
+import { DEFAULT_TEMPORAL_OPTIONS } from './temporalAnalyzer.js';
+import { pickEvenly } from './mathUtils.js';
+import { getJobNamespace } from './jobStore.js';
+import { JobObject } from './jobObject.js';
 
 export default {
   async fetch(request, env) {
@@ -13,7 +42,7 @@ export default {
     // CORS 处理
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
     };
 
@@ -23,7 +52,7 @@ export default {
 
     // 静态文件服务
     if (url.pathname === '/' || url.pathname === '/index.html') {
-      return new Response(getHTML(), {
+      return new Response(getHTML(Boolean(getJobNamespace(env, DetectionJob))), {
         headers: { ...corsHeaders, 'Content-Type': 'text/html' },
       });
     }
@@ -33,6 +62,26 @@ export default {
       return handleVideoDetection(request, env, corsHeaders);
     }
 
+    // API 端点：关键帧 / GOP 分析
+    if (url.pathname === '/api/gop' && request.method === 'POST') {
+      return handleGOPAnalysis(request, corsHeaders);
+    }
+
+    // API 端点：与参考视频对比（PSNR / SSIM）
+    if (url.pathname === '/api/compare' && request.method === 'POST') {
+      return handleComparison(request, corsHeaders);
+    }
+
+    // API 端点：异步检测任务（提交、查询进度、取消）
+    if (url.pathname === '/api/jobs' && request.method === 'POST') {
+      return handleJobCreation(request, env, corsHeaders);
+    }
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([\w-]+)(\/webhook)?$/);
+    if (jobMatch && (request.method === 'GET' || (request.method === 'DELETE' && !jobMatch[2]))) {
+      const action = jobMatch[2] ? 'webhook' : request.method === 'DELETE' ? 'cancel' : 'status';
+      return forwardToJob(jobMatch[1], action, request.method, env, corsHeaders);
+    }
+
     return new Response('Not Found', { 
       status: 404,
       headers: corsHeaders 
@@ -46,59 +95,56 @@ export default {
 async function handleVideoDetection(request, env, corsHeaders) {
   try {
     const formData = await request.formData();
-    const useAI = formData.get('useAI') === 'true';
-    const videoFile = formData.get('video');
-    const videoUrl = formData.get('videoUrl');
-    
-    let videoBuffer;
-    let mimeType;
-    let fileSize;
-
-    // 处理文件上传或 URL
-    if (videoFile && videoFile instanceof File) {
-      // 文件上传方式
-      fileSize = videoFile.size;
-      const maxSize = 1024 * 1024 * 1024;
-      if (fileSize > maxSize) {
-        return new Response(
-          JSON.stringify({ error: '视频文件大小不能超过 1024MB' }),
-          { 
-            status: 400,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          }
-        );
-      }
-      videoBuffer = await videoFile.arrayBuffer();
-      mimeType = videoFile.type;
-    } else if (videoUrl) {
-      // URL 方式
-      try {
-        const response = await fetch(videoUrl);
-        if (!response.ok) {
-          throw new Error(`无法获取视频: ${response.status} ${response.statusText}`);
-        }
-        videoBuffer = await response.arrayBuffer();
-        fileSize = videoBuffer.byteLength;
-        mimeType = response.headers.get('content-type') || 'video/mp4';
-      } catch (error) {
-        return new Response(
-          JSON.stringify({ error: '无法加载视频 URL: ' + error.message }),
-          { 
-            status: 400,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          }
-        );
-      }
-    } else {
-      return new Response(
-        JSON.stringify({ error: '请上传视频文件或提供视频 URL' }),
-        { 
-          status: 400,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      );
+    // 同步检测直接在响应中返回结果；回调只用于异步任务，不静默忽略
+    if (formData.get('callbackUrl')) {
+      return jsonResponse({ error: 'callbackUrl 只能用于异步任务（POST /api/jobs）' }, corsHeaders, 400);
     }
-    
+    const { status, body } = await runDetection(formData, env);
+    return jsonResponse(body, corsHeaders, status);
+  } catch (error) {
+    console.error('检测错误:', error);
+    return jsonResponse({ error: '检测失败: ' + error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * 运行一次完整检测，同步请求（/api/detect）和异步任务（/api/jobs）共用
+ * @param {FormData} formData - 检测表单
+ * @param {Object} env - 环境变量
+ * @param {Function} [report] - 进度回调 (progress, stage, partial)，异步任务用它上报进度和部分结果
+ * @returns {Promise<Object>} { status, body }：body 为响应 JSON，status 不小于 400 时 body.error 为错误信息
+ */
+async function runDetection(formData, env, report = async () => {}) {
+  const useAI = formData.get('useAI') === 'true';
+  const gopOptions = readGOPOptions(formData);
+  const audioOptions = readAudioOptions(formData);
+  const blurOptions = readBlurOptions(formData);
+  const personOptions = readPersonOptions(formData);
+  const sampling = readSampling(formData);
+  const clientAudioAnalysis = readClientAudioAnalysis(formData);
+
+  // HLS / DASH 清单按扩展名识别，改为审查清单和抽样分片
+  const videoUrl = formData.get('videoUrl');
+  if (videoUrl && !(formData.get('video') instanceof File) && detectManifestType(videoUrl)) {
+    return runManifestDetection(videoUrl, formData, report);
+  }
+
+  // 处理文件上传或 URL
+  await report(2, '正在读取视频');
+  const input = await loadVideoInput(formData);
+  if (input.error) {
+    return { status: 400, body: { error: input.error } };
+  }
+  const { source, mimeType, fileSize } = input;
+
+  // 扩展名无法识别、但 Content-Type 为清单的 URL
+  if (videoUrl && detectManifestType('', mimeType)) {
+    await source.close();
+    return runManifestDetection(videoUrl, formData, report);
+  }
+
+  // 任务被取消时 report 抛出错误，需要释放远程数据流
+  try {
     // 提取视频帧（如果前端已提取）
     const extractedFrames = [];
     for (const [key, value] of formData.entries()) {
@@ -107,199 +153,696 @@ async function handleVideoDetection(request, env, corsHeaders) {
         extractedFrames.push(new Uint8Array(frameBuffer));
       }
     }
-    
+
+    // 帧像素（页面端从画布读取，用于偏色等像素级分析）
+    const framePixels = await readFramePixels(formData);
+    // 对应的 JPEG 帧供远程目标检测模型使用
+    framePixels.forEach(frame => {
+      const image = formData.get(`frame_${frame.index}`);
+      if (image instanceof File) frame.image = image;
+    });
+
     // 分析视频元数据
-    const metadata = await analyzeVideoMetadata(videoBuffer, mimeType);
+    await report(5, '正在解析容器结构');
+    const metadata = await analyzeVideoMetadata(source, mimeType);
     // 添加提取的帧到元数据（仅在启用 AI 时使用）
     if (useAI) {
       metadata.extractedFrames = extractedFrames;
     }
-    
+    // 部分结果：元数据摘要和已完成的检测项
+    const partial = { metadata: summarizeMetadata(metadata, fileSize, source), checks: {} };
+    const completed = (name, check) => {
+      partial.checks[name] = { hasIssue: check.hasIssue, issues: check.issues };
+    };
+
     // 检测文件损坏
-    const corruptionCheck = detectCorruption(videoBuffer);
-    
+    await report(20, '正在检查文件完整性', partial);
+    const corruptionCheck = await detectCorruption(source, metadata);
+    completed('corruption', corruptionCheck);
+
+    // 基于帧时间戳检测卡顿
+    const stutterCheck = detectStutter(metadata);
+    completed('stutter', stutterCheck);
+
+    // 关键帧 / GOP 结构
+    const gopCheck = detectGOPIssues(metadata, gopOptions);
+    completed('gop', gopCheck);
+
+    // 音频轨道
+    const audioCheck = detectAudioIssues(metadata, clientAudioAnalysis, audioOptions);
+    completed('audio', audioCheck);
+
+    // 帧像素偏色分析
+    await report(35, '正在分析帧像素', partial);
+    const colorCheck = detectColorShift(framePixels);
+    completed('color', colorCheck);
+
+    // 帧像素块效应 / 花屏分析
+    const blockinessCheck = detectBlockArtifacts(framePixels);
+    completed('blockiness', blockinessCheck);
+
+    // 帧像素清晰度 / 模糊分析
+    const blurCheck = detectBlur(framePixels, blurOptions);
+    completed('blur', blurCheck);
+
+    // 人物 / 人脸检测（人物画面缺残）
+    await report(45, '正在检测人物画面', partial);
+    const personCheck = await detectMissingPerson(framePixels, createPersonDetector(env), personOptions);
+    completed('person', personCheck);
+
+    // 亮度时间轴：黑场 / 冻结 / 闪烁
+    await report(60, '正在分析亮度时间轴', partial);
+    const timeline = await readTimeline(formData);
+    const temporalCheck = detectFrameAnomalies(timeline, {}, await readTimeline(formData, 'flashTimeline'));
+    completed('temporal', temporalCheck);
+
     // 采样视频数据
-    const samples = sampleVideoData(videoBuffer, 10);
-    
+    await report(65, '正在采样视频数据', partial);
+    const samples = await sampleVideoData(source, 10);
+    // 不再需要视频数据（远程下载的数据流在此取消）
+    await source.close();
+
     // 使用 AI 或默认检测视频质量问题
-    const detectionResults = await detectVideoIssues(samples, metadata, corruptionCheck, env, useAI);
+    await report(70, useAI ? '正在运行 AI 检测' : '正在汇总检测结果', partial);
+    const checks = {
+      corruption: corruptionCheck,
+      stutter: stutterCheck,
+      gop: gopCheck,
+      audio: audioCheck,
+      color: colorCheck,
+      blockiness: blockinessCheck,
+      blur: blurCheck,
+      person: personCheck,
+      temporal: temporalCheck,
+    };
+    const detectionResults = await detectVideoIssues(samples, metadata, checks, env, useAI);
     // 添加使用的检测模式信息
     detectionResults.usedAI = useAI;
+    // 回显采样策略和实际取帧时间点
+    detectionResults.sampling = summarizeSampling(sampling, framePixels, metadata);
+    // 按场景切换分段汇总花屏、偏色、模糊等问题
+    detectionResults.scenes = splitScenes(timeline, detectionResults);
+    if (detectionResults.scenes) {
+      detectionResults.details.push(...detectionResults.scenes.details);
+    }
 
-    return new Response(
-      JSON.stringify({
+    return {
+      status: 200,
+      body: {
         success: true,
         results: detectionResults,
-        metadata: {
-          size: metadata.size || fileSize,
-          codec: metadata.codec,
-          mimeType: metadata.mimeType,
-        },
+        metadata: summarizeMetadata(metadata, fileSize, source),
         sampleCount: samples.length,
-      }),
-      {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      }
-    );
+      },
+    };
+  } finally {
+    await source.close();
+  }
+}
+
+/**
+ * HLS / DASH 清单检测
+ * 读取清单（HLS 主播放列表会继续读取各档位的媒体播放列表），每个档位均匀抽样若干分片，
+ * 对抽样分片运行容器结构、卡顿和 GOP 检测，再审查码率、分辨率阶梯、编码、连续性和目标时长
+ * @returns {Promise<Object>} { status, body }，同 runDetection
+ */
+async function runManifestDetection(videoUrl, formData, report) {
+  const options = readManifestOptions(formData);
+  const gopOptions = readGOPOptions(formData);
+
+  let manifest;
+  try {
+    await report(2, '正在读取清单');
+    manifest = await loadManifest(videoUrl);
   } catch (error) {
-    console.error('检测错误:', error);
-    return new Response(
-      JSON.stringify({ 
-        error: '检测失败: ' + error.message 
-      }),
-      { 
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      }
-    );
+    if (error.cancelled) throw error;
+    return { status: 400, body: { error: '无法加载清单: ' + error.message } };
+  }
+
+  const opener = createSegmentOpener();
+  const probes = [];
+  const planned = [];
+  for (const rendition of manifest.renditions) {
+    if (rendition.kind === 'subtitle') continue;
+    for (const segment of selectSampleSegments(rendition, options.segmentSamples)) {
+      planned.push({ rendition, segment });
+    }
+  }
+  // 部分结果：清单概况和已检测的分片
+  const partial = {
+    manifest: { type: manifest.type, live: manifest.live, renditionCount: manifest.renditions.length },
+    segments: probes,
+  };
+  for (const { rendition, segment } of planned) {
+    await report(10 + 85 * probes.length / planned.length, `正在检测分片（${probes.length + 1}/${planned.length}）`, partial);
+    probes.push(await probeSegment(opener, rendition, segment, gopOptions));
   }
+
+  await report(95, '正在审查清单', partial);
+  const manifestCheck = detectManifestIssues(manifest, probes, options);
+  const segmentTransfer = opener.stats();
+  return {
+    status: 200,
+    body: {
+      success: true,
+      manifest: manifestCheck.manifest,
+      segments: probes,
+      transfer: {
+        requests: manifest.requests + segmentTransfer.requests,
+        bytesTransferred: manifest.bytesTransferred + segmentTransfer.bytesTransferred,
+      },
+    },
+  };
 }
 
 /**
- * 使用 AI 检测视频问题
+ * 对单个分片运行逐文件检测（容器结构、卡顿、GOP）
+ * 加密分片无法解析，只记录跳过原因
  */
-async function detectVideoIssues(samples, metadata, corruptionCheck, env, useAI = true) {
-  const issues = {
-    glitch: false,      // 花屏
-    corruption: false,  // 乱码
-    stutter: false,     // 卡顿
-    colorShift: false,  // 偏色
-    missingPerson: false, // 人物画面缺残
+async function probeSegment(opener, rendition, segment, gopOptions) {
+  const probe = {
+    renditionId: rendition.id,
+    index: segment.index,
+    sequence: segment.sequence,
+    uri: segment.uri,
+    declaredDuration: segment.duration,
+    size: null,
+    container: null,
+    duration: null,
+    resolution: null,
+    frameRate: null,
+    videoCodecName: null,
+    audioCodecName: null,
+    issues: [],
+    error: null,
+    skipped: null,
   };
+  if (segment.encrypted) {
+    probe.skipped = '分片已加密，无法检测';
+    return probe;
+  }
+
+  let source = null;
+  try {
+    const opened = await opener.open(rendition, segment);
+    source = opened.source;
+    probe.size = opened.mediaSize;
+
+    const metadata = await analyzeVideoMetadata(source, rendition.mimeType || 'video/mp4');
+    const corruptionCheck = await detectCorruption(source, metadata);
+    const stutterCheck = detectStutter(metadata);
+    const gopCheck = detectGOPIssues(metadata, gopOptions);
+    const videoTrack = metadata.tracks.find(track => track.type === 'video');
+    const audioTrack = metadata.tracks.find(track => track.type === 'audio');
+
+    probe.container = metadata.container;
+    probe.duration = metadata.duration || null;
+    probe.resolution = metadata.resolution;
+    probe.frameRate = metadata.frameRate;
+    probe.videoCodecName = videoTrack ? videoTrack.codecName : null;
+    probe.audioCodecName = audioTrack ? audioTrack.codecName : null;
+    probe.issues.push(...corruptionCheck.issues);
+    if (stutterCheck.hasIssue) probe.issues.push(...stutterCheck.issues);
+    if (gopCheck.hasIssue) probe.issues.push(...gopCheck.issues);
+    if (metadata.container === 'MPEG-TS') {
+      probe.skipped = 'MPEG-TS 分片只检查文件头和码率，不解析容器结构';
+    }
+  } catch (error) {
+    probe.error = error.message;
+  } finally {
+    if (source) await source.close();
+  }
+  return probe;
+}
+
+/**
+ * 处理关键帧 / GOP 分析请求
+ */
+async function handleGOPAnalysis(request, corsHeaders) {
+  try {
+    const formData = await request.formData();
+    const gopOptions = readGOPOptions(formData);
+
+    // 页面取关键帧时只上传本地文件的容器元数据范围（videoParts），不重复上传整个视频
+    const input = formData.get('videoParts') ? await loadVideoParts(formData) : await loadVideoInput(formData);
+    if (input.error) {
+      return jsonResponse({ error: input.error }, corsHeaders, 400);
+    }
+
+    const metadata = await analyzeVideoMetadata(input.source, input.mimeType);
+    await input.source.close();
+    const gopCheck = detectGOPIssues(metadata, gopOptions);
 
-  const details = [];
+    if (!gopCheck.gop) {
+      return jsonResponse({ error: '无法读取关键帧信息（仅支持 MP4/MOV/WebM/MKV）' }, corsHeaders, 422);
+    }
 
-  // 首先检查文件损坏
-  if (corruptionCheck.hasIssue) {
-    issues.corruption = true;
-    details.push(...corruptionCheck.issues);
+    return jsonResponse({
+      success: true,
+      gop: gopCheck.gop,
+      keyframeTimes: listKeyframeTimes(metadata),
+      metadata: summarizeMetadata(metadata, input.fileSize, input.source),
+    }, corsHeaders);
+  } catch (error) {
+    console.error('GOP 分析错误:', error);
+    return jsonResponse({ error: 'GOP 分析失败: ' + error.message }, corsHeaders, 500);
   }
+}
 
-  // 如果未启用 AI，只使用规则引擎检测
-  if (!useAI) {
-    const features = extractFeatures(samples, metadata);
-    const ruleBasedResults = ruleBasedDetection(features, metadata);
-    Object.assign(issues, ruleBasedResults.issues || {});
-    details.push(...(ruleBasedResults.details || []));
-    details.push('使用规则引擎检测（AI 已关闭）');
-    return {
-      issues,
-      details,
-      confidence: 0.6,
-    };
+/**
+ * 处理参考视频对比请求
+ * 参考帧: referenceFrameInfo + reference_pixels_<index>；待测帧: frameInfo + pixels_<index>
+ */
+async function handleComparison(request, corsHeaders) {
+  try {
+    const formData = await request.formData();
+    const referenceFrames = await readFramePixels(formData, 'referenceFrameInfo', 'reference_pixels_');
+    const distortedFrames = await readFramePixels(formData);
+
+    if (referenceFrames.length === 0 || distortedFrames.length === 0) {
+      return jsonResponse({ error: '请同时上传参考视频和待测视频的帧像素' }, corsHeaders, 400);
+    }
+
+    const compareCheck = compareWithReference(referenceFrames, distortedFrames, readCompareOptions(formData));
+    if (compareCheck.comparison.frameCount === 0) {
+      return jsonResponse({ error: '参考帧与待测帧无法按时间对齐' }, corsHeaders, 422);
+    }
+
+    return jsonResponse({
+      success: true,
+      comparison: compareCheck.comparison,
+    }, corsHeaders);
+  } catch (error) {
+    console.error('对比错误:', error);
+    return jsonResponse({ error: '对比失败: ' + error.message }, corsHeaders, 500);
   }
+}
 
-  // 启用 AI 检测
+/**
+ * 提交异步检测任务
+ * 表单与 /api/detect 相同；任务在以任务 ID 命名的 Durable Object（见 jobObject.js）中运行，立即返回任务 ID，
+ * 通过 GET /api/jobs/:id 查询状态、进度和部分结果，DELETE /api/jobs/:id 取消；
+ * 提供 callbackUrl 时任务结束后把结果 POST 到该地址（用 WEBHOOK_SECRET 签名，见 webhook.js）
+ */
+async function handleJobCreation(request, env, corsHeaders) {
   try {
-    // 方法1: 使用 Cloudflare AI Workers (如果有)
-    if (env.AI) {
-      const result = await detectWithCloudflareAI(samples, metadata, env);
-      // 合并结果
-      Object.assign(issues, result.issues || {});
-      details.push(...(result.details || []));
-      return {
-        issues,
-        details,
-        confidence: result.confidence || 0.8,
-      };
+    const namespace = getJobNamespace(env, DetectionJob);
+    if (!namespace) {
+      return jsonResponse({ error: '未配置异步任务（DETECTION_JOBS），请使用 /api/detect' }, corsHeaders, 503);
+    }
+    const formData = await request.formData();
+    const videoFile = formData.get('video');
+    if (!(videoFile instanceof File) && !formData.get('videoUrl')) {
+      return jsonResponse({ error: '请上传视频文件或提供视频 URL' }, corsHeaders, 400);
+    }
+    const callbackUrl = formData.get('callbackUrl') || null;
+    if (callbackUrl && !/^https?:\/\//i.test(callbackUrl)) {
+      return jsonResponse({ error: 'callbackUrl 必须是 http:// 或 https:// 地址' }, corsHeaders, 400);
+    }
+    if (callbackUrl && !env.WEBHOOK_SECRET) {
+      return jsonResponse({ error: '未配置 WEBHOOK_SECRET，无法使用回调' }, corsHeaders, 400);
     }
 
-    // 方法2: 使用 Hugging Face Inference API (免费)
-    const hfResult = await detectWithHuggingFace(samples, metadata, env);
-    // 合并结果
-    Object.assign(issues, hfResult.issues || {});
-    details.push(...(hfResult.details || []));
-    return {
-      issues,
-      details,
-      confidence: hfResult.confidence || 0.7,
-    };
+    const id = crypto.randomUUID();
+    const stub = namespace.get(namespace.idFromName(id));
+    const response = await stub.fetch(`https://job/start?id=${id}`, { method: 'POST', body: formData });
+    return jsonResponse(await response.json(), corsHeaders, response.status);
+  } catch (error) {
+    console.error('任务提交错误:', error);
+    return jsonResponse({ error: '任务提交失败: ' + error.message }, corsHeaders, 500);
+  }
+}
 
+/**
+ * 转发任务查询和取消请求：
+ * - status：status、progress（0-100）、stage、partial（运行中的部分结果）、result（完成后与 /api/detect 响应相同）、error
+ * - cancel：取消未结束的任务，已结束的任务返回 409
+ * - webhook：回调投递记录（url、status、attempts）
+ */
+async function forwardToJob(id, action, method, env, corsHeaders) {
+  try {
+    const namespace = getJobNamespace(env, DetectionJob);
+    if (!namespace) {
+      return jsonResponse({ error: '未配置异步任务（DETECTION_JOBS）' }, corsHeaders, 503);
+    }
+    const stub = namespace.get(namespace.idFromName(id));
+    const response = await stub.fetch(`https://job/${action}`, { method });
+    return jsonResponse(await response.json(), corsHeaders, response.status);
   } catch (error) {
-    console.error('AI 检测错误:', error);
-    // 如果 AI 检测失败，回退到规则引擎
-    const features = extractFeatures(samples, metadata);
-    const ruleBasedResults = ruleBasedDetection(features, metadata);
-    Object.assign(issues, ruleBasedResults.issues || {});
-    details.push(...(ruleBasedResults.details || []));
-    details.push('AI 检测失败，已回退到规则引擎检测');
-    return {
-      issues,
-      details,
-      confidence: 0.5,
-    };
+    console.error('任务查询错误:', error);
+    return jsonResponse({ error: '任务查询失败: ' + error.message }, corsHeaders, 500);
   }
 }
 
 /**
- * 提取视频特征（用于规则引擎）
+ * 检测任务 Durable Object：在 wrangler.toml 中以 DETECTION_JOBS 绑定，运行与 /api/detect 相同的检测
  */
-function extractFeatures(samples, metadata) {
-  const features = {
-    dataVariance: [],
-    dataMean: [],
-    fileSize: metadata.size,
-    codec: metadata.codec,
-  };
+export class DetectionJob extends JobObject {
+  describe(formData) {
+    const videoFile = formData.get('video');
+    return videoFile instanceof File
+      ? { fileName: videoFile.name, fileSize: videoFile.size }
+      : { videoUrl: formData.get('videoUrl') };
+  }
 
-  samples.forEach(sample => {
-    features.dataVariance.push(sample.variance);
-    features.dataMean.push(sample.mean);
-  });
+  async run(formData, report) {
+    const { status, body } = await runDetection(formData, this.env, report);
+    if (status >= 400) {
+      throw new Error(body.error);
+    }
+    return body;
+  }
+}
+
+/**
+ * 读取对比参数：alignTolerance 为参考帧与待测帧允许的时间差（秒）
+ */
+function readCompareOptions(formData) {
+  const tolerance = parseFloat(formData.get('alignTolerance'));
+  return tolerance >= 0 ? { alignTolerance: tolerance } : {};
+}
 
-  const varianceChanges = [];
-  for (let i = 1; i < features.dataVariance.length; i++) {
-    const change = Math.abs(features.dataVariance[i] - features.dataVariance[i - 1]);
-    varianceChanges.push(change);
+/**
+ * 读取清单检测参数：segmentSamples 为每个档位抽样检查的分片数，bandwidthTolerance 为实测码率超过声明码率的容差
+ */
+function readManifestOptions(formData) {
+  const options = {};
+  const segmentSamples = parseInt(formData.get('segmentSamples'), 10);
+  options.segmentSamples = segmentSamples > 0
+    ? Math.min(segmentSamples, DEFAULT_MANIFEST_OPTIONS.maxSegmentSamples)
+    : DEFAULT_MANIFEST_OPTIONS.segmentSamples;
+  const tolerance = parseFloat(formData.get('bandwidthTolerance'));
+  if (tolerance >= 0) options.bandwidthTolerance = tolerance;
+  return options;
+}
+
+/**
+ * 读取 GOP 分析参数：keyframeWindow 为开头必须出现关键帧的秒数
+ */
+function readGOPOptions(formData) {
+  const keyframeWindow = parseFloat(formData.get('keyframeWindow'));
+  return keyframeWindow > 0 ? { initialKeyframeWindow: keyframeWindow } : {};
+}
+
+/**
+ * 读取音频检测参数：audioTolerance 为允许的音视频时长差（秒）
+ */
+function readAudioOptions(formData) {
+  const tolerance = parseFloat(formData.get('audioTolerance'));
+  return tolerance >= 0 ? { durationTolerance: tolerance } : {};
+}
+
+/**
+ * 读取模糊检测参数：blurProfile 为阈值预设（camera / screen），
+ * blurLaplacianThreshold、blurEdgeDensity 分别覆盖拉普拉斯方差和边缘密度阈值
+ */
+function readBlurOptions(formData) {
+  const options = {};
+  const profile = formData.get('blurProfile');
+  if (profile) options.profile = profile;
+  const laplacian = parseFloat(formData.get('blurLaplacianThreshold'));
+  if (laplacian >= 0) options.minLaplacianVariance = laplacian;
+  const edgeDensity = parseFloat(formData.get('blurEdgeDensity'));
+  if (edgeDensity >= 0) options.minEdgeDensity = edgeDensity;
+  return options;
+}
+
+/**
+ * 读取人物检测参数：expectPerson 为 true 时画面中应有人物，缺失、截断或遮挡会判定为问题
+ */
+function readPersonOptions(formData) {
+  return formData.get('expectPerson') === 'true' ? { expectPerson: true } : {};
+}
+
+/**
+ * 读取帧采样参数：sampling 为 JSON { strategy, count, interval, timestamps, fallback }
+ */
+function readSampling(formData) {
+  const raw = formData.get('sampling');
+  if (!raw || typeof raw !== 'string') return normalizeSampling(null);
+  try {
+    return normalizeSampling(JSON.parse(raw));
+  } catch (error) {
+    console.warn('采样参数解析失败:', error);
+    return normalizeSampling(null);
+  }
+}
+
+/**
+ * 读取页面端上报的 Web Audio 分析结果（JSON）
+ */
+function readClientAudioAnalysis(formData) {
+  const raw = formData.get('audioAnalysis');
+  if (!raw || typeof raw !== 'string') return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn('音频分析结果解析失败:', error);
+    return null;
+  }
+}
+
+/**
+ * 读取页面上传的帧像素
+ * frameInfo 为 JSON 数组 [{ index, time, width, height, scale, crop }]，
+ * pixels_<index> 为对应帧的原始 RGBA 数据；
+ * 高分辨率视频另有 pixels_crop_<index>：原始分辨率的区域 crop { x, y, width, height }，供块效应分析
+ * @param {FormData} formData - 表单
+ * @param {string} [infoField] - 帧信息字段名
+ * @param {string} [pixelPrefix] - 像素字段前缀
+ * @returns {Promise<Array<Object>>} 帧像素 { index, time, width, height, scale, data, blockCrop }
+ */
+async function readFramePixels(formData, infoField = 'frameInfo', pixelPrefix = 'pixels_') {
+  const raw = formData.get(infoField);
+  if (!raw || typeof raw !== 'string') return [];
+
+  let frameInfo;
+  try {
+    frameInfo = JSON.parse(raw);
+  } catch (error) {
+    console.warn('帧信息解析失败:', error);
+    return [];
+  }
+  if (!Array.isArray(frameInfo)) return [];
+
+  const frames = [];
+  for (const info of frameInfo) {
+    const file = formData.get(`${pixelPrefix}${info.index}`);
+    if (!(file instanceof File)) continue;
+
+    const data = new Uint8ClampedArray(await file.arrayBuffer());
+    if (!(info.width > 0 && info.height > 0) || data.length !== info.width * info.height * 4) {
+      console.warn(`帧 ${info.index} 像素数据尺寸不符，已忽略`);
+      continue;
+    }
+
+    frames.push({
+      index: info.index,
+      time: typeof info.time === 'number' ? info.time : null,
+      width: info.width,
+      height: info.height,
+      scale: info.scale || 1,
+      data,
+      blockCrop: await readBlockCrop(formData.get(`${pixelPrefix}crop_${info.index}`), info.crop),
+    });
+  }
+  return frames;
+}
+
+/**
+ * 读取块效应分析用的原始分辨率区域，缺失或尺寸不符时返回 null
+ */
+async function readBlockCrop(file, crop) {
+  if (!(file instanceof File) || !crop || !(crop.width > 0 && crop.height > 0)) return null;
+  const data = new Uint8ClampedArray(await file.arrayBuffer());
+  if (data.length !== crop.width * crop.height * 4) {
+    console.warn('块效应区域像素数据尺寸不符，已忽略');
+    return null;
+  }
+  return { x: crop.x || 0, y: crop.y || 0, width: crop.width, height: crop.height, data };
+}
+
+/**
+ * 读取页面上传的亮度时间轴
+ * timeline 为 JSON { width, height, times }，timelineLuma 为按采样顺序拼接的 8 位亮度缩略图；
+ * 闪烁加密采样以相同格式放在 flashTimeline / flashTimelineLuma
+ * @param {string} [field] - 字段名前缀
+ * @returns {Promise<Array<Object>>} 采样 { time, width, height, luma: Uint8Array }
+ */
+async function readTimeline(formData, field = 'timeline') {
+  const raw = formData.get(field);
+  const file = formData.get(`${field}Luma`);
+  if (!raw || typeof raw !== 'string' || !(file instanceof File)) return [];
+
+  let info;
+  try {
+    info = JSON.parse(raw);
+  } catch (error) {
+    console.warn('时间轴信息解析失败:', error);
+    return [];
   }
 
-  features.varianceVolatility = varianceChanges.reduce((a, b) => a + b, 0) / varianceChanges.length;
-  features.maxVarianceChange = varianceChanges.length > 0 ? Math.max(...varianceChanges) : 0;
+  const frameSize = info.width * info.height;
+  const data = new Uint8Array(await file.arrayBuffer());
+  if (!(frameSize > 0) || !Array.isArray(info.times) || data.length !== frameSize * info.times.length) {
+    console.warn('时间轴亮度数据尺寸不符，已忽略');
+    return [];
+  }
 
-  return features;
+  return info.times.map((time, i) => ({
+    time: Number(time),
+    width: info.width,
+    height: info.height,
+    luma: data.subarray(i * frameSize, (i + 1) * frameSize),
+  }));
 }
 
 /**
- * 基于规则的检测
+ * 响应中返回的元数据摘要
+ * 远程视频附带 transfer：读取方式、请求次数和实际传输的字节数；
+ * partialScan 不为 null 时容器扫描达到读取次数上限，媒体数据只扫描了开头 scannedBytes 字节
  */
-function ruleBasedDetection(features, metadata) {
-  const results = {
-    glitch: false,
-    corruption: false,
-    stutter: false,
-    colorShift: false,
-    missingPerson: false,
-    details: [],
+function summarizeMetadata(metadata, fileSize, source) {
+  return {
+    size: metadata.size || fileSize,
+    codec: metadata.codec,
+    mimeType: metadata.mimeType,
+    container: metadata.container,
+    duration: metadata.duration,
+    resolution: metadata.resolution,
+    frameRate: metadata.frameRate,
+    videoCodec: metadata.videoCodec,
+    audioCodec: metadata.audioCodec,
+    timescale: metadata.timescale,
+    trackCount: metadata.trackCount,
+    transfer: source && source.stats ? source.stats() : null,
+    partialScan: metadata.partialScan,
   };
+}
 
-  // 检测花屏：数据方差异常高
-  if (features.varianceVolatility > 5000) {
-    results.glitch = true;
-    results.details.push('检测到数据异常波动，可能存在花屏问题');
+/**
+ * 从表单中读取视频（文件上传或 URL）
+ * 返回按范围读取的字节源（见 byteSource.js），不把整个视频读入内存：
+ * 上传的文件按需 slice；远程视频优先用 HTTP Range 按需读取（见 remoteSource.js），
+ * 服务器不支持范围请求时边下载边解析，只保留文件头和数据采样位置
+ * @returns {Promise<Object>} { source, mimeType, fileSize }；出错时为 { error }
+ */
+async function loadVideoInput(formData) {
+  const videoFile = formData.get('video');
+  const videoUrl = formData.get('videoUrl');
+
+  let source;
+  let mimeType;
+  let fileSize;
+
+  if (videoFile && videoFile instanceof File) {
+    // 文件上传方式
+    fileSize = videoFile.size;
+    const maxSize = 1024 * 1024 * 1024;
+    if (fileSize > maxSize) {
+      return { error: '视频文件大小不能超过 1024MB' };
+    }
+    source = createBlobSource(videoFile);
+    mimeType = videoFile.type;
+  } else if (videoUrl) {
+    // URL 方式
+    try {
+      ({ source, mimeType } = await openRemoteSource(videoUrl, {
+        retainedRanges: size => listRetainedRanges(size),
+      }));
+      fileSize = source.size;
+    } catch (error) {
+      return { error: '无法加载视频 URL: ' + error.message };
+    }
+  } else {
+    return { error: '请上传视频文件或提供视频 URL' };
   }
 
-  // 检测乱码：文件头异常或数据模式异常
-  if (!metadata.codec) {
-    results.corruption = true;
-    results.details.push('无法识别视频编码格式，可能存在乱码或文件损坏');
-  }
+  return { source, mimeType, fileSize };
+}
 
-  // 检测卡顿：方差变化过大
-  if (features.maxVarianceChange > 10000) {
-    results.stutter = true;
-    results.details.push('检测到数据不连续性，可能存在卡顿问题');
+/**
+ * 读取只包含部分范围的视频
+ * videoParts 为 JSON { size: 原文件大小, ranges: [[start, end], ...] }，videoPartData 为各范围按顺序拼接的数据
+ * @returns {Promise<Object>} { source, mimeType, fileSize }；出错时为 { error }
+ */
+async function loadVideoParts(formData) {
+  const data = formData.get('videoPartData');
+  let parts;
+  try {
+    parts = JSON.parse(formData.get('videoParts'));
+  } catch (error) {
+    return { error: 'videoParts 不是有效的 JSON' };
+  }
+  const ranges = parts && Array.isArray(parts.ranges) ? parts.ranges : null;
+  const valid = ranges && Number.isInteger(parts.size) && parts.size > 0 &&
+    ranges.every(range => Array.isArray(range) && Number.isInteger(range[0]) && Number.isInteger(range[1]) &&
+      range[0] >= 0 && range[0] < range[1] && range[1] <= parts.size);
+  if (!valid || !(data instanceof File)) {
+    return { error: 'videoParts 格式无效' };
   }
+  const expected = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+  if (data.size !== expected) {
+    return { error: `videoPartData 大小不符：应为 ${expected} 字节，实际 ${data.size} 字节` };
+  }
+
+  const bytes = new Uint8Array(await data.arrayBuffer());
+  let position = 0;
+  const source = createSparseSource(parts.size, ranges.map(([start, end]) => {
+    const part = { offset: start, bytes: bytes.subarray(position, position + end - start) };
+    position += end - start;
+    return part;
+  }));
+  return { source, mimeType: formData.get('mimeType') || 'video/mp4', fileSize: parts.size };
+}
 
-  // 偏色和人物检测需要实际的图像分析
-  results.details.push('偏色和人物画面检测需要视频帧图像分析（请启用 AI 检测）');
+/**
+ * 生成 JSON 响应
+ */
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
 
-  return results;
+/**
+ * 运行检测器注册表并汇总结果
+ * @param {Array} samples - 采样数据
+ * @param {Object} metadata - 视频元数据
+ * @param {Object} checks - 容器和帧像素层面的检测结果（corruption、stutter、gop、audio、color、blockiness、blur、person、temporal）
+ * @param {Object} env - 环境变量（DETECTORS、DETECTOR_MODE、DETECTOR_WEIGHTS 及各后端的配置）
+ * @param {boolean} useAI - 是否启用 AI 检测
+ */
+async function detectVideoIssues(samples, metadata, checks, env, useAI = true) {
+  const registry = createDefaultRegistry();
+  const merged = await registry.run({ samples, metadata, checks, env }, readDetectorConfig(env, useAI));
+
+  return {
+    issues: merged.issues,
+    issueProbabilities: merged.issueProbabilities,
+    issueConfidence: merged.issueConfidence,
+    issueSources: merged.issueSources,
+    details: merged.details,
+    confidence: merged.confidence,
+    qualityScore: merged.qualityScore,
+    detectors: merged.detectors,
+    frameTiming: checks.stutter.timing,
+    gop: checks.gop.gop,
+    audio: checks.audio.audio,
+    color: checks.color.color,
+    blockiness: checks.blockiness.blockiness,
+    sharpness: checks.blur.sharpness,
+    person: checks.person.person,
+    temporal: checks.temporal.temporal,
+  };
 }
 
 /**
  * HTML 页面
+ * @param {boolean} jobsEnabled - 是否提供异步任务（/api/jobs）；否则页面直接调用 /api/detect
  */
-function getHTML() {
+function getHTML(jobsEnabled = false) {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -468,6 +1011,27 @@ function getHTML() {
       line-height: 1.6;
     }
 
+    .scene-item {
+      display: flex;
+      gap: 15px;
+      align-items: center;
+      padding: 10px 0 10px 10px;
+      border-left: 3px solid #51cf66;
+      margin: 10px 0;
+    }
+
+    .scene-item.issue {
+      border-left-color: #ff6b6b;
+    }
+
+    .scene-thumbnail {
+      width: 128px;
+      height: auto;
+      border-radius: 5px;
+      image-rendering: pixelated;
+      flex-shrink: 0;
+    }
+
     .loading {
       text-align: center;
       padding: 40px;
@@ -673,6 +1237,47 @@ function getHTML() {
         </label>
       </div>
 
+      <!-- 帧采样策略 -->
+      <div class="ai-toggle-section">
+        <div class="ai-toggle-label">
+          <span>🎯 帧采样</span>
+          <span style="font-size: 0.9em; color: #666;" id="samplingHint">(均匀抽取的帧数)</span>
+        </div>
+        <div>
+          <select id="samplingStrategy">
+            <option value="count">固定帧数</option>
+            <option value="interval">固定间隔</option>
+            <option value="scene">场景切换</option>
+            <option value="keyframe">关键帧</option>
+          </select>
+          <input type="number" id="samplingValue" value="5" min="0.1" step="any" style="width: 70px;">
+        </div>
+      </div>
+
+      <!-- 人物出镜 -->
+      <div class="ai-toggle-section">
+        <div class="ai-toggle-label">
+          <span>🧑 画面中应有人物</span>
+          <span style="font-size: 0.9em; color: #666;">(缺失、截断或遮挡时报告人物画面缺残)</span>
+        </div>
+        <label class="toggle-switch">
+          <input type="checkbox" id="expectPersonToggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+
+      <!-- 内容类型（模糊检测阈值预设） -->
+      <div class="ai-toggle-section">
+        <div class="ai-toggle-label">
+          <span>🔍 内容类型</span>
+          <span style="font-size: 0.9em; color: #666;">(用于模糊检测阈值)</span>
+        </div>
+        <select id="blurProfile">
+          <option value="camera">摄像机画面</option>
+          <option value="screen">屏幕录制</option>
+        </select>
+      </div>
+
       <!-- URL 输入区域 -->
       <div class="url-input-section">
         <h3>📺 或通过 URL 上传视频</h3>
@@ -703,11 +1308,22 @@ function getHTML() {
 
       <button class="btn" id="detectBtn" disabled>开始检测</button>
 
+      <!-- 参考视频对比 -->
+      <div class="url-input-section">
+        <h3>🎞️ 与参考视频对比（PSNR / SSIM）</h3>
+        <div class="url-input-wrapper">
+          <input type="file" id="referenceInput" class="url-input" accept="video/*">
+          <button class="url-btn" id="compareBtn" disabled>开始对比</button>
+        </div>
+        <video id="referenceVideo" muted style="display: none;"></video>
+      </div>
+
       <div class="error" id="errorMsg"></div>
 
       <div class="loading" id="loading">
         <div class="spinner"></div>
         <p>正在分析视频，请稍候...</p>
+        <button class="url-btn" id="cancelJobBtn" style="display: none;">取消检测</button>
       </div>
 
       <div class="results" id="results">
@@ -724,15 +1340,27 @@ function getHTML() {
     const videoPreview = document.getElementById('videoPreview');
     const detectBtn = document.getElementById('detectBtn');
     const loading = document.getElementById('loading');
+    const cancelJobBtn = document.getElementById('cancelJobBtn');
     const results = document.getElementById('results');
     const resultsContent = document.getElementById('resultsContent');
     const errorMsg = document.getElementById('errorMsg');
     const aiToggle = document.getElementById('aiToggle');
+    const blurProfile = document.getElementById('blurProfile');
+    const expectPersonToggle = document.getElementById('expectPersonToggle');
+    const samplingStrategy = document.getElementById('samplingStrategy');
+    const samplingValue = document.getElementById('samplingValue');
+    const samplingHint = document.getElementById('samplingHint');
     const videoUrlInput = document.getElementById('videoUrlInput');
     const loadUrlBtn = document.getElementById('loadUrlBtn');
+    const referenceInput = document.getElementById('referenceInput');
+    const referenceVideo = document.getElementById('referenceVideo');
+    const compareBtn = document.getElementById('compareBtn');
 
     let selectedFile = null;
-    let videoSource = null; // 'file' 或 'url'
+    let videoSource = null; // 'file'、'url' 或 'manifest'（HLS / DASH 清单）
+    let manifestUrl = null;
+    // 清单 URL 不在页面播放，直接提交给 Worker 检查
+    const MANIFEST_URL_PATTERN = /[.](m3u8|mpd)$/i;
 
     // 点击上传区域
     uploadArea.addEventListener('click', () => {
@@ -783,6 +1411,7 @@ function getHTML() {
       previewVideo.crossOrigin = null; // 本地文件不需要 CORS
       videoPreview.style.display = 'block';
       detectBtn.disabled = false;
+      updateCompareButton();
       results.classList.remove('show');
       hideError();
 
@@ -814,6 +1443,18 @@ function getHTML() {
       hideError();
 
       try {
+        if (MANIFEST_URL_PATTERN.test(new URL(url).pathname)) {
+          selectedFile = null;
+          videoSource = 'manifest';
+          manifestUrl = url;
+          previewVideo.removeAttribute('src');
+          videoPreview.style.display = 'none';
+          detectBtn.disabled = false;
+          updateCompareButton();
+          results.classList.remove('show');
+          return;
+        }
+
         // 设置视频源
         selectedFile = null;
         videoSource = 'url';
@@ -821,6 +1462,7 @@ function getHTML() {
         previewVideo.src = url;
         videoPreview.style.display = 'block';
         detectBtn.disabled = false;
+        updateCompareButton();
         results.classList.remove('show');
 
         // 等待视频加载
@@ -860,19 +1502,149 @@ function getHTML() {
       }
     });
 
-    function isValidUrl(string) {
-      try {
-        const url = new URL(string);
-        return url.protocol === 'http:' || url.protocol === 'https:';
-      } catch (_) {
-        return false;
+    // 选择参考视频
+    referenceInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      if (!file.type.startsWith('video/')) {
+        showError('请选择视频文件');
+        return;
       }
+      referenceVideo.src = URL.createObjectURL(file);
+      referenceVideo.addEventListener('loadedmetadata', updateCompareButton, { once: true });
+      hideError();
+    });
+
+    function updateCompareButton() {
+      compareBtn.disabled = !(previewVideo.src && referenceVideo.src);
     }
 
-    // 开始检测
-    detectBtn.addEventListener('click', async () => {
-      // 检查是否有视频源（文件或URL）
-      if (!selectedFile && !previewVideo.src) {
+    // 与参考视频对比：两个视频在相同时间点取帧，由 Worker 计算 PSNR / SSIM
+    compareBtn.addEventListener('click', async () => {
+      compareBtn.disabled = true;
+      loading.classList.add('show');
+      results.classList.remove('show');
+      hideError();
+
+      const loadingText = loading.querySelector('p');
+      try {
+        if (!referenceVideo.duration || !previewVideo.duration) {
+          throw new Error('视频未加载完成，请稍后再试');
+        }
+
+        if (loadingText) loadingText.textContent = '正在提取对比帧...';
+        const duration = Math.min(referenceVideo.duration, previewVideo.duration);
+        const count = 10;
+        const times = [];
+        for (let i = 1; i <= count; i++) {
+          times.push(Math.min((duration / (count + 1)) * i, duration - 0.1));
+        }
+
+        const referenceFrames = await extractFramesAt(referenceVideo, times);
+        const distortedFrames = await extractFramesAt(previewVideo, times);
+
+        const formData = new FormData();
+        appendFramePixels(formData, referenceFrames, 'referenceFrameInfo', 'reference_pixels_');
+        appendFramePixels(formData, distortedFrames, 'frameInfo', 'pixels_');
+
+        if (loadingText) loadingText.textContent = '正在计算 PSNR / SSIM...';
+        const response = await fetch('/api/compare', {
+          method: 'POST',
+          body: formData,
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || '对比失败');
+        }
+
+        displayComparison(data.comparison);
+      } catch (error) {
+        console.error('对比过程错误:', error);
+        showError(error.message || '对比失败，请重试');
+      } finally {
+        loading.classList.remove('show');
+        if (loadingText) loadingText.textContent = '正在分析视频，请稍候...';
+        updateCompareButton();
+      }
+    });
+
+    /**
+     * 将帧像素添加到 FormData
+     * @param {FormData} formData - 表单
+     * @param {Array<Object>} frames - 提取的帧 { time, pixels }
+     * @param {string} infoField - 帧信息字段名
+     * @param {string} pixelPrefix - 像素字段前缀
+     * @param {boolean} [withBlockCrop] - 是否上传块效应分析用的原始分辨率区域（字段为 pixelPrefix + 'crop_' + 下标）
+     */
+    function appendFramePixels(formData, frames, infoField, pixelPrefix, withBlockCrop = false) {
+      const frameInfo = [];
+      frames.forEach((frame, index) => {
+        if (!frame.pixels) return;
+        formData.append(pixelPrefix + index, new Blob([frame.pixels.data.buffer]), pixelPrefix + index + '.rgba');
+        const crop = withBlockCrop ? frame.pixels.blockCrop : null;
+        if (crop) {
+          formData.append(pixelPrefix + 'crop_' + index, new Blob([crop.data.buffer]), pixelPrefix + 'crop_' + index + '.rgba');
+        }
+        frameInfo.push({
+          index,
+          time: frame.time,
+          width: frame.pixels.width,
+          height: frame.pixels.height,
+          scale: frame.pixels.scale,
+          crop: crop ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height } : null,
+        });
+      });
+      formData.append(infoField, JSON.stringify(frameInfo));
+    }
+
+    // 采样策略切换：固定间隔时输入框为秒数，其余为帧数（上限）
+    const SAMPLING_HINTS = {
+      count: { hint: '(均匀抽取的帧数)', value: 5 },
+      interval: { hint: '(每隔多少秒取一帧)', value: 2 },
+      scene: { hint: '(每个场景取一帧，最多帧数)', value: 10 },
+      keyframe: { hint: '(在关键帧处取帧，最多帧数)', value: 10 },
+    };
+    samplingStrategy.addEventListener('change', () => {
+      const config = SAMPLING_HINTS[samplingStrategy.value];
+      samplingHint.textContent = config.hint;
+      samplingValue.value = config.value;
+    });
+
+    /**
+     * 读取页面上的采样设置
+     * @returns {Object} { strategy, count, interval }
+     */
+    function readSamplingControls() {
+      const strategy = samplingStrategy.value;
+      const value = parseFloat(samplingValue.value);
+      const sampling = { strategy, count: 5, interval: 2 };
+      if (strategy === 'interval') {
+        if (value > 0) sampling.interval = value;
+        sampling.count = MAX_SAMPLE_FRAMES;
+      } else if (value >= 1) {
+        sampling.count = Math.min(MAX_SAMPLE_FRAMES, Math.round(value));
+      }
+      return sampling;
+    }
+
+    function isValidUrl(string) {
+      try {
+        const url = new URL(string);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+      } catch (_) {
+        return false;
+      }
+    }
+
+    // 开始检测
+    detectBtn.addEventListener('click', async () => {
+      if (videoSource === 'manifest') {
+        await detectManifest();
+        return;
+      }
+
+      // 检查是否有视频源（文件或URL）
+      if (!selectedFile && !previewVideo.src) {
         showError('请先上传视频文件或输入视频 URL');
         return;
       }
@@ -906,15 +1678,50 @@ function getHTML() {
 
         console.log('开始提取视频帧...');
         
+        // 按固定间隔采样亮度缩略图，用于黑场、冻结和闪烁检测，也用于按场景切换取帧
+        if (loadingText) loadingText.textContent = '正在采样亮度时间轴...';
+        const timeline = await Promise.race([
+          extractTimeline(previewVideo),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('亮度时间轴采样超时（60秒），请重试')), 60000)
+          )
+        ]);
+        console.log('时间轴采样数:', timeline ? timeline.times.length : 0);
+
+        // 时间轴间隔过大时，在亮度跳变附近加密采样，用于闪烁检测；失败时只影响闪烁检测
+        let flashTimeline = null;
+        if (timeline) {
+          if (loadingText) loadingText.textContent = '正在加密采样亮度跳变...';
+          try {
+            flashTimeline = await Promise.race([
+              extractFlashWindows(previewVideo, timeline),
+              new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('闪烁加密采样超时（60秒）')), 60000)
+              )
+            ]);
+          } catch (error) {
+            console.warn('闪烁加密采样失败:', error);
+          }
+          console.log('闪烁加密采样数:', flashTimeline ? flashTimeline.times.length : 0);
+        }
+
+        if (loadingText) loadingText.textContent = '正在提取视频帧...';
+        const sampling = readSamplingControls();
+
         // 提取视频帧（添加超时保护）
         const frames = await Promise.race([
-          extractVideoFrames(previewVideo, 5),
+          extractVideoFrames(previewVideo, sampling, timeline),
           new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('视频帧提取超时（30秒），请重试')), 30000)
+            setTimeout(() => reject(new Error('视频帧提取超时（60秒），请重试')), 60000)
           )
         ]);
 
-        console.log('成功提取帧数:', frames.length);
+        console.log('成功提取帧数:', frames.length, '采样策略:', sampling);
+
+        // 页面端解码音频，检测静音和削波
+        if (loadingText) loadingText.textContent = '正在分析音频...';
+        const audioAnalysis = await analyzeAudioTrack();
+        console.log('音频分析结果:', audioAnalysis);
 
         if (loadingText) loadingText.textContent = '正在分析视频，请稍候...';
 
@@ -929,40 +1736,49 @@ function getHTML() {
         
         // 添加 AI 开关状态
         formData.append('useAI', aiToggle.checked ? 'true' : 'false');
-        
-        // 将提取的帧添加到 FormData
-        frames.forEach((frame, index) => {
-          formData.append(\`frame_\${index}\`, frame, \`frame_\${index}.jpg\`);
-        });
 
-        console.log('发送检测请求...');
-        
-        const response = await fetch('/api/detect', {
-          method: 'POST',
-          body: formData,
-        });
+        // 添加模糊检测阈值预设
+        formData.append('blurProfile', blurProfile.value);
 
-        console.log('检测响应状态:', response.status);
+        // 添加人物出镜要求
+        formData.append('expectPerson', expectPersonToggle.checked ? 'true' : 'false');
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('检测请求失败:', errorText);
-          let errorData;
-          try {
-            errorData = JSON.parse(errorText);
-          } catch (e) {
-            errorData = { error: errorText || '检测失败' };
-          }
-          throw new Error(errorData.error || '检测失败');
+        // 添加采样策略和计划取帧的时间点
+        formData.append('sampling', JSON.stringify(sampling));
+
+        // 添加音频分析结果
+        if (audioAnalysis) {
+          formData.append('audioAnalysis', JSON.stringify(audioAnalysis));
+        }
+        
+        // 将提取的帧和帧像素添加到 FormData
+        frames.forEach((frame, index) => {
+          formData.append(\`frame_\${index}\`, frame.blob, \`frame_\${index}.jpg\`);
+        });
+        appendFramePixels(formData, frames, 'frameInfo', 'pixels_', true);
+
+        // 添加亮度时间轴
+        if (timeline) {
+          formData.append('timeline', JSON.stringify({
+            width: timeline.width,
+            height: timeline.height,
+            times: timeline.times,
+          }));
+          formData.append('timelineLuma', new Blob([timeline.luma]), 'timeline.luma');
+        }
+        if (flashTimeline) {
+          formData.append('flashTimeline', JSON.stringify({
+            width: flashTimeline.width,
+            height: flashTimeline.height,
+            times: flashTimeline.times,
+          }));
+          formData.append('flashTimelineLuma', new Blob([flashTimeline.luma]), 'flash.luma');
         }
 
-        const data = await response.json();
+        console.log('提交检测任务...');
+        const data = await requestDetection(formData, loadingText);
         console.log('检测完成，结果:', data);
 
-        if (!response.ok) {
-          throw new Error(data.error || '检测失败');
-        }
-
         displayResults(data);
       } catch (error) {
         console.error('检测过程错误:', error);
@@ -981,39 +1797,375 @@ function getHTML() {
       }
     });
 
+    // 提交检测：配置了异步任务时提交任务并轮询进度，长时间分析不会让单个请求一直挂起；否则直接调用 /api/detect
+    const JOBS_ENABLED = ${jobsEnabled};
+    const JOB_POLL_INTERVAL = 1000;
+    // 轮询上限：超过后取消任务并报错
+    const JOB_POLL_TIMEOUT = 30 * 60 * 1000;
+    let currentJobId = null;
+
+    async function requestDetection(formData, loadingText) {
+      if (JOBS_ENABLED) {
+        return runDetectionJob(formData, loadingText);
+      }
+      const response = await fetch('/api/detect', { method: 'POST', body: formData });
+      const text = await response.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        data = { error: text || '检测失败' };
+      }
+      if (!response.ok) {
+        throw new Error(data.error || '检测失败');
+      }
+      return data;
+    }
+
+    async function runDetectionJob(formData, loadingText) {
+      const response = await fetch('/api/jobs', { method: 'POST', body: formData });
+      const created = await response.json();
+      if (!response.ok) {
+        throw new Error(created.error || '检测失败');
+      }
+      console.log('检测任务已提交:', created.jobId);
+
+      currentJobId = created.jobId;
+      cancelJobBtn.style.display = 'inline-block';
+      const deadline = Date.now() + JOB_POLL_TIMEOUT;
+      try {
+        for (;;) {
+          if (Date.now() > deadline) {
+            fetch(created.statusUrl, { method: 'DELETE' }).catch(() => {});
+            throw new Error(\`检测超时（超过 \${JOB_POLL_TIMEOUT / 60000} 分钟未完成），任务已取消\`);
+          }
+          await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+          const statusResponse = await fetch(created.statusUrl);
+          const data = await statusResponse.json();
+          if (!statusResponse.ok) {
+            throw new Error(data.error || '无法获取任务状态');
+          }
+          const job = data.job;
+          if (job.status === 'completed') return job.result;
+          if (job.status === 'failed') throw new Error(job.error || '检测失败');
+          if (job.status === 'cancelled') throw new Error('检测已取消');
+          if (loadingText) loadingText.textContent = \`\${job.stage}（\${job.progress}%）...\`;
+        }
+      } finally {
+        currentJobId = null;
+        cancelJobBtn.style.display = 'none';
+      }
+    }
+
+    cancelJobBtn.addEventListener('click', async () => {
+      if (!currentJobId) return;
+      cancelJobBtn.disabled = true;
+      try {
+        await fetch(\`/api/jobs/\${currentJobId}\`, { method: 'DELETE' });
+      } catch (error) {
+        console.error('取消任务失败:', error);
+      } finally {
+        cancelJobBtn.disabled = false;
+      }
+    });
+
+    // 单次检测最多采样的帧数（与 Worker 端 MAX_SAMPLE_FRAMES 一致）
+    const MAX_SAMPLE_FRAMES = ${MAX_SAMPLE_FRAMES};
+    // 按场景切换取帧的参数（取自 Worker 端 DEFAULT_SCENE_OPTIONS，切分规则见 findSceneStarts）
+    const SCENE_CUT_THRESHOLD = ${DEFAULT_SCENE_OPTIONS.cutThreshold};
+    const SCENE_HISTOGRAM_BINS = ${DEFAULT_SCENE_OPTIONS.histogramBins};
+    const SCENE_MIN_DURATION = ${DEFAULT_SCENE_OPTIONS.minSceneDuration};
+    const SCENE_MAX_COUNT = ${DEFAULT_SCENE_OPTIONS.maxScenes};
+
     /**
      * 从视频中提取帧
      * @param {HTMLVideoElement} video - 视频元素
-     * @param {number} count - 要提取的帧数
-     * @returns {Promise<Array<Blob>>} 提取的帧图像
+     * @param {Object} sampling - 采样策略 { strategy, count, interval }，计划的时间点写回 sampling.timestamps
+     * @param {Object|null} timeline - 亮度时间轴（场景切换策略使用）
+     * @returns {Promise<Array<Object>>} 提取的帧 { blob, time, pixels }
      */
-    async function extractVideoFrames(video, count = 5) {
+    async function extractVideoFrames(video, sampling = { strategy: 'count', count: 5 }, timeline = null) {
       // 检查视频是否已准备好
       if (!video.videoWidth || !video.videoHeight || !video.duration || isNaN(video.duration)) {
         throw new Error('视频未准备好，无法提取帧');
       }
 
+      let times = [];
+      try {
+        times = await planSampleTimes(video, sampling, timeline);
+      } catch (error) {
+        console.warn('采样策略无法取帧，回退到固定帧数:', error);
+      }
+      if (times.length === 0) {
+        sampling.fallback = 'count';
+        times = uniformTimes(video.duration, sampling.count);
+      }
+
+      sampling.timestamps = times;
+      return extractFramesAt(video, times);
+    }
+
+    /**
+     * 按采样策略计算取帧时间点
+     */
+    async function planSampleTimes(video, sampling, timeline) {
+      const duration = video.duration;
+      const end = Math.max(0, duration - 0.1);
+
+      if (sampling.strategy === 'interval') {
+        const times = [];
+        for (let time = sampling.interval; time < duration && times.length < MAX_SAMPLE_FRAMES; time += sampling.interval) {
+          times.push(Math.min(time, end));
+        }
+        return times;
+      }
+
+      if (sampling.strategy === 'scene') {
+        if (!timeline) throw new Error('没有亮度时间轴，无法识别场景切换');
+        // 每个场景取中间时间点
+        const starts = findSceneStarts(timeline);
+        const times = starts.map((start, i) => {
+          const next = i + 1 < starts.length ? starts[i + 1] : duration;
+          return Math.min((start + next) / 2, end);
+        });
+        return pickEvenly(times, sampling.count);
+      }
+
+      if (sampling.strategy === 'keyframe') {
+        const keyframeTimes = await fetchKeyframeTimes();
+        return pickEvenly(keyframeTimes.filter(time => time <= end), sampling.count);
+      }
+
+      return uniformTimes(duration, sampling.count);
+    }
+
+    function uniformTimes(duration, count) {
+      const interval = Math.max(0.1, duration / (count + 1));
+      const times = [];
+      for (let i = 1; i <= count; i++) {
+        times.push(Math.min(interval * i, duration - 0.1));
+      }
+      return times;
+    }
+
+    // 从列表中均匀抽取不超过 count 个（与 Worker 端共用 mathUtils.js 的实现）
+    ${pickEvenly}
+
+    /**
+     * 在亮度时间轴上查找场景起点（第一个场景从 0 开始）
+     * 规则与 Worker 端 sceneAnalyzer.js 的 detectSceneCuts 相同：相邻采样直方图差异超过阈值，
+     * 且切换点前后 SCENE_MIN_DURATION 处的画面仍不相同（排除闪光等瞬时变化）；
+     * 按差异从大到小接受与已有切换点和首尾都相距不少于 SCENE_MIN_DURATION 的切换点，最多 SCENE_MAX_COUNT 个场景
+     */
+    function findSceneStarts(timeline) {
+      const times = timeline.times;
+      if (times.length === 0) return [0];
+      const size = timeline.width * timeline.height;
+      const histograms = times.map((_, i) => {
+        const bins = new Float64Array(SCENE_HISTOGRAM_BINS);
+        for (let p = 0; p < size; p++) {
+          bins[(timeline.luma[i * size + p] * SCENE_HISTOGRAM_BINS) >> 8] += 1 / size;
+        }
+        return bins;
+      });
+      const distance = (a, b) => {
+        let sum = 0;
+        for (let i = 0; i < SCENE_HISTOGRAM_BINS; i++) sum += Math.abs(histograms[a][i] - histograms[b][i]);
+        return sum / 2;
+      };
+
+      const candidates = [];
+      for (let i = 1; i < times.length; i++) {
+        const score = distance(i - 1, i);
+        if (score <= SCENE_CUT_THRESHOLD) continue;
+        let before = i - 1;
+        while (before > 0 && times[i - 1] - times[before] < SCENE_MIN_DURATION) before--;
+        let after = i;
+        while (after + 1 < times.length && times[after] - times[i] < SCENE_MIN_DURATION) after++;
+        if (distance(i - 1, after) > SCENE_CUT_THRESHOLD && distance(before, i) > SCENE_CUT_THRESHOLD) {
+          candidates.push({ time: times[i], score });
+        }
+      }
+
+      // 结束时间为最后一个采样加上采样间隔的中位数
+      const deltas = times.slice(1).map((time, i) => time - times[i]).filter(delta => delta > 0).sort((a, b) => a - b);
+      const endTime = times[times.length - 1] + (deltas.length ? deltas[Math.floor(deltas.length / 2)] : 0);
+      const cuts = [];
+      candidates
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+          if (cuts.length >= SCENE_MAX_COUNT - 1) return;
+          const tooClose = candidate.time - times[0] < SCENE_MIN_DURATION ||
+            endTime - candidate.time < SCENE_MIN_DURATION ||
+            cuts.some(time => Math.abs(time - candidate.time) < SCENE_MIN_DURATION);
+          if (!tooClose) cuts.push(candidate.time);
+        });
+      return [0, ...cuts.sort((a, b) => a - b)];
+    }
+
+    /**
+     * 调用 /api/gop 读取关键帧时间点
+     * 本地文件不重复上传整个视频，只上传容器元数据所在的范围（见 collectMetadataRanges）
+     */
+    async function fetchKeyframeTimes() {
+      const formData = new FormData();
+      if (videoSource === 'file' && selectedFile) {
+        const ranges = await collectMetadataRanges(selectedFile);
+        formData.append('videoParts', JSON.stringify({ size: selectedFile.size, ranges }));
+        formData.append('videoPartData', new Blob(ranges.map(([start, end]) => selectedFile.slice(start, end))));
+        formData.append('mimeType', selectedFile.type);
+      } else {
+        formData.append('videoUrl', previewVideo.src);
+      }
+      const response = await fetch('/api/gop', { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || '无法读取关键帧');
+      }
+      return data.keyframeTimes || [];
+    }
+
+    // 读取本地文件容器结构时每次读入的字节数、元素头之后附带的字节数（块头、Timecode 等）、最多上传的范围数
+    const METADATA_READ_SIZE = 1024 * 1024;
+    const METADATA_PEEK_SIZE = 32;
+    const MAX_METADATA_RANGES = 200000;
+    // EBML 元素 ID：逐个读取子元素的容器（Segment、Cluster、BlockGroup），整体上传的元素（EBML 头、Info、Tracks）
+    const EBML_CONTAINERS = [0x18538067, 0x1F43B675, 0xA0];
+    const EBML_WHOLE = [0x1A45DFA3, 0x1549A966, 0x1654AE6B];
+
+    /**
+     * 在本地文件中找出 Worker 端容器解析需要读取的范围，按偏移递增且已合并相邻范围 [[start, end], ...]
+     * - MP4/MOV：每个顶层 box 的头部，ftyp / moov / moof 整体
+     * - WebM/MKV：每个元素的头部及其开头 METADATA_PEEK_SIZE 字节，EBML 头、Info、Tracks 整体
+     * 其他格式没有关键帧信息，抛出错误（由采样策略回退为固定帧数）
+     */
+    async function collectMetadataRanges(file) {
+      const read = createFileReader(file);
+      const head = await read(0, 8);
+      const boxType = String.fromCharCode(...head.subarray(4, 8));
+      let ranges;
+      if (['ftyp', 'styp', 'moov', 'mdat', 'free', 'skip', 'wide'].includes(boxType)) {
+        ranges = await collectBoxRanges(read, file.size);
+      } else if (head[0] === 0x1A && head[1] === 0x45 && head[2] === 0xDF && head[3] === 0xA3) {
+        ranges = await collectEBMLRanges(read, file.size);
+      } else {
+        throw new Error('该格式没有可读取的关键帧信息');
+      }
+
+      const merged = [];
+      ranges.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+      });
+      return merged;
+    }
+
+    /**
+     * 顺序读取本地文件，每次读入 METADATA_READ_SIZE 字节
+     */
+    function createFileReader(file) {
+      let cache = { offset: 0, bytes: new Uint8Array(0) };
+      return async (offset, length) => {
+        if (offset < cache.offset || offset + length > cache.offset + cache.bytes.length) {
+          const end = Math.min(file.size, offset + Math.max(length, METADATA_READ_SIZE));
+          cache = { offset, bytes: new Uint8Array(await file.slice(offset, end).arrayBuffer()) };
+        }
+        return cache.bytes.subarray(offset - cache.offset, offset - cache.offset + length);
+      };
+    }
+
+    async function collectBoxRanges(read, size) {
+      const ranges = [];
+      let offset = 0;
+      while (offset + 8 <= size) {
+        const header = await read(offset, 16);
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const type = String.fromCharCode(...header.subarray(4, 8));
+        let boxSize = view.getUint32(0);
+        if (boxSize === 1 && header.length >= 16) boxSize = Number(view.getBigUint64(8));
+        else if (boxSize === 0) boxSize = size - offset;
+        if (boxSize < 8) break;
+
+        const end = Math.min(size, offset + boxSize);
+        ranges.push([offset, ['ftyp', 'moov', 'moof'].includes(type) ? end : Math.min(end, offset + 16)]);
+        if (ranges.length > MAX_METADATA_RANGES) throw new Error('容器中的 box 过多');
+        offset = end;
+      }
+      return ranges;
+    }
+
+    async function collectEBMLRanges(read, size) {
+      const ranges = [];
+      let offset = 0;
+      while (offset < size) {
+        const header = await read(offset, 12);
+        const id = readEBMLVint(header, 0, true);
+        const length = id ? readEBMLVint(header, id.length, false) : null;
+        if (!length) break;
+
+        const dataStart = offset + id.length + length.length;
+        const end = length.unknown ? size : Math.min(size, dataStart + length.value);
+        if (EBML_CONTAINERS.includes(id.value)) {
+          // 容器只上传头部，继续读取其中的子元素
+          ranges.push([offset, dataStart]);
+          offset = dataStart;
+        } else {
+          ranges.push([offset, EBML_WHOLE.includes(id.value) ? end : Math.min(end, dataStart + METADATA_PEEK_SIZE)]);
+          offset = end;
+        }
+        if (ranges.length > MAX_METADATA_RANGES) throw new Error('容器中的元素过多');
+      }
+      return ranges;
+    }
+
+    /**
+     * 读取 EBML 变长整数；keepMarker 为 true 时保留长度标记位（元素 ID）
+     * @returns {Object|null} { value, length, unknown: 大小为全 1（未知大小） }
+     */
+    function readEBMLVint(bytes, offset, keepMarker) {
+      const first = bytes[offset];
+      if (!first) return null;
+      let length = 1;
+      while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+      if (length > 8 || offset + length > bytes.length) return null;
+
+      let value = keepMarker ? first : first & (0xFF >> length);
+      let unknown = !keepMarker && value === (0xFF >> length);
+      for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xFF) unknown = false;
+      }
+      return { value, length, unknown };
+    }
+
+    /**
+     * 在指定时间点提取帧
+     * @param {HTMLVideoElement} video - 视频元素
+     * @param {Array<number>} times - 时间点（秒）
+     * @returns {Promise<Array<Object>>} 提取的帧 { blob, time, pixels }
+     */
+    async function extractFramesAt(video, times) {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
       
       canvas.width = video.videoWidth;
       canvas.height = video.videoHeight;
       
-      const duration = video.duration;
-      const interval = Math.max(0.1, duration / (count + 1));
       const frames = [];
       
       // 顺序提取帧，避免并发冲突
-      for (let i = 1; i <= count; i++) {
-        const time = Math.min(interval * i, duration - 0.1);
-        
+      for (let i = 0; i < times.length; i++) {
         try {
-          const blob = await extractSingleFrame(video, canvas, ctx, time, i);
-          if (blob) {
-            frames.push(blob);
+          const frame = await extractSingleFrame(video, canvas, ctx, times[i], i + 1);
+          if (frame) {
+            frames.push(frame);
           }
         } catch (error) {
-          console.warn(\`提取第 \${i} 帧失败:\`, error);
+          console.warn(\`提取第 \${i + 1} 帧失败:\`, error);
           // 继续提取其他帧
         }
       }
@@ -1032,7 +2184,7 @@ function getHTML() {
      * @param {CanvasRenderingContext2D} ctx - 画布上下文
      * @param {number} time - 要提取的时间点（秒）
      * @param {number} index - 帧索引
-     * @returns {Promise<Blob>} 提取的帧图像
+     * @returns {Promise<Object>} 提取的帧 { blob: JPEG 图像, time, pixels: 分析用像素 }
      */
     function extractSingleFrame(video, canvas, ctx, time, index) {
       return new Promise((resolve, reject) => {
@@ -1055,13 +2207,15 @@ function getHTML() {
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             // 绘制视频帧
             ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            // 读取分析用像素
+            const pixels = captureFramePixels(canvas);
             // 转换为 Blob
             canvas.toBlob((blob) => {
               video.removeEventListener('seeked', onSeeked);
               video.removeEventListener('error', onError);
               
               if (blob) {
-                resolve(blob);
+                resolve({ blob, time: video.currentTime, pixels });
               } else {
                 reject(new Error('无法将帧转换为图像'));
               }
@@ -1089,20 +2243,384 @@ function getHTML() {
       });
     }
 
+    // 亮度时间轴：缩略图宽度、最多采样数和最小采样间隔（秒）
+    const TIMELINE_WIDTH = 64;
+    const TIMELINE_MAX_SAMPLES = 240;
+    const TIMELINE_MIN_INTERVAL = 0.1;
+    // 闪烁加密采样：时间轴间隔超过 FLASH_MAX_INTERVAL 时，在相邻采样相对亮度变化超过 FLASH_DELTA 的位置
+    // 按 TIMELINE_MIN_INTERVAL 重新采样 FLASH_WINDOW 秒，变化最大的优先，最多 FLASH_MAX_WINDOWS 处
+    // （阈值取自 Worker 端 DEFAULT_TEMPORAL_OPTIONS）
+    const FLASH_MAX_INTERVAL = ${DEFAULT_TEMPORAL_OPTIONS.maxFlashInterval};
+    const FLASH_DELTA = ${DEFAULT_TEMPORAL_OPTIONS.flashDelta};
+    const FLASH_WINDOW = 2;
+    const FLASH_MAX_WINDOWS = 12;
+
+    /**
+     * 按固定间隔逐帧跳转，采样低分辨率亮度缩略图
+     * @param {HTMLVideoElement} video - 视频元素
+     * @returns {Promise<Object|null>} { width, height, times, luma }；跨域画布无法读取时返回 null
+     */
+    async function extractTimeline(video) {
+      const width = TIMELINE_WIDTH;
+      const height = Math.max(1, Math.round(TIMELINE_WIDTH * video.videoHeight / video.videoWidth));
+      const interval = Math.max(TIMELINE_MIN_INTERVAL, video.duration / TIMELINE_MAX_SAMPLES);
+      const count = Math.max(2, Math.floor(video.duration / interval));
+      return sampleLuma(video, width, height, Array.from({ length: count }, (_, i) => i * interval));
+    }
+
+    /**
+     * 时间轴间隔过大时，在亮度跳变附近加密采样，供 Worker 检测闪烁
+     * @param {HTMLVideoElement} video - 视频元素
+     * @param {Object} timeline - extractTimeline 的结果
+     * @returns {Promise<Object|null>} 与时间轴格式相同；间隔足够小或没有亮度跳变时返回 null
+     */
+    async function extractFlashWindows(video, timeline) {
+      const { width, height, times } = timeline;
+      if (times.length < 2 || times[1] - times[0] <= FLASH_MAX_INTERVAL) return null;
+
+      const size = width * height;
+      const luminance = times.map((_, i) => {
+        let sum = 0;
+        for (let p = 0; p < size; p++) sum += RELATIVE_LUMINANCE[timeline.luma[i * size + p]];
+        return sum / size;
+      });
+      const jumps = [];
+      for (let i = 1; i < times.length; i++) {
+        const delta = Math.abs(luminance[i] - luminance[i - 1]);
+        if (delta >= FLASH_DELTA) jumps.push({ time: (times[i - 1] + times[i]) / 2, delta });
+      }
+      if (jumps.length === 0) return null;
+
+      const starts = jumps
+        .sort((a, b) => b.delta - a.delta)
+        .slice(0, FLASH_MAX_WINDOWS)
+        .map(jump => Math.max(0, Math.min(video.duration - FLASH_WINDOW, jump.time - FLASH_WINDOW / 2)))
+        .sort((a, b) => a - b);
+      // 重叠的窗口只采样一次
+      const sampleTimes = [];
+      starts.forEach(start => {
+        for (let j = 0; j * TIMELINE_MIN_INTERVAL < FLASH_WINDOW; j++) {
+          const time = start + j * TIMELINE_MIN_INTERVAL;
+          const last = sampleTimes[sampleTimes.length - 1];
+          if (last === undefined || time > last + TIMELINE_MIN_INTERVAL / 2) sampleTimes.push(time);
+        }
+      });
+      return sampleLuma(video, width, height, sampleTimes);
+    }
+
+    /**
+     * 逐个时间点跳转，采样 width x height 的亮度缩略图
+     * @returns {Promise<Object|null>} { width, height, times, luma }；跨域画布无法读取时返回 null
+     */
+    async function sampleLuma(video, width, height, sampleTimes) {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+      const luma = new Uint8Array(sampleTimes.length * width * height);
+      const times = [];
+
+      for (const time of sampleTimes) {
+        try {
+          await seekVideo(video, time);
+          ctx.drawImage(video, 0, 0, width, height);
+          const data = ctx.getImageData(0, 0, width, height).data;
+          const offset = times.length * width * height;
+          for (let p = 0; p < width * height; p++) {
+            luma[offset + p] = Math.round(0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2]);
+          }
+          times.push(time);
+        } catch (error) {
+          console.warn('亮度时间轴采样失败:', error);
+          if (error.name === 'SecurityError') return null;
+        }
+      }
+
+      return { width, height, times, luma: luma.subarray(0, times.length * width * height) };
+    }
+
+    // sRGB 亮度值到线性相对亮度的查找表（与 Worker 端闪烁检测相同）
+    const RELATIVE_LUMINANCE = Array.from({ length: 256 }, (_, i) => {
+      const c = i / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+
+    /**
+     * 跳转到指定时间并等待 seeked 事件
+     */
+    function seekVideo(video, time) {
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          video.removeEventListener('seeked', onSeeked);
+          reject(new Error('视频跳转超时'));
+        }, 5000);
+        const onSeeked = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.currentTime = time;
+      });
+    }
+
+    // 页面端音频解码限制：超过该大小的文件不解码，避免占用过多内存
+    const MAX_AUDIO_DECODE_SIZE = 200 * 1024 * 1024;
+    // 静音阈值 (-50 dBFS) 与最短静音时长（秒）
+    const SILENCE_LEVEL = Math.pow(10, -50 / 20);
+    const MIN_SILENCE = 2;
+    // 削波判定：连续 3 个及以上采样达到满幅
+    const CLIP_LEVEL = 0.999;
+    const CLIP_RUN = 3;
+
+    /**
+     * 使用 Web Audio 解码音频轨道并检测静音和削波
+     * @returns {Promise<Object|null>} 分析结果；无法解码时返回带 error 的对象
+     */
+    async function analyzeAudioTrack() {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        return null;
+      }
+
+      let arrayBuffer;
+      try {
+        if (videoSource === 'file' && selectedFile) {
+          if (selectedFile.size > MAX_AUDIO_DECODE_SIZE) {
+            return { error: '文件过大，跳过音频解码' };
+          }
+          arrayBuffer = await selectedFile.arrayBuffer();
+        } else {
+          const response = await fetch(previewVideo.src);
+          if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+          }
+          // 先按 Content-Length 判断，没有或启用压缩传输时边读边计数，超过上限即停止下载
+          const length = Number(response.headers.get('content-length'));
+          if (length > MAX_AUDIO_DECODE_SIZE) {
+            await response.body?.cancel();
+            return { error: '文件过大，跳过音频解码' };
+          }
+          arrayBuffer = await readLimited(response, MAX_AUDIO_DECODE_SIZE);
+          if (!arrayBuffer) {
+            return { error: '文件过大，跳过音频解码' };
+          }
+        }
+      } catch (error) {
+        return { error: '无法读取音频数据: ' + error.message };
+      }
+
+      const audioContext = new AudioContextClass();
+      try {
+        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+        return measureAudio(audioBuffer);
+      } catch (error) {
+        // 没有音轨或编码不受支持
+        return { error: '音频解码失败: ' + (error && error.message ? error.message : error) };
+      } finally {
+        audioContext.close();
+      }
+    }
+
+    /**
+     * 读取响应体，超过 limit 字节时取消下载并返回 null
+     * @returns {Promise<ArrayBuffer|null>}
+     */
+    async function readLimited(response, limit) {
+      if (!response.body) return response.arrayBuffer();
+      const reader = response.body.getReader();
+      const chunks = [];
+      let total = 0;
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (total > limit) {
+          await reader.cancel();
+          return null;
+        }
+        chunks.push(value);
+      }
+      const bytes = new Uint8Array(total);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      });
+      return bytes.buffer;
+    }
+
+    /**
+     * 按 50ms 窗口统计 RMS 和削波采样
+     * @param {AudioBuffer} audioBuffer - 解码后的音频
+     */
+    function measureAudio(audioBuffer) {
+      const sampleRate = audioBuffer.sampleRate;
+      const windowSize = Math.max(1, Math.round(sampleRate * 0.05));
+      const channels = [];
+      for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+      }
+
+      const silentRanges = [];
+      const clippedRanges = [];
+      let silenceStart = null;
+      let clippedSamples = 0;
+
+      for (let start = 0; start < audioBuffer.length; start += windowSize) {
+        const end = Math.min(start + windowSize, audioBuffer.length);
+        const time = start / sampleRate;
+        let sumSquares = 0;
+        let windowClipped = 0;
+
+        channels.forEach(data => {
+          let run = 0;
+          for (let i = start; i < end; i++) {
+            const value = data[i];
+            sumSquares += value * value;
+            if (Math.abs(value) >= CLIP_LEVEL) {
+              run++;
+              if (run === CLIP_RUN) windowClipped += CLIP_RUN;
+              else if (run > CLIP_RUN) windowClipped++;
+            } else {
+              run = 0;
+            }
+          }
+        });
+
+        const rms = Math.sqrt(sumSquares / ((end - start) * channels.length));
+        if (rms < SILENCE_LEVEL) {
+          if (silenceStart === null) silenceStart = time;
+        } else if (silenceStart !== null) {
+          silentRanges.push({ start: silenceStart, end: time });
+          silenceStart = null;
+        }
+
+        if (windowClipped > 0) {
+          clippedSamples += windowClipped;
+          const last = clippedRanges[clippedRanges.length - 1];
+          // 间隔不足 0.5 秒的削波合并为一段
+          if (last && time - last.end < 0.5) {
+            last.end = end / sampleRate;
+          } else {
+            clippedRanges.push({ start: time, end: end / sampleRate });
+          }
+        }
+      }
+
+      if (silenceStart !== null) {
+        silentRanges.push({ start: silenceStart, end: audioBuffer.duration });
+      }
+
+      return {
+        duration: audioBuffer.duration,
+        sampleRate,
+        channelCount: audioBuffer.numberOfChannels,
+        totalSamples: audioBuffer.length * channels.length,
+        clippedSamples,
+        silentRanges: silentRanges.filter(range => range.end - range.start >= MIN_SILENCE).slice(0, 50),
+        clippedRanges: clippedRanges.slice(0, 50),
+      };
+    }
+
+    // 像素分析的最大宽度，超过则按比例缩小以控制上传大小
+    const ANALYSIS_MAX_WIDTH = 960;
+    // 缩放后 8px 编码块小于该像素数时无法定位块边界（与 blockinessAnalyzer.js 一致），
+    // 此时另截取原始分辨率的中心区域（按 16px 对齐）供块效应分析
+    const BLOCK_MIN_STEP = 3;
+    const BLOCK_CROP_WIDTH = 960;
+    const BLOCK_CROP_HEIGHT = 544;
+    const analysisCanvas = document.createElement('canvas');
+    const analysisCtx = analysisCanvas.getContext('2d', { willReadFrequently: true });
+
+    /**
+     * 从画布读取分析用 RGBA 像素
+     * @param {HTMLCanvasElement} sourceCanvas - 已绘制视频帧的画布（原始分辨率）
+     * @returns {Object|null} { width, height, scale, data, blockCrop: { x, y, width, height, data } | null }；
+     *   跨域画布无法读取时返回 null
+     */
+    function captureFramePixels(sourceCanvas) {
+      const scale = Math.min(1, ANALYSIS_MAX_WIDTH / sourceCanvas.width);
+      analysisCanvas.width = Math.round(sourceCanvas.width * scale);
+      analysisCanvas.height = Math.round(sourceCanvas.height * scale);
+      analysisCtx.drawImage(sourceCanvas, 0, 0, analysisCanvas.width, analysisCanvas.height);
+      try {
+        const imageData = analysisCtx.getImageData(0, 0, analysisCanvas.width, analysisCanvas.height);
+        return {
+          width: imageData.width,
+          height: imageData.height,
+          scale,
+          data: imageData.data,
+          blockCrop: 8 * scale < BLOCK_MIN_STEP ? captureBlockCrop(sourceCanvas) : null,
+        };
+      } catch (error) {
+        console.warn('无法读取帧像素（可能受 CORS 限制）:', error);
+        return null;
+      }
+    }
+
+    /**
+     * 截取原始分辨率的中心区域，起点按 16px 对齐，使区域内的块边界与编码块一致
+     */
+    function captureBlockCrop(sourceCanvas) {
+      const width = Math.min(BLOCK_CROP_WIDTH, Math.floor(sourceCanvas.width / 16) * 16);
+      const height = Math.min(BLOCK_CROP_HEIGHT, Math.floor(sourceCanvas.height / 16) * 16);
+      const x = Math.floor((sourceCanvas.width - width) / 32) * 16;
+      const y = Math.floor((sourceCanvas.height - height) / 32) * 16;
+      const imageData = sourceCanvas.getContext('2d').getImageData(x, y, width, height);
+      return { x, y, width, height, data: imageData.data };
+    }
+
+    function formatSampling(sampling) {
+      if (!sampling) return '未知';
+      const names = { count: '固定帧数', interval: '固定间隔', scene: '场景切换', keyframe: '关键帧' };
+      const strategy = names[sampling.strategy] + (sampling.fallback ? '（已回退为' + names[sampling.fallback] + '）' : '');
+      const times = sampling.timestamps.length ? sampling.timestamps.map(time => time.toFixed(2) + 's').join(', ') : '无';
+      return strategy + '，取帧时间: ' + times;
+    }
+
+    function formatTransfer(transfer) {
+      const modes = { range: '范围请求', stream: '顺序下载', full: '整体下载' };
+      return formatFileSize(transfer.bytesTransferred) + '（' + modes[transfer.mode] + '，' + transfer.requests + ' 次请求）';
+    }
+
+    function formatDetectors(detectors) {
+      if (!detectors || detectors.length === 0) return '未知';
+      const reasons = { unknown: '未知检测器', aiDisabled: 'AI 已关闭', notConfigured: '未配置' };
+      return detectors.map(detector => {
+        if (detector.status === 'skipped') return detector.name + '（' + (reasons[detector.reason] || '已跳过') + '）';
+        if (detector.status === 'failed') return detector.name + '（失败）';
+        return detector.name;
+      }).join(', ');
+    }
+
     function displayResults(data) {
       const issues = data.results?.issues || {};
       const details = data.results?.details || [];
       const confidence = data.results?.confidence || 0;
       const usedAI = data.results?.usedAI !== false; // 默认为 true
+      const issueSources = data.results?.issueSources || {};
+      const issueConfidence = data.results?.issueConfidence || {};
+      const qualityScore = data.results?.qualityScore;
 
       let html = \`<div class="result-item">
         <div class="result-title">检测概览</div>
         <div class="result-details">
           <p>文件大小: \${formatFileSize(data.metadata?.size || 0)}</p>
-          <p>视频格式: \${data.metadata?.codec || '未知'}</p>
+          \${data.metadata?.transfer ? '<p>实际传输: ' + formatTransfer(data.metadata.transfer) + '</p>' : ''}
+          \${data.metadata?.partialScan ? '<p>部分扫描: 读取次数达到上限（' + data.metadata.partialScan.maxReads + ' 次），时间戳和索引只覆盖前 ' + formatFileSize(data.metadata.partialScan.scannedBytes) + '</p>' : ''}
+          <p>视频格式: \${data.metadata?.container || data.metadata?.codec || '未知'}</p>
+          <p>视频编码: \${data.metadata?.videoCodec || '未知'}\${data.metadata?.audioCodec ? ' / 音频编码: ' + data.metadata.audioCodec : ''}</p>
+          <p>时长: \${data.metadata?.duration ? data.metadata.duration.toFixed(2) + ' 秒' : '未知'}</p>
+          <p>分辨率: \${data.metadata?.resolution ? data.metadata.resolution.width + 'x' + data.metadata.resolution.height : '未知'}</p>
+          <p>帧率: \${data.metadata?.frameRate ? data.metadata.frameRate + ' fps' : '未知'}</p>
+          <p>轨道数: \${data.metadata?.trackCount || 0}</p>
           <p>采样点数: \${data.sampleCount || 0}</p>
+          <p>帧采样: \${formatSampling(data.results?.sampling)}</p>
+          <p>综合质量分: <strong>\${typeof qualityScore === 'number' ? qualityScore + ' / 100' : '未知'}</strong></p>
           <p>置信度: \${(confidence * 100).toFixed(1)}%</p>
           <p>检测模式: <strong>\${usedAI ? '🤖 AI 模型检测' : '⚙️ 规则引擎检测'}</strong></p>
+          <p>检测器: \${formatDetectors(data.results?.detectors)}</p>
         </div>
       </div>\`;
 
@@ -1112,12 +2630,167 @@ function getHTML() {
         stutter: '卡顿检测',
         colorShift: '偏色检测',
         missingPerson: '人物画面缺残检测',
+        audio: '音频检测',
+        blur: '模糊检测',
+        frameAnomaly: '黑场/冻结/闪烁检测',
       };
 
       for (const [key, value] of Object.entries(issues)) {
         html += \`<div class="result-item \${value ? 'issue' : 'ok'}">
-          <div class="result-title">\${issueNames[key] || key}: \${value ? '❌ 发现问题' : '✅ 正常'}</div>
-          <div class="result-details">\${value ? '检测到潜在问题，建议检查视频质量' : '未发现明显问题'}</div>
+          <div class="result-title">\${issueNames[key] || key}: \${value ? '❌ 发现问题' : '✅ 正常'}\${typeof issueConfidence[key] === 'number' ? '（置信度 ' + (issueConfidence[key] * 100).toFixed(0) + '%）' : '（未检测）'}</div>
+          <div class="result-details">\${value ? '检测到潜在问题，建议检查视频质量' + (issueSources[key]?.length ? '（来源: ' + issueSources[key].join(', ') + '）' : '') : '未发现明显问题'}</div>
+        </div>\`;
+      }
+
+      const frameTiming = data.results?.frameTiming;
+      if (frameTiming && frameTiming.frameCount > 0) {
+        const formatRange = (event) => \`\${event.start.toFixed(3)}s - \${event.end.toFixed(3)}s\`;
+        html += \`<div class="result-item">
+          <div class="result-title">帧时间分析</div>
+          <div class="result-details">
+            <p>分析帧数: \${frameTiming.frameCount}</p>
+            <p>标称帧间隔: \${frameTiming.nominalFrameDuration ? (frameTiming.nominalFrameDuration * 1000).toFixed(2) + ' ms' : '未知'}</p>
+            <p>抖动系数: \${frameTiming.jitter.toFixed(3)}\${frameTiming.isVariableFrameRate ? '（可变帧率）' : ''}</p>
+            <p>掉帧: \${frameTiming.droppedFrames.length ? frameTiming.droppedFrames.map(formatRange).join(', ') : '无'}</p>
+            <p>重复时间戳: \${frameTiming.duplicateTimestamps.length ? frameTiming.duplicateTimestamps.map(formatRange).join(', ') : '无'}</p>
+            <p>帧间隔异常: \${frameTiming.irregularDurations.length ? frameTiming.irregularDurations.map(formatRange).join(', ') : '无'}</p>
+          </div>
+        </div>\`;
+      }
+
+      const gop = data.results?.gop;
+      if (gop && gop.frameCount > 0) {
+        html += \`<div class="result-item \${gop.hasIssue ? 'issue' : 'ok'}">
+          <div class="result-title">关键帧 / GOP 结构: \${gop.hasIssue ? '⚠️ 影响拖动定位' : '✅ 正常'}</div>
+          <div class="result-details">
+            <p>关键帧数: \${gop.keyframeCount} / 总帧数 \${gop.frameCount}</p>
+            <p>第一个关键帧: \${gop.firstKeyframeTime !== null ? gop.firstKeyframeTime + 's' : '无'}</p>
+            <p>平均 GOP: \${gop.avgGopFrames} 帧 / \${gop.avgGopSeconds}s</p>
+            <p>最长 GOP: \${gop.maxGopFrames} 帧 / \${gop.maxGopSeconds}s</p>
+          </div>
+        </div>\`;
+      }
+
+      const temporal = data.results?.temporal;
+      if (temporal) {
+        const positionNames = { start: '开头 ', end: '结尾 ', middle: '' };
+        const formatRanges = (ranges) => ranges.length
+          ? ranges.map(range => (positionNames[range.position] || '') + range.start + 's - ' + range.end + 's').join(', ')
+          : '无';
+        html += \`<div class="result-item">
+          <div class="result-title">黑场 / 冻结 / 闪烁</div>
+          <div class="result-details">
+            <p>时间轴采样: \${temporal.sampleCount} 帧，间隔 \${temporal.sampleInterval}s</p>
+            <p>黑场: \${formatRanges(temporal.blackRanges)}</p>
+            <p>画面冻结: \${formatRanges(temporal.frozenRanges)}</p>
+            <p>闪烁: \${temporal.flashAnalyzed ? formatRanges(temporal.flashRanges) : '采样间隔过大，未检测'}\${temporal.flashWindows?.length ? '（只检测了亮度跳变附近 ' + temporal.flashWindows.length + ' 段）' : ''}</p>
+          </div>
+        </div>\`;
+      }
+
+      const scenes = data.results?.scenes;
+      if (scenes && scenes.sceneCount > 0) {
+        const flagNames = { glitch: '花屏', colorShift: '偏色', blur: '模糊', frameAnomaly: '黑场/冻结/闪烁' };
+        html += \`<div class="result-item">
+          <div class="result-title">场景分析（共 \${scenes.sceneCount} 个场景）</div>
+          <div class="result-details">
+            \${scenes.scenes.map(scene => {
+              const problems = Object.keys(flagNames).filter(flag => scene.flags[flag]).map(flag => flagNames[flag]);
+              return \`<div class="scene-item \${scene.hasIssue ? 'issue' : 'ok'}">
+                <img class="scene-thumbnail" src="\${scene.thumbnail}" alt="场景 \${scene.index + 1}">
+                <div>
+                  <p><strong>场景 \${scene.index + 1}</strong>: \${scene.start}s - \${scene.end}s</p>
+                  <p>\${problems.length ? '❌ ' + problems.join('、') : '✅ 未发现问题'}</p>
+                  <p>分析帧: \${scene.frameIndexes.length ? scene.frameIndexes.map(index => '第 ' + index + ' 帧').join(', ') : '无'}</p>
+                </div>
+              </div>\`;
+            }).join('')}
+          </div>
+        </div>\`;
+      }
+
+      const color = data.results?.color;
+      if (color && color.frames.length > 0) {
+        html += \`<div class="result-item">
+          <div class="result-title">帧颜色分析</div>
+          <div class="result-details">
+            \${color.frames.map(frame => \`
+              <p>第 \${frame.frameIndex} 帧\${frame.time !== null ? ' (' + frame.time.toFixed(2) + 's)' : ''}:
+                \${frame.hasColorCast ? frame.castLabel + '，强度 ' + frame.castMagnitude.toFixed(3) : '无明显偏色'}
+                （RGB 均值 \${frame.channelMeans.r} / \${frame.channelMeans.g} / \${frame.channelMeans.b}）
+              </p>
+            \`).join('')}
+          </div>
+        </div>\`;
+      }
+
+      const blockiness = data.results?.blockiness;
+      if (blockiness && blockiness.frames.length > 0) {
+        html += \`<div class="result-item">
+          <div class="result-title">块效应 / 花屏分析</div>
+          <div class="result-details">
+            \${blockiness.frames.map(frame => \`
+              <p>第 \${frame.frameIndex} 帧\${frame.time !== null ? ' (' + frame.time.toFixed(2) + 's)' : ''}\${frame.crop ? '（原始分辨率区域 ' + frame.crop.x + ',' + frame.crop.y + ' ' + frame.crop.width + 'x' + frame.crop.height + '）' : ''}:
+                块效应 \${frame.blockinessScore.toFixed(2)}，绿块/粉块 \${(frame.greenPinkRatio * 100).toFixed(1)}%，涂抹 \${(frame.smearRatio * 100).toFixed(1)}%
+                \${frame.regions.length ? '（异常区域 ' + frame.regions.map(region => region.x + ',' + region.y + ' ' + region.width + 'x' + region.height).join('; ') + '）' : ''}
+              </p>
+            \`).join('')}
+          </div>
+        </div>\`;
+      }
+
+      const sharpness = data.results?.sharpness;
+      if (sharpness && sharpness.frames.length > 0) {
+        html += \`<div class="result-item">
+          <div class="result-title">清晰度分析（\${sharpness.profile === 'screen' ? '屏幕录制' : '摄像机画面'}）</div>
+          <div class="result-details">
+            <p>平均清晰度: \${sharpness.avgSharpness !== null ? sharpness.avgSharpness : '未知'} / 100</p>
+            \${sharpness.frames.map(frame => \`
+              <p>第 \${frame.frameIndex} 帧\${frame.time !== null ? ' (' + frame.time.toFixed(2) + 's)' : ''}:
+                \${frame.lowContrast ? '画面对比度过低，未判定' : '清晰度 ' + frame.sharpnessScore + '，拉普拉斯方差 ' + frame.laplacianVariance + '，边缘密度 ' + (frame.edgeDensity * 100).toFixed(1) + '%' + (frame.isBlurry ? '（模糊）' : '')}
+              </p>
+            \`).join('')}
+          </div>
+        </div>\`;
+      }
+
+      const person = data.results?.person;
+      if (person && person.frames.length > 0) {
+        const statusNames = {
+          present: '人物完整',
+          absent: '未检测到人物',
+          cutOff: '人物被边缘截断',
+          occluded: '人物被遮挡',
+          unknown: '检测失败',
+        };
+        html += \`<div class="result-item">
+          <div class="result-title">人物检测（\${person.detector}）</div>
+          <div class="result-details">
+            \${person.frames.map(frame => \`
+              <p>第 \${frame.frameIndex} 帧\${frame.time !== null ? ' (' + frame.time.toFixed(2) + 's)' : ''}:
+                \${statusNames[frame.status] || frame.status}
+                \${frame.persons.length ? '（' + frame.persons.map(p => p.label + ' ' + p.box.x + ',' + p.box.y + ' ' + p.box.width + 'x' + p.box.height).join('; ') + '）' : ''}
+              </p>
+            \`).join('')}
+          </div>
+        </div>\`;
+      }
+
+      const audio = data.results?.audio;
+      if (audio) {
+        const formatRanges = (ranges) => ranges.length
+          ? ranges.map(range => range.start + 's - ' + range.end + 's').join(', ')
+          : '无';
+        html += \`<div class="result-item">
+          <div class="result-title">音频分析</div>
+          <div class="result-details">
+            <p>音频轨道: \${audio.hasAudioTrack ? (audio.audioCodec || '有') : '无'}</p>
+            <p>音频 / 视频时长: \${audio.audioDuration ? audio.audioDuration.toFixed(2) + 's' : '未知'} / \${audio.videoDuration ? audio.videoDuration.toFixed(2) + 's' : '未知'}\${audio.durationDiff !== null ? '（相差 ' + audio.durationDiff + 's）' : ''}</p>
+            \${audio.clientAnalyzed ? \`
+              <p>静音段: \${formatRanges(audio.silentRanges)}</p>
+              <p>削波: \${formatRanges(audio.clippedRanges)}</p>
+            \` : ''}
+          </div>
         </div>\`;
       }
 
@@ -1136,6 +2809,104 @@ function getHTML() {
       results.classList.add('show');
     }
 
+    // 清单检测：由 Worker 读取清单并抽样检查各档位的分片
+    async function detectManifest() {
+      detectBtn.disabled = true;
+      loading.classList.add('show');
+      results.classList.remove('show');
+      hideError();
+      const loadingText = loading.querySelector('p');
+      if (loadingText) loadingText.textContent = '正在读取清单并检查分片...';
+
+      try {
+        const formData = new FormData();
+        formData.append('videoUrl', manifestUrl);
+        const data = await requestDetection(formData, loadingText);
+        displayManifestResults(data);
+      } catch (error) {
+        console.error('清单检测错误:', error);
+        showError(error.message || '检测失败，请重试');
+      } finally {
+        loading.classList.remove('show');
+        if (loadingText) loadingText.textContent = '正在分析视频，请稍候...';
+        detectBtn.disabled = false;
+      }
+    }
+
+    function displayManifestResults(data) {
+      const manifest = data.manifest;
+      let html = \`<div class="result-item \${manifest.hasIssue ? 'issue' : 'ok'}">
+        <div class="result-title">清单检测（\${manifest.type === 'dash' ? 'DASH' : 'HLS'}\${manifest.live ? '，直播' : ''}）: \${manifest.hasIssue ? '⚠️ 发现问题' : '✅ 未发现问题'}</div>
+        <div class="result-details">
+          <p>码率档位: \${manifest.renditionCount}，分片总数: \${manifest.segmentCount}，抽样检查: \${manifest.sampledSegments} 个分片</p>
+          <p>实际传输: \${formatFileSize(data.transfer.bytesTransferred)}（\${data.transfer.requests} 次请求）</p>
+        </div>
+      </div>\`;
+
+      html += \`<div class="result-item">
+        <div class="result-title">码率档位</div>
+        <div class="result-details">
+          \${manifest.renditions.map(rendition => \`
+            <p>\${rendition.id}（\${rendition.kind}）: 声明 \${formatBitrate(rendition.bandwidth)}，实测峰值 \${formatBitrate(rendition.measuredPeakBitrate)}，\` +
+            \`\${rendition.resolution ? rendition.resolution.width + 'x' + rendition.resolution.height : '分辨率未声明'}，\` +
+            \`\${rendition.codecs || '编码未声明'}，\${rendition.segmentCount} 个分片 / \${rendition.duration}s</p>
+          \`).join('')}
+        </div>
+      </div>\`;
+
+      if (manifest.details.length > 0) {
+        html += \`<div class="result-item">
+          <div class="result-title">详细信息</div>
+          <div class="result-details">
+            <ul style="margin-left: 20px; margin-top: 10px;">
+              \${manifest.details.map(d => \`<li>\${d}</li>\`).join('')}
+            </ul>
+          </div>
+        </div>\`;
+      }
+
+      resultsContent.innerHTML = html;
+      results.classList.add('show');
+    }
+
+    function formatBitrate(bps) {
+      if (!bps) return '未知';
+      return bps >= 1e6 ? (bps / 1e6).toFixed(2) + ' Mbps' : Math.round(bps / 1e3) + ' kbps';
+    }
+
+    function displayComparison(comparison) {
+      let html = \`<div class="result-item \${comparison.hasQualityLoss ? 'issue' : 'ok'}">
+        <div class="result-title">参考视频对比: \${comparison.hasQualityLoss ? '⚠️ 存在明显失真' : '✅ 质量接近参考视频'}</div>
+        <div class="result-details">
+          <p>对比帧数: \${comparison.frameCount}</p>
+          <p>平均 PSNR: \${comparison.avgPSNR} dB（最低 \${comparison.minPSNR} dB）</p>
+          <p>平均 SSIM: \${comparison.avgSSIM}（最低 \${comparison.minSSIM}）</p>
+        </div>
+      </div>\`;
+
+      html += \`<div class="result-item">
+        <div class="result-title">最差帧</div>
+        <div class="result-details">
+          \${comparison.worstFrames.map(frame => \`
+            <p>\${frame.time !== null ? frame.time.toFixed(2) + 's' : '第 ' + frame.frameIndex + ' 帧'}: PSNR \${frame.psnr} dB，SSIM \${frame.ssim}</p>
+          \`).join('')}
+        </div>
+      </div>\`;
+
+      html += \`<div class="result-item">
+        <div class="result-title">逐帧结果</div>
+        <div class="result-details">
+          \${comparison.frames.map(frame => \`
+            <p>\${frame.time !== null ? frame.time.toFixed(2) + 's' : '第 ' + frame.frameIndex + ' 帧'}: PSNR \${frame.psnr} dB，SSIM \${frame.ssim}\${frame.resized ? '（已缩放到参考分辨率）' : ''}</p>
+          \`).join('')}
+          \${comparison.details.length ? '<ul style="margin-left: 20px; margin-top: 10px;">' + comparison.details.map(d => '<li>' + d + '</li>').join('') + '</ul>' : ''}
+        </div>
+      </div>\`;
+
+      resultsContent.innerHTML = html;
+      results.classList.add('show');
+    }
+
     function showError(message) {
       errorMsg.textContent = message;
       errorMsg.classList.add('show');
@@ -0,0 +1,300 @@
+/**
+ * 异步检测任务的 Durable Object
+ * 每个任务一个实例（按任务 ID 命名），负责运行检测、保存任务状态和投递回调：
+ * - 状态: queued → running → completed / failed / cancelled，记录保存在实例存储的 job 键下
+ * - 所有状态修改都在存储事务内读取最新记录后进行，已结束的任务不会被改回运行状态，取消不会被进度覆盖
+ * - 检测在实例内存中运行，运行期间定时触发 alarm 刷新 updatedAt（心跳）；
+ *   实例被回收或重启后心跳中断，超过 staleAfter 未更新的任务标记为失败
+ * - 设置了回调地址的任务结束后立即投递回调，失败时按退避时间由 alarm 触发重试，每次投递的结果记录在 webhook 字段
+ * - 结束后保留 ttl 秒，到期由 alarm 删除
+ * 子类实现 describe(formData)（任务输入摘要）和 run(formData, report)（检测本身）
+ */
+
+import { DEFAULT_WEBHOOK_OPTIONS, sendWebhook, webhookRetryDelay } from './webhook.js';
+
+// 默认参数
+export const DEFAULT_JOB_OPTIONS = {
+  heartbeatInterval: 10000, // 运行中刷新 updatedAt 的间隔（毫秒）
+  staleAfter: 60000,        // 未结束的任务超过该时长未更新视为中断（毫秒）
+  ttl: 24 * 60 * 60,        // 结束后的任务记录保留时长（秒）
+};
+
+// 已结束的任务状态
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class JobObject {
+  /**
+   * @param {Object} state - Durable Object 状态（state.storage）
+   * @param {Object} env - 环境变量（JOB_TTL: 任务记录保留秒数，WEBHOOK_SECRET: 回调签名密钥）
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    const ttl = parseInt(env.JOB_TTL, 10);
+    this.options = { ...DEFAULT_JOB_OPTIONS, ...(Number.isFinite(ttl) && ttl >= 60 ? { ttl } : {}) };
+    this.running = null;
+    this.delivering = false;
+  }
+
+  /**
+   * 内部接口（由 Worker 转发）：POST /start?id=、GET /status、GET /webhook、DELETE /cancel
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === '/start' && request.method === 'POST') {
+      return this.start(url.searchParams.get('id'), await request.formData());
+    }
+    const job = url.pathname === '/cancel' && request.method === 'DELETE'
+      ? await this.cancel()
+      : await this.current();
+    if (!job) {
+      return Response.json({ error: '任务不存在或已过期' }, { status: 404 });
+    }
+    if (url.pathname === '/status') {
+      return Response.json({ success: true, job });
+    }
+    if (url.pathname === '/webhook') {
+      if (!job.webhook) {
+        return Response.json({ error: '任务未设置回调地址' }, { status: 404 });
+      }
+      return Response.json({ success: true, jobId: job.id, status: job.status, webhook: job.webhook });
+    }
+    if (url.pathname === '/cancel') {
+      if (job.status !== 'cancelled') {
+        return Response.json({ error: `任务已结束（${job.status}），无法取消`, job }, { status: 409 });
+      }
+      return Response.json({ success: true, job });
+    }
+    return Response.json({ error: 'Not Found' }, { status: 404 });
+  }
+
+  /**
+   * 创建任务记录并开始运行，不等待检测结束
+   */
+  async start(id, formData) {
+    if (await this.state.storage.get('job')) {
+      return Response.json({ error: '任务已存在' }, { status: 409 });
+    }
+    const now = new Date().toISOString();
+    const callbackUrl = formData.get('callbackUrl') || null;
+    const job = {
+      id,
+      status: 'queued',
+      progress: 0,
+      stage: '排队中',
+      input: this.describe(formData),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      partial: null,
+      result: null,
+      error: null,
+      webhook: callbackUrl
+        ? { url: callbackUrl, status: 'pending', attempts: [], nextAttemptAt: null, deliveredAt: null }
+        : null,
+    };
+    await this.state.storage.put('job', job);
+
+    this.running = this.execute(formData)
+      .catch(error => console.error('任务运行错误:', error))
+      .finally(() => {
+        this.running = null;
+      });
+    await this.scheduleAlarm(job);
+    return Response.json({
+      success: true,
+      jobId: id,
+      status: job.status,
+      statusUrl: `/api/jobs/${id}`,
+    }, { status: 202 });
+  }
+
+  async execute(formData) {
+    try {
+      await this.update(job => job.status === 'queued' ? { status: 'running', stage: '开始检测' } : null);
+      const result = await this.run(formData, (progress, stage, partial) => this.report(progress, stage, partial));
+      await this.finish({ status: 'completed', progress: 100, stage: '检测完成', partial: null, result });
+    } catch (error) {
+      if (error.cancelled) return;
+      console.error('任务失败:', error);
+      await this.finish({ status: 'failed', stage: '检测失败', error: error.message });
+    }
+  }
+
+  /**
+   * 上报进度和部分结果；任务已被取消（或已结束）时抛出 cancelled 为 true 的错误，检测随之停止
+   */
+  async report(progress, stage, partial) {
+    const job = await this.update(current => current.status !== 'running' ? null : {
+      // 进度只增不减，完成前最多 99%
+      progress: Math.max(current.progress, Math.min(99, Math.round(progress))),
+      stage: stage || current.stage,
+      partial: partial === undefined ? current.partial : partial,
+    });
+    if (!job || job.status !== 'running') {
+      const error = new Error('任务已取消');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  async finish(changes) {
+    const job = await this.update(current => FINISHED_STATUSES.includes(current.status) ? null : {
+      ...changes,
+      finishedAt: new Date().toISOString(),
+    });
+    if (job) await this.settle(job);
+  }
+
+  /**
+   * 取消未结束的任务，返回最新的任务记录
+   */
+  async cancel() {
+    const job = await this.update(current => FINISHED_STATUSES.includes(current.status) ? null : {
+      status: 'cancelled',
+      stage: '已取消',
+      finishedAt: new Date().toISOString(),
+      webhook: current.webhook ? { ...current.webhook, status: 'skipped', nextAttemptAt: null } : null,
+    });
+    if (job) await this.scheduleAlarm(job);
+    return job;
+  }
+
+  /**
+   * 读取任务记录；未结束但超过 staleAfter 未更新的任务（运行实例已不存在）标记为失败
+   */
+  async current() {
+    const job = await this.state.storage.get('job');
+    if (!job || FINISHED_STATUSES.includes(job.status) || !this.isStale(job)) {
+      return job || null;
+    }
+    const failed = await this.update(current => FINISHED_STATUSES.includes(current.status) || !this.isStale(current) ? null : {
+      status: 'failed',
+      stage: '检测失败',
+      error: `任务执行中断（超过 ${this.options.staleAfter / 1000} 秒未更新，运行实例可能已被回收）`,
+      finishedAt: new Date().toISOString(),
+    });
+    return failed ? this.settle(failed) : null;
+  }
+
+  /**
+   * 任务结束后投递第一次回调，再按最新记录安排 alarm
+   * @returns {Promise<Object>} 最新的任务记录
+   */
+  async settle(job) {
+    await this.notify(job);
+    const latest = await this.state.storage.get('job');
+    await this.scheduleAlarm(latest);
+    return latest;
+  }
+
+  isStale(job) {
+    return !this.running && Date.now() - Date.parse(job.updatedAt) > this.options.staleAfter;
+  }
+
+  /**
+   * 心跳、中断检测、回调重试和过期删除
+   */
+  async alarm() {
+    const job = await this.current();
+    if (!job) return;
+    const retryAt = job.webhook && job.webhook.nextAttemptAt;
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      // 检测仍在本实例运行：刷新 updatedAt
+      if (this.running) await this.update(() => ({}));
+    } else if (retryAt && Date.now() >= retryAt) {
+      await this.deliver();
+    } else if (!retryAt && Date.now() >= Date.parse(job.finishedAt) + this.options.ttl * 1000) {
+      await this.state.storage.deleteAll();
+      return;
+    }
+    await this.scheduleAlarm(await this.state.storage.get('job'));
+  }
+
+  /**
+   * 下一次 alarm：运行中为心跳，结束后为回调重试或过期删除中较早的一个
+   */
+  async scheduleAlarm(job) {
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      await this.state.storage.setAlarm(Date.now() + this.options.heartbeatInterval);
+      return;
+    }
+    const expireAt = Date.parse(job.finishedAt) + this.options.ttl * 1000;
+    const retryAt = job.webhook && job.webhook.nextAttemptAt;
+    await this.state.storage.setAlarm(retryAt ? Math.min(retryAt, expireAt) : expireAt);
+  }
+
+  /**
+   * 条件更新：在事务内读取最新记录，mutate 返回要修改的字段（返回 null 表示不修改）
+   * @returns {Promise<Object|null>} 最新的任务记录，任务不存在时为 null
+   */
+  async update(mutate) {
+    return this.state.storage.transaction(async (txn) => {
+      const job = await txn.get('job');
+      if (!job) return null;
+      const changes = mutate(job);
+      if (!changes) return job;
+      const next = { ...job, ...changes, updatedAt: new Date().toISOString() };
+      await txn.put('job', next);
+      return next;
+    });
+  }
+
+  /**
+   * 任务结束后投递第一次回调，已取消的任务不回调
+   */
+  async notify(job) {
+    if (!job.webhook || job.webhook.status !== 'pending') return;
+    if (!FINISHED_STATUSES.includes(job.status) || job.status === 'cancelled') return;
+    await this.deliver();
+  }
+
+  /**
+   * 投递一次回调（见 webhook.js），结果追加到 webhook.attempts；可重试的失败记下 nextAttemptAt，由 alarm 触发下一次投递
+   * webhook.status: pending →（retrying →）delivered / failed
+   */
+  async deliver() {
+    if (this.delivering) return;
+    this.delivering = true;
+    try {
+      const job = await this.state.storage.get('job');
+      if (!job || !job.webhook || job.status === 'cancelled') return;
+      const payload = {
+        event: `job.${job.status}`,
+        jobId: job.id,
+        status: job.status,
+        input: job.input,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        result: job.result,
+        error: job.error,
+      };
+      const { retryable, ...attempt } = await sendWebhook(job.webhook.url, payload, this.env.WEBHOOK_SECRET);
+      await this.update(current => {
+        if (!current.webhook) return null;
+        const attempts = [...current.webhook.attempts, { attempt: current.webhook.attempts.length + 1, ...attempt }];
+        const retries = attempts.length - 1;
+        const willRetry = Boolean(attempt.error) && retryable && retries < DEFAULT_WEBHOOK_OPTIONS.maxRetries;
+        return {
+          webhook: {
+            ...current.webhook,
+            attempts,
+            status: attempt.error ? (willRetry ? 'retrying' : 'failed') : 'delivered',
+            nextAttemptAt: willRetry ? Date.now() + webhookRetryDelay(retries) : null,
+            deliveredAt: attempt.error ? null : new Date().toISOString(),
+          },
+        };
+      });
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  describe() {
+    return {};
+  }
+
+  async run() {
+    throw new Error('JobObject 子类需要实现 run(formData, report)');
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * 异步检测任务的运行位置
+ * - 配置了 DETECTION_JOBS（Durable Object 命名空间）绑定时，每个任务在以任务 ID 命名的实例中运行和保存状态
+ * - 未配置但 JOB_STORE=memory 时使用内存替身：在当前 Worker 实例内模拟命名空间、实例存储和 alarm，
+ *   只适用于本地 wrangler dev（其他实例查询不到任务，实例回收后任务丢失）
+ * - 都没有时不提供异步任务，页面直接调用 /api/detect
+ */
+
+// 内存替身保存在模块作用域，同一 Worker 实例的多个请求共享
+let memoryNamespace = null;
+
+/**
+ * 获取任务命名空间
+ * @param {Object} env - 环境变量（DETECTION_JOBS、JOB_STORE）
+ * @param {Function} ObjectClass - 任务 Durable Object 类（内存替身用它创建实例）
+ * @returns {Object|null} { idFromName(name), get(id) → { fetch(input, init) } }，未配置时为 null
+ */
+export function getJobNamespace(env = {}, ObjectClass) {
+  if (env.DETECTION_JOBS) {
+    return env.DETECTION_JOBS;
+  }
+  if (env.JOB_STORE === 'memory') {
+    if (!memoryNamespace) {
+      memoryNamespace = createMemoryNamespace(ObjectClass, env);
+    }
+    return memoryNamespace;
+  }
+  return null;
+}
+
+/**
+ * Durable Object 命名空间的内存替身
+ */
+export function createMemoryNamespace(ObjectClass, env) {
+  const objects = new Map();
+  return {
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const state = createMemoryState(() => objects.get(id).alarm());
+        objects.set(id, new ObjectClass(state, env));
+      }
+      const object = objects.get(id);
+      return {
+        fetch: (input, init) => object.fetch(new Request(input, init)),
+      };
+    },
+  };
+}
+
+/**
+ * 实例状态的内存替身：存取按 JSON 复制（与真实存储一样不共享对象引用），事务依次执行，alarm 用定时器模拟
+ */
+function createMemoryState(onAlarm) {
+  const data = new Map();
+  let queue = Promise.resolve();
+  let timer = null;
+
+  const storage = {
+    async get(key) {
+      return data.has(key) ? JSON.parse(data.get(key)) : undefined;
+    },
+    async put(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async deleteAll() {
+      data.clear();
+    },
+    transaction(closure) {
+      const result = queue.then(() => closure(storage));
+      queue = result.catch(() => {});
+      return result;
+    },
+    async setAlarm(time) {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        Promise.resolve(onAlarm()).catch(error => console.error('任务 alarm 错误:', error));
+      }, Math.max(0, time - Date.now()));
+    },
+    async deleteAlarm() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+  return { storage };
+}
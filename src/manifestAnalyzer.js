@@ -0,0 +1,524 @@
+/**
+ * 自适应流（HLS / DASH）清单质量审查
+ * 基于 manifestParser.js 整理出的码率档位和抽样分片的检测结果，检查：
+ * 声明码率与实际分片大小、分辨率阶梯、编码字符串、分片连续性、分片时长超过目标时长
+ * 档位的 segments 为连续等长的分片段（见 manifestParser.js），统计按段计算，不逐个生成分片
+ */
+
+import { createSegmentLocator } from './manifestParser.js';
+import { round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_MANIFEST_OPTIONS = {
+  segmentSamples: 3,               // 每个档位抽样检查的分片数（首、中、尾均匀分布）
+  maxSegmentSamples: 10,           // 每个档位最多抽样的分片数
+  bandwidthTolerance: 0.1,         // 实测分片码率超过声明码率（峰值）的容差
+  averageBandwidthTolerance: 0.3,  // 实测平均码率与 AVERAGE-BANDWIDTH 的容差
+  minBandwidthUsage: 0.3,          // 实测峰值码率低于声明码率的该比例视为声明过高
+  maxLadderStep: 2.5,              // 相邻视频档位的码率比超过该值视为阶梯断档
+  continuityTolerance: 0.1,        // 相邻分片首尾时间允许的误差（秒）
+  durationTolerance: 0.5,          // 分片实际时长与声明时长允许的差（秒）
+  frameRateTolerance: 0.5,         // 实际帧率与声明帧率允许的差（fps）
+  maxEvents: 10,                   // 每类问题最多列出的条目数
+};
+
+// 编码字符串格式（RFC 6381）；只有前缀、没有参数的编码用 null
+const CODEC_PATTERNS = {
+  avc1: /^avc[13]\.([0-9a-f]{6}|\d+\.\d+)$/i,
+  avc3: /^avc[13]\.([0-9a-f]{6}|\d+\.\d+)$/i,
+  hvc1: /^(hvc1|hev1)\.[a-c]?\d+\.[0-9a-f]{1,8}\.[lh]\d+(\.[0-9a-f]{1,2}){0,6}$/i,
+  hev1: /^(hvc1|hev1)\.[a-c]?\d+\.[0-9a-f]{1,8}\.[lh]\d+(\.[0-9a-f]{1,2}){0,6}$/i,
+  av01: /^av01\.\d\.\d{2}[mh]\.\d{2}(\.[\d.]+)?$/i,
+  vp09: /^vp09\.\d{2}\.\d{2}\.\d{2}(\.\d{2}){0,5}$/,
+  mp4a: /^mp4a\.(40\.\d{1,2}|[0-9a-f]{2})$/i,
+  vp08: null,
+  vp8: null,
+  vp9: null,
+  'ac-3': null,
+  'ec-3': null,
+  opus: null,
+  Opus: null,
+  flac: null,
+  fLaC: null,
+  vorbis: null,
+  stpp: null,
+  wvtt: null,
+};
+
+// 编码前缀对应的名称（与容器解析得到的 codecName 一致）
+const CODEC_NAMES = {
+  avc1: 'H.264/AVC',
+  avc3: 'H.264/AVC',
+  hvc1: 'H.265/HEVC',
+  hev1: 'H.265/HEVC',
+  av01: 'AV1',
+  vp09: 'VP9',
+  vp9: 'VP9',
+  vp08: 'VP8',
+  vp8: 'VP8',
+  mp4a: 'AAC',
+  'ac-3': 'AC-3',
+  'ec-3': 'E-AC-3',
+  opus: 'Opus',
+  Opus: 'Opus',
+  flac: 'FLAC',
+  fLaC: 'FLAC',
+  vorbis: 'Vorbis',
+};
+
+/**
+ * 从档位的分片中均匀抽样（包含第一个和最后一个），跳过 GAP 分片
+ * @param {Object} rendition - 码率档位
+ * @param {number} count - 抽样数
+ * @returns {Array<Object>} 抽中的分片（index 为分片在档位中的下标）
+ */
+export function selectSampleSegments(rendition, count) {
+  // 非 GAP 分片段在候选序列中的起点，以及对应的档位下标
+  const candidates = [];
+  let total = 0;
+  let index = 0;
+  rendition.segments.forEach(run => {
+    if (!run.gap) {
+      candidates.push({ first: total, index });
+      total += run.count;
+    }
+    index += run.count;
+  });
+  if (count <= 0 || total === 0) return [];
+
+  const picked = new Set();
+  if (total <= count) {
+    for (let i = 0; i < total; i++) picked.add(i);
+  } else if (count === 1) {
+    picked.add(0);
+  } else {
+    for (let i = 0; i < count; i++) {
+      picked.add(Math.round((i * (total - 1)) / (count - 1)));
+    }
+  }
+
+  const locator = createSegmentLocator(rendition);
+  return [...picked].map(position => {
+    const candidate = candidates.findLast(item => item.first <= position);
+    return locator.get(candidate.index + position - candidate.first);
+  });
+}
+
+/**
+ * 审查清单
+ * @param {Object} manifest - { type, live, maxSegmentDuration, renditions, errors }
+ * @param {Array<Object>} probes - 抽样分片的检测结果
+ *   { renditionId, index, sequence, size, declaredDuration, duration, resolution, frameRate, videoCodecName, audioCodecName, issues, error, skipped }
+ * @param {Object} [options] - 见 DEFAULT_MANIFEST_OPTIONS
+ * @returns {Object} 每个档位的统计和各类问题列表
+ */
+export function analyzeManifest(manifest, probes, options = {}) {
+  const settings = { ...DEFAULT_MANIFEST_OPTIONS, ...options };
+  const result = {
+    type: manifest.type,
+    live: Boolean(manifest.live),
+    renditionCount: manifest.renditions.length,
+    segmentCount: 0,
+    sampledSegments: probes.length,
+    renditions: [],
+    formatIssues: [...manifest.errors],
+    bandwidthIssues: [],
+    ladderIssues: [],
+    codecIssues: [],
+    continuityIssues: [],
+    targetDurationViolations: [],
+    segmentIssues: [],
+    hasIssue: false,
+    details: [],
+  };
+
+  manifest.renditions.forEach(rendition => {
+    const renditionProbes = probes.filter(probe => probe.renditionId === rendition.id);
+    result.segmentCount += countSegments(rendition);
+    result.formatIssues.push(...rendition.errors.map(error => `${rendition.id}: ${error}`));
+
+    const summary = summarizeRendition(rendition, renditionProbes);
+    result.renditions.push(summary);
+
+    checkBandwidth(rendition, summary, settings, result);
+    checkCodecs(rendition, renditionProbes, result);
+    checkContinuity(rendition, settings, result);
+    checkTargetDuration(rendition, manifest, result);
+    checkSegments(rendition, renditionProbes, settings, result);
+  });
+
+  checkLadder(manifest.renditions, probes, settings, result);
+  checkAlignment(manifest, settings, result);
+
+  if (manifest.renditions.length === 0) {
+    result.formatIssues.push('清单中没有可用的码率档位');
+  }
+
+  buildDetails(result, settings);
+  return result;
+}
+
+/**
+ * 档位统计：分片数、总时长、最长分片、不连续次数，以及按已知分片大小计算的实测码率
+ * 分片大小来自抽样下载的分片和清单中声明的字节范围
+ */
+function summarizeRendition(rendition, probes) {
+  // 按分片在档位中的下标索引（DASH 多个 Period 的分片编号可能重复）；声明了字节范围的分片段只有一个分片
+  const sizes = new Map();
+  let index = 0;
+  rendition.segments.forEach(run => {
+    if (run.byteRange) sizes.set(index, run.byteRange.length);
+    index += run.count;
+  });
+  probes.forEach(probe => {
+    if (probe.size > 0) sizes.set(probe.index, probe.size);
+  });
+
+  const locator = createSegmentLocator(rendition);
+  const bitrates = [...sizes.keys()]
+    .sort((a, b) => a - b)
+    .map(position => ({ segment: locator.get(position), size: sizes.get(position) }))
+    .filter(({ segment }) => segment && segment.duration > 0)
+    .map(({ segment, size }) => ({ sequence: segment.sequence, bitrate: (size * 8) / segment.duration }));
+  const peak = bitrates.reduce((max, item) => (item.bitrate > max.bitrate ? item : max), { sequence: null, bitrate: 0 });
+
+  return {
+    id: rendition.id,
+    kind: rendition.kind,
+    uri: rendition.uri || null,
+    bandwidth: rendition.bandwidth,
+    averageBandwidth: rendition.averageBandwidth,
+    resolution: rendition.resolution,
+    codecs: rendition.codecs,
+    frameRate: rendition.frameRate,
+    targetDuration: rendition.targetDuration,
+    segmentCount: countSegments(rendition),
+    duration: round(totalDuration(rendition)),
+    maxSegmentDuration: round(rendition.segments.reduce((max, run) => Math.max(max, run.duration), 0)),
+    discontinuities: countDiscontinuities(rendition),
+    measuredSegments: bitrates.length,
+    measuredPeakBitrate: bitrates.length ? Math.round(peak.bitrate) : null,
+    measuredPeakSequence: bitrates.length ? peak.sequence : null,
+    measuredAverageBitrate: bitrates.length
+      ? Math.round(bitrates.reduce((sum, item) => sum + item.bitrate, 0) / bitrates.length)
+      : null,
+    sampledSegments: probes.map(probe => probe.sequence),
+  };
+}
+
+/**
+ * 声明码率与实测分片码率：超过声明峰值、与平均码率偏差过大、声明明显过高
+ */
+function checkBandwidth(rendition, summary, settings, result) {
+  if (!summary.measuredPeakBitrate) return;
+
+  if (rendition.bandwidth) {
+    if (summary.measuredPeakBitrate > rendition.bandwidth * (1 + settings.bandwidthTolerance)) {
+      result.bandwidthIssues.push({
+        renditionId: rendition.id,
+        type: 'exceedsBandwidth',
+        declared: rendition.bandwidth,
+        measured: summary.measuredPeakBitrate,
+        sequence: summary.measuredPeakSequence,
+      });
+    } else if (summary.measuredPeakBitrate < rendition.bandwidth * settings.minBandwidthUsage) {
+      result.bandwidthIssues.push({
+        renditionId: rendition.id,
+        type: 'overstatedBandwidth',
+        declared: rendition.bandwidth,
+        measured: summary.measuredPeakBitrate,
+        sequence: summary.measuredPeakSequence,
+      });
+    }
+  }
+
+  if (rendition.averageBandwidth) {
+    const deviation = Math.abs(summary.measuredAverageBitrate - rendition.averageBandwidth) / rendition.averageBandwidth;
+    if (deviation > settings.averageBandwidthTolerance) {
+      result.bandwidthIssues.push({
+        renditionId: rendition.id,
+        type: 'averageMismatch',
+        declared: rendition.averageBandwidth,
+        measured: summary.measuredAverageBitrate,
+        sequence: null,
+      });
+    }
+  }
+}
+
+/**
+ * 编码字符串：缺失、格式不符合 RFC 6381、与抽样分片的实际编码不一致
+ */
+function checkCodecs(rendition, probes, result) {
+  if (rendition.kind === 'subtitle') return;
+  if (!rendition.codecs) {
+    // HLS 独立音轨（EXT-X-MEDIA）不声明 CODECS
+    if (rendition.bandwidth !== null) {
+      result.codecIssues.push({ renditionId: rendition.id, codec: null, message: '未声明编码（CODECS / codecs）' });
+    }
+    return;
+  }
+
+  const declared = rendition.codecs.split(',').map(codec => codec.trim()).filter(Boolean);
+  declared.forEach(codec => {
+    const prefix = codec.split('.')[0];
+    if (!(prefix in CODEC_PATTERNS)) {
+      result.codecIssues.push({ renditionId: rendition.id, codec, message: `无法识别的编码 "${codec}"` });
+    } else if (CODEC_PATTERNS[prefix] ? !CODEC_PATTERNS[prefix].test(codec) : codec !== prefix) {
+      result.codecIssues.push({ renditionId: rendition.id, codec, message: `编码字符串 "${codec}" 格式不正确` });
+    }
+  });
+
+  const names = declared.map(codec => CODEC_NAMES[codec.split('.')[0]]).filter(Boolean);
+  const actual = new Set();
+  probes.forEach(probe => {
+    if (probe.videoCodecName) actual.add(probe.videoCodecName);
+    if (probe.audioCodecName) actual.add(probe.audioCodecName);
+  });
+  actual.forEach(name => {
+    if (names.length > 0 && !names.includes(name)) {
+      result.codecIssues.push({
+        renditionId: rendition.id,
+        codec: rendition.codecs,
+        message: `分片实际编码为 ${name}，清单声明为 "${rendition.codecs}"`,
+      });
+    }
+  });
+}
+
+/**
+ * 分片连续性：相邻分片之间的时间空洞或重叠（未标记不连续）、GAP 分片
+ * 分片段内的分片首尾相接，只需检查相邻分片段的交界
+ */
+function checkContinuity(rendition, settings, result) {
+  rendition.segments.forEach((segment, i) => {
+    if (segment.gap) {
+      result.continuityIssues.push({ renditionId: rendition.id, sequence: segment.sequence, type: 'gapTag', gap: round(segment.duration) });
+    }
+    if (i === 0 || segment.discontinuity) return;
+
+    const previous = rendition.segments[i - 1];
+    const gap = segment.start - (previous.start + previous.count * previous.duration);
+    if (Math.abs(gap) > settings.continuityTolerance) {
+      result.continuityIssues.push({
+        renditionId: rendition.id,
+        sequence: segment.sequence,
+        type: gap > 0 ? 'gap' : 'overlap',
+        gap: round(gap),
+      });
+    }
+  });
+}
+
+/**
+ * 分片时长超过目标时长：HLS 按 EXTINF 四舍五入后与 EXT-X-TARGETDURATION 比较，DASH 与 MPD@maxSegmentDuration 比较
+ * 每个超长的分片段记录一次，count 为段内的分片数
+ */
+function checkTargetDuration(rendition, manifest, result) {
+  const hls = rendition.targetDuration !== null && rendition.targetDuration !== undefined;
+  const limit = hls ? rendition.targetDuration : manifest.maxSegmentDuration;
+  if (limit === null || limit === undefined) return;
+
+  rendition.segments.forEach(segment => {
+    const duration = hls ? Math.round(segment.duration) : segment.duration;
+    if (duration > limit + 0.001) {
+      result.targetDurationViolations.push({
+        renditionId: rendition.id,
+        sequence: segment.sequence,
+        count: segment.count,
+        duration: round(segment.duration),
+        targetDuration: limit,
+      });
+    }
+  });
+}
+
+/**
+ * 抽样分片的逐文件检测结果：下载失败、容器 / 卡顿 / GOP 问题、实际时长与声明时长不符
+ */
+function checkSegments(rendition, probes, settings, result) {
+  probes.filter(probe => !probe.skipped).forEach(probe => {
+    const issues = probe.error ? [`分片读取失败：${probe.error}`] : [...probe.issues];
+    if (probe.duration && probe.declaredDuration &&
+      Math.abs(probe.duration - probe.declaredDuration) > settings.durationTolerance) {
+      issues.push(`实际时长 ${round(probe.duration)}s 与清单声明的 ${round(probe.declaredDuration)}s 不符`);
+    }
+    if (issues.length > 0) {
+      result.segmentIssues.push({ renditionId: rendition.id, sequence: probe.sequence, uri: probe.uri, issues });
+    }
+  });
+}
+
+/**
+ * 分辨率阶梯：视频档位按码率排序后分辨率应递增，码率不应重复或断档；
+ * 声明的分辨率、帧率应与抽样分片一致
+ */
+function checkLadder(renditions, probes, settings, result) {
+  const videos = renditions
+    .filter(rendition => rendition.kind === 'video' && rendition.bandwidth)
+    .sort((a, b) => a.bandwidth - b.bandwidth);
+
+  videos.forEach((rendition, i) => {
+    if (!rendition.resolution) {
+      result.ladderIssues.push({ renditionId: rendition.id, message: '视频档位未声明分辨率' });
+    }
+    if (i > 0) {
+      const lower = videos[i - 1];
+      if (rendition.bandwidth === lower.bandwidth) {
+        result.ladderIssues.push({ renditionId: rendition.id, message: `与 ${lower.id} 声明的码率相同（${rendition.bandwidth} bps）` });
+      } else if (rendition.bandwidth / lower.bandwidth > settings.maxLadderStep) {
+        result.ladderIssues.push({
+          renditionId: rendition.id,
+          message: `与下一档 ${lower.id} 的码率相差 ${round(rendition.bandwidth / lower.bandwidth)} 倍，阶梯断档`,
+        });
+      }
+      if (rendition.resolution && lower.resolution && pixels(rendition.resolution) < pixels(lower.resolution)) {
+        result.ladderIssues.push({
+          renditionId: rendition.id,
+          message: `码率高于 ${lower.id}，分辨率反而更低（${formatResolution(rendition.resolution)} < ${formatResolution(lower.resolution)}）`,
+        });
+      }
+    }
+
+    probes.filter(probe => probe.renditionId === rendition.id && !probe.error).forEach(probe => {
+      if (rendition.resolution && probe.resolution &&
+        (probe.resolution.width !== rendition.resolution.width || probe.resolution.height !== rendition.resolution.height)) {
+        result.ladderIssues.push({
+          renditionId: rendition.id,
+          message: `分片 ${probe.sequence} 实际分辨率 ${formatResolution(probe.resolution)} 与声明的 ${formatResolution(rendition.resolution)} 不符`,
+        });
+      }
+      if (rendition.frameRate && probe.frameRate &&
+        Math.abs(probe.frameRate - rendition.frameRate) > settings.frameRateTolerance) {
+        result.ladderIssues.push({
+          renditionId: rendition.id,
+          message: `分片 ${probe.sequence} 实际帧率 ${probe.frameRate} fps 与声明的 ${rendition.frameRate} fps 不符`,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * 同类档位之间的对齐：分片数、总时长和不连续位置应一致（直播清单的窗口可能不同步，只比较不连续次数）
+ */
+function checkAlignment(manifest, settings, result) {
+  ['video', 'audio'].forEach(kind => {
+    const group = manifest.renditions.filter(rendition => rendition.kind === kind && countSegments(rendition) > 0);
+    if (group.length < 2) return;
+
+    const reference = group[0];
+    const referenceDuration = totalDuration(reference);
+    const referenceDiscontinuities = countDiscontinuities(reference);
+    group.slice(1).forEach(rendition => {
+      if (!manifest.live) {
+        if (countSegments(rendition) !== countSegments(reference)) {
+          result.continuityIssues.push({
+            renditionId: rendition.id,
+            type: 'segmentCount',
+            message: `分片数 ${countSegments(rendition)} 与 ${reference.id} 的 ${countSegments(reference)} 不一致`,
+          });
+        }
+        const difference = Math.abs(totalDuration(rendition) - referenceDuration);
+        if (difference > Math.max(1, reference.targetDuration || 0)) {
+          result.continuityIssues.push({
+            renditionId: rendition.id,
+            type: 'duration',
+            message: `总时长 ${round(totalDuration(rendition))}s 与 ${reference.id} 的 ${round(referenceDuration)}s 相差 ${round(difference)}s`,
+          });
+        }
+      }
+      if (countDiscontinuities(rendition) !== referenceDiscontinuities) {
+        result.continuityIssues.push({
+          renditionId: rendition.id,
+          type: 'discontinuity',
+          message: `不连续标记 ${countDiscontinuities(rendition)} 处，与 ${reference.id} 的 ${referenceDiscontinuities} 处不一致，切换档位时可能出错`,
+        });
+      }
+    });
+  });
+}
+
+function buildDetails(result, settings) {
+  const limit = list => list.slice(0, settings.maxEvents);
+
+  if (result.formatIssues.length > 0) {
+    result.details.push(`清单格式问题 ${result.formatIssues.length} 处: ${limit(result.formatIssues).join('；')}`);
+  }
+
+  const bandwidthMessages = {
+    exceedsBandwidth: '实测峰值码率超过声明的 BANDWIDTH',
+    overstatedBandwidth: '声明码率远高于实测峰值码率',
+    averageMismatch: '实测平均码率与声明的平均码率偏差过大',
+  };
+  limit(result.bandwidthIssues).forEach(issue => {
+    result.details.push(
+      `${issue.renditionId}: ${bandwidthMessages[issue.type]}（声明 ${formatBitrate(issue.declared)}，实测 ${formatBitrate(issue.measured)}` +
+      `${issue.sequence !== null ? `，分片 ${issue.sequence}` : ''}）`
+    );
+  });
+
+  limit(result.ladderIssues).forEach(issue => result.details.push(`${issue.renditionId}: ${issue.message}`));
+  limit(result.codecIssues).forEach(issue => result.details.push(`${issue.renditionId}: ${issue.message}`));
+
+  limit(result.continuityIssues).forEach(issue => {
+    if (issue.message) {
+      result.details.push(`${issue.renditionId}: ${issue.message}`);
+    } else if (issue.type === 'gapTag') {
+      result.details.push(`${issue.renditionId}: 分片 ${issue.sequence} 标记为 EXT-X-GAP（缺失 ${issue.gap}s）`);
+    } else {
+      result.details.push(
+        `${issue.renditionId}: 分片 ${issue.sequence} 与上一分片之间${issue.type === 'gap' ? `有 ${issue.gap}s 空洞` : `重叠 ${-issue.gap}s`}`
+      );
+    }
+  });
+
+  if (result.targetDurationViolations.length > 0) {
+    const count = result.targetDurationViolations.reduce((sum, item) => sum + item.count, 0);
+    result.details.push(
+      `${count} 个分片超过目标时长: ` +
+      limit(result.targetDurationViolations)
+        .map(item => {
+          const sequences = item.count > 1 ? `${item.sequence}-${item.sequence + item.count - 1}` : item.sequence;
+          return `${item.renditionId} #${sequences} ${item.duration}s > ${item.targetDuration}s`;
+        })
+        .join(', ')
+    );
+  }
+
+  limit(result.segmentIssues).forEach(item => {
+    result.details.push(`${item.renditionId} 分片 ${item.sequence}: ${item.issues.join('；')}`);
+  });
+
+  result.hasIssue = result.formatIssues.length > 0 ||
+    result.bandwidthIssues.length > 0 ||
+    result.ladderIssues.length > 0 ||
+    result.codecIssues.length > 0 ||
+    result.continuityIssues.length > 0 ||
+    result.targetDurationViolations.length > 0 ||
+    result.segmentIssues.length > 0;
+}
+
+function countSegments(rendition) {
+  return rendition.segments.reduce((sum, run) => sum + run.count, 0);
+}
+
+function totalDuration(rendition) {
+  return rendition.segments.reduce((sum, run) => sum + run.count * run.duration, 0);
+}
+
+function countDiscontinuities(rendition) {
+  return rendition.segments.filter(run => run.discontinuity).length;
+}
+
+function pixels(resolution) {
+  return resolution.width * resolution.height;
+}
+
+function formatResolution(resolution) {
+  return `${resolution.width}x${resolution.height}`;
+}
+
+function formatBitrate(bps) {
+  return bps >= 1e6 ? `${round(bps / 1e6)} Mbps` : `${round(bps / 1e3)} kbps`;
+}
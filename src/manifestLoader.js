@@ -0,0 +1,186 @@
+/**
+ * 读取自适应流清单和分片
+ * HLS 主播放列表会继续读取每个码率档位的媒体播放列表；分片通过 remoteSource.js 按需读取，
+ * 分片 MP4（fMP4 / CMAF）分片前拼接初始化分片，使容器解析能读到 moov
+ */
+
+import { detectManifestType, sniffManifestType, parseHLSPlaylist, parseDASHManifest } from './manifestParser.js';
+import { openRemoteSource } from './remoteSource.js';
+import { DEFAULT_SOURCE_OPTIONS, createBufferSource, createConcatSource } from './byteSource.js';
+
+// 清单文本大小上限
+const MAX_MANIFEST_SIZE = 10 * 1024 * 1024;
+
+/**
+ * 读取并解析清单
+ * @param {string} url - 清单 URL（.m3u8 / .mpd）
+ * @returns {Promise<Object>} { type, url, live, duration, maxSegmentDuration, renditions, errors, bytesTransferred }
+ */
+export async function loadManifest(url) {
+  const response = await fetchText(url);
+  const type = detectManifestType(url, response.contentType) || sniffManifestType(response.text);
+  const manifest = {
+    type,
+    url,
+    live: false,
+    duration: null,
+    maxSegmentDuration: null,
+    renditions: [],
+    errors: [],
+    bytesTransferred: response.bytes,
+    requests: 1,
+  };
+
+  if (type === 'dash') {
+    const mpd = parseDASHManifest(response.text, url);
+    return { ...manifest, ...mpd };
+  }
+  if (type !== 'hls') {
+    throw new Error('无法识别的清单格式（仅支持 HLS .m3u8 和 DASH .mpd）');
+  }
+
+  const playlist = parseHLSPlaylist(response.text, url);
+  manifest.errors.push(...playlist.errors);
+  if (!playlist.master) {
+    // 直接提交的媒体播放列表：只有一个档位
+    manifest.renditions.push(toRendition({ id: 'media', kind: 'unknown', uri: url }, playlist));
+  } else {
+    for (const variant of playlist.variants) {
+      try {
+        const media = await fetchText(variant.uri);
+        manifest.bytesTransferred += media.bytes;
+        manifest.requests++;
+        const mediaPlaylist = parseHLSPlaylist(media.text, variant.uri);
+        if (mediaPlaylist.master) {
+          mediaPlaylist.errors.push('档位地址指向的是主播放列表');
+        }
+        manifest.renditions.push(toRendition(variant, mediaPlaylist));
+      } catch (error) {
+        manifest.renditions.push(toRendition(variant, { segments: [], errors: [`无法读取播放列表: ${error.message}`] }));
+      }
+    }
+  }
+
+  manifest.live = manifest.renditions.some(rendition => !rendition.endList);
+  return manifest;
+}
+
+/**
+ * 分片读取器：同一初始化分片只下载一次，累计所有分片的传输量
+ * @returns {Object} { open(rendition, segment) → Promise<{ source, mediaSize }>, stats() }
+ */
+export function createSegmentOpener() {
+  const initCache = new Map();
+  const totals = { requests: 0, bytesTransferred: 0 };
+
+  function record(source) {
+    const stats = source.stats();
+    totals.requests += stats.requests;
+    totals.bytesTransferred += stats.bytesTransferred;
+  }
+
+  async function loadInit(init) {
+    const key = `${init.uri}#${init.byteRange ? `${init.byteRange.offset}-${init.byteRange.length}` : ''}`;
+    if (!initCache.has(key)) {
+      const { source } = await openRemoteSource(init.uri, { range: init.byteRange });
+      if (source.size > DEFAULT_SOURCE_OPTIONS.maxRegionSize) {
+        await source.close();
+        throw new Error(`初始化分片过大（${source.size} 字节）`);
+      }
+      const bytes = await source.read(0, source.size);
+      record(source);
+      await source.close();
+      initCache.set(key, bytes);
+    }
+    return createBufferSource(initCache.get(key));
+  }
+
+  async function open(rendition, segment) {
+    const init = segment.init || rendition.init;
+    const initSource = init ? await loadInit(init) : null;
+    const { source: media } = await openRemoteSource(segment.uri, { range: segment.byteRange });
+
+    const source = initSource ? createConcatSource([initSource, media]) : media;
+    return {
+      source: {
+        ...source,
+        scan: media.scan,
+        close: async () => {
+          record(media);
+          await source.close();
+        },
+      },
+      mediaSize: media.size,
+    };
+  }
+
+  return {
+    open,
+    stats: () => ({ ...totals }),
+  };
+}
+
+/**
+ * 合并主播放列表中的档位属性和媒体播放列表的内容
+ */
+function toRendition(variant, playlist) {
+  return {
+    id: variant.id,
+    kind: variant.kind,
+    uri: variant.uri,
+    mimeType: null,
+    bandwidth: variant.bandwidth ?? null,
+    averageBandwidth: variant.averageBandwidth ?? null,
+    resolution: variant.resolution || null,
+    codecs: variant.codecs || null,
+    frameRate: variant.frameRate ?? null,
+    targetDuration: playlist.targetDuration ?? null,
+    endList: Boolean(playlist.endList),
+    init: playlist.init || null,
+    segments: playlist.segments,
+    errors: playlist.errors,
+  };
+}
+
+/**
+ * 读取清单文本：先按 Content-Length 判断大小，没有时边读边计数，超过 MAX_MANIFEST_SIZE 即停止下载
+ */
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`无法获取清单: ${response.status} ${response.statusText}`);
+  }
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_MANIFEST_SIZE) {
+    await response.body?.cancel();
+    throw new Error(`清单过大（${declared} 字节）`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  if (response.body) {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > MAX_MANIFEST_SIZE) {
+        await reader.cancel().catch(() => {});
+        throw new Error(`清单过大（超过 ${MAX_MANIFEST_SIZE} 字节）`);
+      }
+      chunks.push(value);
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return {
+    text: new TextDecoder().decode(bytes),
+    contentType: response.headers.get('content-type') || '',
+    bytes: size,
+  };
+}
@@ -0,0 +1,670 @@
+/**
+ * 自适应流清单解析：HLS (.m3u8) 和 DASH (.mpd)
+ * 两种清单都整理为统一的码率档位（rendition）列表：
+ * { id, kind, bandwidth, averageBandwidth, resolution, codecs, frameRate, targetDuration, init, segments, errors }
+ * segments 按连续等长的分片段记录 { sequence, uri, start, duration, count, template, byteRange, discontinuity, gap, encrypted }，
+ * 时间单位为秒；HLS 和 SegmentList 每段一个分片，DASH SegmentTemplate 每段对应一个 S 元素或一组固定时长的分片，
+ * 分片数由声明的时长决定而不生成逐个分片，需要具体分片时用 createSegmentLocator 按下标生成
+ */
+
+// 清单类型对应的文件扩展名和 MIME 类型
+const MANIFEST_TYPES = {
+  hls: { extensions: ['.m3u8', '.m3u'], mimeTypes: ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl'] },
+  dash: { extensions: ['.mpd'], mimeTypes: ['application/dash+xml'] },
+};
+
+// 只包含音频编码的 CODECS 视为音频档位
+const AUDIO_CODEC_PREFIXES = ['mp4a', 'ac-3', 'ec-3', 'opus', 'flac', 'fLaC', 'Opus', 'vorbis'];
+
+/**
+ * 根据 URL 扩展名或 Content-Type 判断清单类型
+ * @param {string} url - 清单 URL
+ * @param {string} [contentType] - 响应的 Content-Type
+ * @returns {string|null} 'hls' / 'dash'；不是清单时为 null
+ */
+export function detectManifestType(url, contentType = '') {
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch (error) {
+    pathname = String(url || '').toLowerCase();
+  }
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  for (const [type, info] of Object.entries(MANIFEST_TYPES)) {
+    if (info.extensions.some(extension => pathname.endsWith(extension)) || info.mimeTypes.includes(mimeType)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * 根据内容判断清单类型（URL 和 Content-Type 都无法判断时使用）
+ */
+export function sniffManifestType(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('#EXTM3U')) return 'hls';
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<([\w-]+:)?MPD[\s>]/.test(head)) return 'dash';
+  return null;
+}
+
+/**
+ * 解析 HLS 播放列表
+ * @param {string} text - 播放列表内容
+ * @param {string} baseUrl - 播放列表 URL（解析相对地址）
+ * @returns {Object} 主播放列表 { master: true, variants, errors }；媒体播放列表 { master: false, ...parseHLSMedia }
+ */
+export function parseHLSPlaylist(text, baseUrl) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const errors = [];
+  if (lines[0] !== '#EXTM3U') {
+    errors.push('播放列表第一行不是 #EXTM3U');
+  }
+
+  const master = lines.some(line => line.startsWith('#EXT-X-STREAM-INF:'));
+  if (master) {
+    return { master: true, ...parseHLSMaster(lines, baseUrl, errors) };
+  }
+  return { master: false, ...parseHLSMedia(lines, baseUrl, errors) };
+}
+
+/**
+ * 解析主播放列表：EXT-X-STREAM-INF 码率档位和带 URI 的 EXT-X-MEDIA（独立音轨 / 字幕）
+ */
+function parseHLSMaster(lines, baseUrl, errors) {
+  const variants = [];
+  let pending = null;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pending = readAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const media = readAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      if (media.URI && (media.TYPE === 'AUDIO' || media.TYPE === 'SUBTITLES')) {
+        variants.push({
+          id: `${media.TYPE.toLowerCase()}:${media['GROUP-ID'] || ''}:${media.NAME || variants.length}`,
+          kind: media.TYPE === 'AUDIO' ? 'audio' : 'subtitle',
+          uri: resolveUrl(media.URI, baseUrl),
+          bandwidth: null,
+          averageBandwidth: null,
+          resolution: null,
+          codecs: null,
+          frameRate: null,
+        });
+      }
+    } else if (!line.startsWith('#') && pending) {
+      const codecs = pending.CODECS || null;
+      variants.push({
+        id: `variant:${variants.filter(variant => variant.id.startsWith('variant:')).length}`,
+        kind: guessKind(codecs, pending.RESOLUTION),
+        uri: resolveUrl(line, baseUrl),
+        bandwidth: toNumber(pending.BANDWIDTH),
+        averageBandwidth: toNumber(pending['AVERAGE-BANDWIDTH']),
+        resolution: parseResolution(pending.RESOLUTION),
+        codecs,
+        frameRate: toNumber(pending['FRAME-RATE']),
+      });
+      if (!pending.BANDWIDTH) {
+        errors.push(`码率档位 ${line} 缺少 BANDWIDTH 属性`);
+      }
+      pending = null;
+    }
+  });
+
+  if (pending) {
+    errors.push('最后一个 EXT-X-STREAM-INF 后没有播放列表 URI');
+  }
+  return { variants, errors };
+}
+
+/**
+ * 解析媒体播放列表：目标时长、媒体序号、分片列表（含字节范围、不连续标记、加密和 GAP）
+ * @returns {Object} { targetDuration, mediaSequence, discontinuitySequence, playlistType, endList, init, segments, errors }
+ */
+function parseHLSMedia(lines, baseUrl, errors = []) {
+  const result = {
+    targetDuration: null,
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    playlistType: null,
+    endList: false,
+    init: null,
+    segments: [],
+    errors,
+  };
+
+  let duration = null;
+  let byteRange = null;
+  let discontinuity = false;
+  let gap = false;
+  let encrypted = false;
+  let init = null;
+  let start = 0;
+  // 省略偏移的 EXT-X-BYTERANGE 从同一 URI 上一个分片的结尾开始
+  const rangeEnds = {};
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      result.targetDuration = toNumber(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      result.mediaSequence = toNumber(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) {
+      result.discontinuitySequence = toNumber(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      result.playlistType = line.split(':')[1];
+    } else if (line === '#EXT-X-ENDLIST') {
+      result.endList = true;
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true;
+    } else if (line === '#EXT-X-GAP') {
+      gap = true;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const method = readAttributes(line.slice('#EXT-X-KEY:'.length)).METHOD;
+      encrypted = Boolean(method) && method !== 'NONE';
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const map = readAttributes(line.slice('#EXT-X-MAP:'.length));
+      init = map.URI ? { uri: resolveUrl(map.URI, baseUrl), byteRange: parseHLSByteRange(map.BYTERANGE, null) } : null;
+      if (!result.init) result.init = init;
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+      if (!(duration >= 0)) {
+        errors.push(`无效的 EXTINF 时长: ${line}`);
+        duration = 0;
+      }
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRange = line.slice('#EXT-X-BYTERANGE:'.length);
+    } else if (!line.startsWith('#')) {
+      const uri = resolveUrl(line, baseUrl);
+      if (duration === null) {
+        errors.push(`分片 ${line} 前缺少 EXTINF`);
+      }
+      const range = byteRange ? parseHLSByteRange(byteRange, rangeEnds[uri] ?? 0) : null;
+      if (range) rangeEnds[uri] = range.offset + range.length;
+
+      result.segments.push({
+        sequence: result.mediaSequence + result.segments.length,
+        uri,
+        start,
+        duration: duration || 0,
+        count: 1,
+        template: null,
+        byteRange: range,
+        discontinuity,
+        gap,
+        encrypted,
+        init,
+      });
+      start += duration || 0;
+      duration = null;
+      byteRange = null;
+      discontinuity = false;
+      gap = false;
+    }
+  });
+
+  if (result.targetDuration === null) {
+    errors.push('播放列表缺少 EXT-X-TARGETDURATION');
+  }
+  if (duration !== null) {
+    errors.push('最后一个 EXTINF 后没有分片 URI');
+  }
+  if (result.playlistType === 'VOD' && !result.endList) {
+    errors.push('点播（VOD）播放列表缺少 EXT-X-ENDLIST');
+  }
+  return result;
+}
+
+/**
+ * 解析 DASH MPD
+ * 支持 SegmentTemplate（含 SegmentTimeline）、SegmentList 和 SegmentBase / 单文件 BaseURL；
+ * 多个 Period 中 id 相同的 Representation 合并为一个档位，新 Period 的第一个分片标记为不连续
+ * @param {string} text - MPD 内容
+ * @param {string} baseUrl - MPD URL（解析相对地址）
+ * @returns {Object} { live, duration, maxSegmentDuration, minBufferTime, renditions, errors }
+ */
+export function parseDASHManifest(text, baseUrl) {
+  const mpd = findChild(parseXML(text), 'MPD');
+  if (!mpd) {
+    throw new Error('MPD 中没有 MPD 根元素');
+  }
+
+  const result = {
+    live: mpd.attributes.type === 'dynamic',
+    duration: parseISODuration(mpd.attributes.mediaPresentationDuration),
+    maxSegmentDuration: parseISODuration(mpd.attributes.maxSegmentDuration),
+    minBufferTime: parseISODuration(mpd.attributes.minBufferTime),
+    renditions: [],
+    errors: [],
+  };
+  const mpdBase = resolveBaseUrl(mpd, baseUrl);
+  const periods = findChildren(mpd, 'Period');
+  if (periods.length === 0) {
+    result.errors.push('MPD 中没有 Period');
+  }
+
+  let periodStart = 0;
+  periods.forEach((period, periodIndex) => {
+    periodStart = parseISODuration(period.attributes.start) ?? periodStart;
+    const nextPeriod = periods[periodIndex + 1];
+    const nextStart = nextPeriod ? parseISODuration(nextPeriod.attributes.start) : null;
+    const periodDuration = parseISODuration(period.attributes.duration)
+      ?? (nextStart !== null ? nextStart - periodStart : null)
+      ?? (result.duration !== null ? result.duration - periodStart : null);
+    const periodBase = resolveBaseUrl(period, mpdBase);
+    const context = { periodStart, periodDuration, errors: result.errors };
+
+    findChildren(period, 'AdaptationSet').forEach((adaptationSet, setIndex) => {
+      const setBase = resolveBaseUrl(adaptationSet, periodBase);
+      findChildren(adaptationSet, 'Representation').forEach((representation, index) => {
+        const id = representation.attributes.id || `${setIndex}-${index}`;
+        const rendition = readRepresentation(adaptationSet, representation, id, resolveBaseUrl(representation, setBase), context);
+        const existing = result.renditions.find(item => item.id === rendition.id);
+        if (existing && periodIndex > 0) {
+          if (rendition.segments[0]) rendition.segments[0].discontinuity = true;
+          existing.segments = existing.segments.concat(rendition.segments);
+          existing.errors.push(...rendition.errors);
+        } else {
+          result.renditions.push(rendition);
+        }
+      });
+    });
+
+    periodStart += periodDuration || 0;
+  });
+
+  return result;
+}
+
+/**
+ * 按下标读取档位中的分片（下标跨所有分片段连续编号），模板分片此时才生成地址
+ * @param {Object} rendition - 码率档位
+ * @returns {Object} { count: 分片总数, get(index) → 分片 { index, sequence, uri, start, duration, byteRange, discontinuity, gap, encrypted, init } }
+ */
+export function createSegmentLocator(rendition) {
+  const firsts = [];
+  let count = 0;
+  rendition.segments.forEach(run => {
+    firsts.push(count);
+    count += run.count;
+  });
+
+  function get(index) {
+    if (!(index >= 0 && index < count)) return null;
+    // 二分查找下标所在的分片段
+    let low = 0;
+    let high = firsts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (firsts[middle] <= index) low = middle;
+      else high = middle - 1;
+    }
+    const run = rendition.segments[low];
+    const position = index - firsts[low];
+    const sequence = run.sequence + position;
+    const uri = run.template
+      ? resolveUrl(fillTemplate(run.template.media, {
+        ...run.template.variables,
+        Number: sequence,
+        Time: run.template.time + position * run.template.step,
+      }), run.template.baseUrl)
+      : run.uri;
+    return {
+      index,
+      sequence,
+      uri,
+      start: run.start + position * run.duration,
+      duration: run.duration,
+      byteRange: run.byteRange,
+      discontinuity: run.discontinuity && position === 0,
+      gap: run.gap,
+      encrypted: run.encrypted,
+      init: run.init,
+    };
+  }
+
+  return { count, get };
+}
+
+/**
+ * 读取 Representation（属性和分片寻址方式可继承自 AdaptationSet）
+ */
+function readRepresentation(adaptationSet, representation, id, baseUrl, context) {
+  const attribute = name => representation.attributes[name] ?? adaptationSet.attributes[name] ?? null;
+  const width = toNumber(attribute('width'));
+  const height = toNumber(attribute('height'));
+  const codecs = attribute('codecs');
+  const mimeType = attribute('mimeType') || '';
+  const contentType = attribute('contentType') || mimeType.split('/')[0];
+
+  const rendition = {
+    id,
+    kind: ['video', 'audio'].includes(contentType) ? contentType : (contentType === 'text' ? 'subtitle' : guessKind(codecs, width && height)),
+    mimeType: mimeType || null,
+    bandwidth: toNumber(representation.attributes.bandwidth),
+    averageBandwidth: null,
+    resolution: width && height ? { width, height } : null,
+    codecs,
+    frameRate: parseFrameRate(attribute('frameRate')),
+    targetDuration: null,
+    init: null,
+    segments: [],
+    errors: [],
+  };
+  if (!rendition.bandwidth) {
+    rendition.errors.push(`Representation ${id} 缺少 bandwidth 属性`);
+  }
+
+  const variables = { RepresentationID: id, Bandwidth: rendition.bandwidth || 0 };
+  const template = mergeElements(findChild(adaptationSet, 'SegmentTemplate'), findChild(representation, 'SegmentTemplate'));
+  const list = mergeElements(findChild(adaptationSet, 'SegmentList'), findChild(representation, 'SegmentList'));
+
+  if (template) {
+    readSegmentTemplate(template, baseUrl, variables, rendition, context);
+  } else if (list) {
+    readSegmentList(list, baseUrl, rendition, context);
+  } else {
+    // SegmentBase 或单个 BaseURL：整个文件作为一个分片
+    rendition.segments.push(createSegment(0, baseUrl, context.periodStart, context.periodDuration || 0));
+  }
+  return rendition;
+}
+
+/**
+ * SegmentTemplate：按 SegmentTimeline 或固定 duration 展开分片地址
+ */
+function readSegmentTemplate(template, baseUrl, variables, rendition, context) {
+  const attributes = template.attributes;
+  const timescale = toNumber(attributes.timescale) || 1;
+  const startNumber = toNumber(attributes.startNumber) ?? 1;
+  const offset = toNumber(attributes.presentationTimeOffset) || 0;
+
+  if (attributes.initialization) {
+    rendition.init = { uri: resolveUrl(fillTemplate(attributes.initialization, variables), baseUrl), byteRange: null };
+  }
+  if (!attributes.media) {
+    rendition.errors.push(`Representation ${rendition.id} 的 SegmentTemplate 缺少 media 属性`);
+    return;
+  }
+
+  const timeline = findChild(template, 'SegmentTimeline');
+  const runs = timeline
+    ? expandTimeline(timeline, context.periodDuration !== null ? offset + context.periodDuration * timescale : null)
+    : expandDuration(toNumber(attributes.duration), timescale, offset, context.periodDuration);
+  if (!runs) {
+    rendition.errors.push(`Representation ${rendition.id} 无法确定分片数量（缺少 SegmentTimeline 或 duration，或动态 MPD 没有时长）`);
+    return;
+  }
+
+  let number = startNumber;
+  runs.forEach(({ time, duration, count }) => {
+    const segment = createSegment(number, null, context.periodStart + (time - offset) / timescale, duration / timescale, count);
+    segment.template = { media: attributes.media, variables, baseUrl, time, step: duration };
+    rendition.segments.push(segment);
+    number += count;
+  });
+}
+
+/**
+ * SegmentList：逐个 SegmentURL，时长来自 duration 或 SegmentTimeline
+ */
+function readSegmentList(list, baseUrl, rendition, context) {
+  const timescale = toNumber(list.attributes.timescale) || 1;
+  const duration = toNumber(list.attributes.duration);
+  const startNumber = toNumber(list.attributes.startNumber) ?? 1;
+  const initialization = findChild(list, 'Initialization');
+  if (initialization) {
+    rendition.init = {
+      uri: resolveUrl(initialization.attributes.sourceURL || '', baseUrl),
+      byteRange: parseDASHByteRange(initialization.attributes.range),
+    };
+  }
+
+  const timeline = findChild(list, 'SegmentTimeline');
+  const runs = timeline ? expandTimeline(timeline, null) : null;
+  // SegmentTimeline 中的第 run 段、段内第 position 个分片
+  let run = 0;
+  let position = 0;
+  let time = 0;
+  findChildren(list, 'SegmentURL').forEach((segmentUrl, i) => {
+    let entry = { time, duration: duration || 0 };
+    if (runs) {
+      while (run < runs.length && position >= runs[run].count) {
+        run++;
+        position = 0;
+      }
+      if (run >= runs.length) return;
+      entry = { time: runs[run].time + position * runs[run].duration, duration: runs[run].duration };
+      position++;
+    }
+    const segment = createSegment(
+      startNumber + i,
+      resolveUrl(segmentUrl.attributes.media || '', baseUrl),
+      context.periodStart + entry.time / timescale,
+      entry.duration / timescale
+    );
+    segment.byteRange = parseDASHByteRange(segmentUrl.attributes.mediaRange);
+    rendition.segments.push(segment);
+    time = entry.time + entry.duration;
+  });
+}
+
+/**
+ * 展开 SegmentTimeline 的 S 元素（t 起始时间、d 时长、r 重复次数，r = -1 时重复到下一个 S 或 Period 结束）
+ * @param {number|null} endTime - Period 结束时间（timescale 单位）
+ * @returns {Array<Object>} 每个 S 元素一段 [{ time, duration, count }]（timescale 单位）
+ */
+function expandTimeline(timeline, endTime) {
+  const entries = findChildren(timeline, 'S');
+  const runs = [];
+  let time = 0;
+
+  entries.forEach((entry, i) => {
+    const duration = toNumber(entry.attributes.d) || 0;
+    if (entry.attributes.t !== undefined) time = toNumber(entry.attributes.t);
+    let repeat = toNumber(entry.attributes.r) || 0;
+
+    if (repeat < 0 && duration > 0) {
+      const next = entries[i + 1] && entries[i + 1].attributes.t !== undefined ? toNumber(entries[i + 1].attributes.t) : endTime;
+      repeat = next !== null ? Math.max(0, Math.ceil((next - time) / duration) - 1) : 0;
+    }
+    if (repeat < 0) return;
+    runs.push({ time, duration, count: repeat + 1 });
+    time += (repeat + 1) * duration;
+  });
+  return runs;
+}
+
+/**
+ * 固定时长的 SegmentTemplate：按 Period 时长计算分片数，最后一个分片可能较短
+ * @returns {Array<Object>|null} [{ time, duration, count }]（timescale 单位）；无法确定分片数时为 null
+ */
+function expandDuration(duration, timescale, offset, periodDuration) {
+  if (!duration || periodDuration === null) return null;
+  const total = periodDuration * timescale;
+  const count = Math.ceil(total / duration);
+  const last = total - (count - 1) * duration;
+  if (last >= duration) {
+    return [{ time: offset, duration, count }];
+  }
+  return [
+    { time: offset, duration, count: count - 1 },
+    { time: offset + (count - 1) * duration, duration: last, count: 1 },
+  ].filter(run => run.count > 0);
+}
+
+function createSegment(sequence, uri, start, duration, count = 1) {
+  return { sequence, uri, start, duration, count, template: null, byteRange: null, discontinuity: false, gap: false, encrypted: false };
+}
+
+/**
+ * 替换 SegmentTemplate 中的 $RepresentationID$、$Number$、$Bandwidth$、$Time$（支持 %0Nd 格式）和 $$
+ */
+function fillTemplate(template, variables) {
+  return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)?(%0(\d+)d)?\$/g, (match, name, format, width) => {
+    if (!name) return '$';
+    const value = String(variables[name] ?? '');
+    return width ? value.padStart(Number(width), '0') : value;
+  });
+}
+
+/**
+ * 子元素的属性覆盖父元素（Representation 中的 SegmentTemplate 覆盖 AdaptationSet 中的），子元素沿用先出现的
+ */
+function mergeElements(parent, child) {
+  if (!parent) return child;
+  if (!child) return parent;
+  return {
+    name: child.name,
+    attributes: { ...parent.attributes, ...child.attributes },
+    children: child.children.length > 0 ? child.children : parent.children,
+  };
+}
+
+function resolveBaseUrl(element, parentBase) {
+  const baseUrl = findChild(element, 'BaseURL');
+  return baseUrl && baseUrl.text.trim() ? resolveUrl(baseUrl.text.trim(), parentBase) : parentBase;
+}
+
+/**
+ * 最小的 XML 解析：元素名（去掉命名空间前缀）、属性、子元素和文本，足够读取 MPD
+ */
+function parseXML(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, cdata, closing, opening, attributeText, selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        throw new Error(`MPD 不是有效的 XML：</${closing}> 没有对应的开始标签`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const element = { name: localName(opening), attributes: readXMLAttributes(attributeText), children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (textContent) {
+      current.text += decodeEntities(textContent);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`MPD 不是有效的 XML：<${stack[stack.length - 1].name}> 没有结束`);
+  }
+  return root;
+}
+
+function readXMLAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+function findChild(element, name) {
+  return element ? element.children.find(child => child.name === name) || null : null;
+}
+
+function findChildren(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * 解析 HLS 属性列表（KEY=value，带引号的值可以包含逗号）
+ */
+function readAttributes(text) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].startsWith('"') ? match[2].slice(1, -1) : match[2];
+  }
+  return attributes;
+}
+
+/**
+ * 解析 HLS 字节范围 "length[@offset]"；省略偏移时使用 defaultOffset
+ */
+function parseHLSByteRange(value, defaultOffset) {
+  if (!value) return null;
+  const [length, offset] = value.split('@').map(Number);
+  if (!(length >= 0)) return null;
+  return { offset: offset >= 0 ? offset : (defaultOffset ?? 0), length };
+}
+
+/**
+ * 解析 DASH 字节范围 "first-last"
+ */
+function parseDASHByteRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value || '');
+  return match ? { offset: Number(match[1]), length: Number(match[2]) - Number(match[1]) + 1 } : null;
+}
+
+/**
+ * 解析 ISO 8601 时长（如 PT1H2M3.5S、P1DT2H）
+ * @returns {number|null} 秒
+ */
+export function parseISODuration(value) {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * 解析 DASH 帧率（"25" 或 "30000/1001"）
+ */
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [numerator, denominator] = String(value).split('/').map(Number);
+  if (!(numerator > 0)) return null;
+  return Math.round((numerator / (denominator > 0 ? denominator : 1)) * 1000) / 1000;
+}
+
+function parseResolution(value) {
+  const match = /^(\d+)x(\d+)$/i.exec(value || '');
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+function guessKind(codecs, hasResolution) {
+  if (hasResolution) return 'video';
+  if (!codecs) return 'unknown';
+  const list = codecs.split(',').map(codec => codec.trim().split('.')[0]);
+  return list.every(codec => AUDIO_CODEC_PREFIXES.includes(codec)) ? 'audio' : 'video';
+}
+
+function resolveUrl(uri, baseUrl) {
+  try {
+    return new URL(uri, baseUrl).href;
+  } catch (error) {
+    return uri;
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,35 @@
+/**
+ * 数值与列表工具
+ * 各分析模块共用的取整、采样间隔和均匀抽取；pickEvenly 同时注入页面脚本（见 index.js getHTML）
+ */
+
+/**
+ * 保留 3 位小数
+ */
+export function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 按时间升序排列的采样的中位采样间隔（忽略时间相同或倒退的相邻采样）
+ * @param {Array<Object>} samples - 采样 { time }
+ * @returns {number} 间隔（秒）；不足两个不同时间时为 0
+ */
+export function medianInterval(samples) {
+  const deltas = [];
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].time > samples[i - 1].time) deltas.push(samples[i].time - samples[i - 1].time);
+  }
+  if (deltas.length === 0) return 0;
+  deltas.sort((a, b) => a - b);
+  return deltas[Math.floor(deltas.length / 2)];
+}
+
+/**
+ * 从列表中均匀抽取不超过 count 个
+ */
+export function pickEvenly(list, count) {
+  if (list.length <= count) return list;
+  const step = list.length / count;
+  return Array.from({ length: count }, (_, i) => list[Math.floor(i * step)]);
+}
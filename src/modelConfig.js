@@ -0,0 +1,129 @@
+/**
+ * 图像模型配置与标签映射
+ * Hugging Face 帧分析使用的模型、任务类型和"标签 → 问题类型"映射表可按部署配置，
+ * 接入自己微调的花屏 / 伪影分类器时无需改代码：
+ * - HF_MODEL_CONFIG：JSON { model, task, labels }
+ * - HF_MODEL、HF_TASK、HF_LABEL_MAP（JSON 数组）：单独覆盖对应字段
+ *
+ * 映射表每一项为 { label, issue | issues, minScore, match, when }：
+ * - label: 模型输出的标签；match 为 contains（默认，包含该字符串，忽略大小写）或 exact
+ * - minScore: 置信度不低于该值才算命中（默认 0）
+ * - when: present（默认，命中即有问题）或 absent（没有命中才有问题，如检测模型没有检测到 person）
+ * present 规则的标签在输出中完全没有出现时（如通用分类模型的标签表里没有 glitch）不算证据，该类问题弃权
+ */
+
+// 支持的任务类型：模型输出都是 [{ label, score, ... }]，语义分割的 score 可能为 null（按 1 计）
+export const MODEL_TASKS = ['classification', 'detection', 'segmentation'];
+
+// 帧级模型能判定的问题类型
+export const MODEL_ISSUE_TYPES = ['glitch', 'corruption', 'colorShift', 'blur', 'missingPerson', 'frameAnomaly'];
+
+// 默认配置：通用 ImageNet 分类模型，标签中出现 glitch / corrupt / error 视为花屏和乱码
+export const DEFAULT_MODEL_CONFIG = {
+  model: 'google/vit-base-patch16-224',
+  task: 'classification',
+  labels: [
+    { label: 'glitch', issues: ['glitch', 'corruption'] },
+    { label: 'corrupt', issues: ['glitch', 'corruption'] },
+    { label: 'error', issues: ['glitch', 'corruption'] },
+  ],
+};
+
+/**
+ * 读取并校验模型配置
+ * @param {Object} env - 环境变量
+ * @returns {Object} { model, task, labels }，labels 已规范为 { label, issues, minScore, match, when }
+ */
+export function readModelConfig(env = {}) {
+  const config = { ...DEFAULT_MODEL_CONFIG };
+  if (env.HF_MODEL_CONFIG) {
+    Object.assign(config, parseJSON(env.HF_MODEL_CONFIG, 'HF_MODEL_CONFIG'));
+  }
+  if (env.HF_MODEL) config.model = env.HF_MODEL;
+  if (env.HF_TASK) config.task = env.HF_TASK;
+  if (env.HF_LABEL_MAP) config.labels = parseJSON(env.HF_LABEL_MAP, 'HF_LABEL_MAP');
+
+  if (typeof config.model !== 'string' || !config.model) {
+    throw new Error('模型配置无效: model 不能为空');
+  }
+  if (!MODEL_TASKS.includes(config.task)) {
+    throw new Error(`模型配置无效: 不支持的任务类型 ${config.task}（可选 ${MODEL_TASKS.join(' / ')}）`);
+  }
+  if (!Array.isArray(config.labels) || config.labels.length === 0) {
+    throw new Error('模型配置无效: labels 需要非空数组');
+  }
+  return { ...config, labels: config.labels.map(normalizeLabelRule) };
+}
+
+/**
+ * 按映射表把单帧的模型输出转换为问题标记
+ * @param {Array<Object>|Object} output - 模型输出 [{ label, score }]（也接受单个对象）
+ * @param {Object} config - readModelConfig 的结果
+ * @param {Object} [options] - { expectPerson }；未要求画面中有人物时不判定 missingPerson
+ * @returns {Object} { 问题类型: boolean }，只包含映射表中出现且有证据的类型；
+ *   present 规则的标签在输出中都没有出现（不论置信度）时该类型省略（弃权）
+ */
+export function mapModelOutput(output, config, options = {}) {
+  const items = (Array.isArray(output) ? output : [output])
+    .filter(item => item && typeof item.label === 'string');
+  const issues = {};
+
+  config.labels.forEach(rule => {
+    const matches = items.filter(item => {
+      const label = item.label.toLowerCase();
+      return rule.match === 'exact' ? label === rule.label : label.includes(rule.label);
+    });
+    // 模型没有输出该标签，无法说明有没有问题
+    if (rule.when === 'present' && matches.length === 0) return;
+    const hit = matches.some(item => (typeof item.score === 'number' ? item.score : 1) >= rule.minScore);
+    const flagged = rule.when === 'absent' ? !hit : hit;
+    rule.issues.forEach(issue => {
+      if (issue === 'missingPerson' && !options.expectPerson) return;
+      issues[issue] = Boolean(issues[issue]) || flagged;
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * 映射表中出现的问题类型
+ */
+export function mappedIssueTypes(config, options = {}) {
+  const types = new Set(config.labels.flatMap(rule => rule.issues));
+  if (!options.expectPerson) types.delete('missingPerson');
+  return [...types];
+}
+
+function normalizeLabelRule(rule, index) {
+  if (!rule || typeof rule.label !== 'string' || !rule.label) {
+    throw new Error(`模型配置无效: labels[${index}] 缺少 label`);
+  }
+  const issues = Array.isArray(rule.issues) ? rule.issues : [rule.issue];
+  const unknown = issues.filter(issue => !MODEL_ISSUE_TYPES.includes(issue));
+  if (issues.length === 0 || unknown.length > 0) {
+    throw new Error(`模型配置无效: labels[${index}] 的问题类型 ${unknown.join(', ') || '为空'} 不受支持（可选 ${MODEL_ISSUE_TYPES.join(' / ')}）`);
+  }
+  if (rule.match !== undefined && !['contains', 'exact'].includes(rule.match)) {
+    throw new Error(`模型配置无效: labels[${index}] 的 match 只能为 contains 或 exact`);
+  }
+  if (rule.when !== undefined && !['present', 'absent'].includes(rule.when)) {
+    throw new Error(`模型配置无效: labels[${index}] 的 when 只能为 present 或 absent`);
+  }
+  return {
+    label: rule.label.toLowerCase(),
+    issues,
+    minScore: typeof rule.minScore === 'number' ? rule.minScore : 0,
+    match: rule.match || 'contains',
+    when: rule.when || 'present',
+  };
+}
+
+function parseJSON(value, name) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} 不是合法的 JSON: ${error.message}`);
+  }
+}
@@ -0,0 +1,672 @@
+/**
+ * ISO-BMFF (MP4/MOV) 容器解析
+ * 遍历 box 结构，读取 moov/mvhd、trak/tkhd、mdia/mdhd、stsd 等元数据
+ * 以及视频轨道的 stts/ctts 采样时间表和 stss 同步采样表
+ * 分片 MP4（fMP4 / CMAF）的采样时间和关键帧从 moof/traf/trun 读取，默认值来自 moov/mvex/trex
+ * 顶层 box 只读取头部，ftyp、moov 和 moof 整体载入内存后解析，mdat 直接跳过
+ */
+
+import { DEFAULT_SOURCE_OPTIONS, isScanExhausted, loadRegion, readView, rebase } from './byteSource.js';
+
+// 顶层可能出现的 box 类型（MOV 文件不一定以 ftyp 开头）
+const TOP_LEVEL_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'styp', 'sidx', 'moof', 'emsg', 'prft'];
+
+// trun / trex 采样标志中的 sample_is_non_sync_sample 位
+const NON_SYNC_SAMPLE_FLAG = 0x10000;
+
+// 常见编码 FourCC 对应的名称
+export const CODEC_NAMES = {
+  avc1: 'H.264/AVC',
+  avc3: 'H.264/AVC',
+  hvc1: 'H.265/HEVC',
+  hev1: 'H.265/HEVC',
+  av01: 'AV1',
+  vp08: 'VP8',
+  vp09: 'VP9',
+  mp4v: 'MPEG-4 Visual',
+  mp4a: 'AAC',
+  'ac-3': 'AC-3',
+  'ec-3': 'E-AC-3',
+  Opus: 'Opus',
+  fLaC: 'FLAC',
+};
+
+// handler 类型到轨道类型的映射
+const HANDLER_TYPES = {
+  vide: 'video',
+  soun: 'audio',
+  text: 'text',
+  sbtl: 'subtitle',
+  subt: 'subtitle',
+  hint: 'hint',
+  meta: 'metadata',
+};
+
+/**
+ * 判断文件头是否为 ISO-BMFF 格式
+ * @param {Uint8Array} header - 文件头（至少 8 字节）
+ */
+export function isISOBMFF(header) {
+  if (header.length < 8) return false;
+  return TOP_LEVEL_BOXES.includes(readFourCC(header, 4));
+}
+
+/**
+ * 解析 MP4/MOV 文件
+ * @param {Object} source - 字节源 { size, read(offset, length) }，见 byteSource.js
+ * @returns {Promise<Object>} 容器信息（品牌、时长、轨道列表、结构错误）；scanStoppedAt 为扫描达到读取上限时停止的偏移
+ */
+export async function parseMP4(source) {
+  const result = {
+    brand: null,
+    compatibleBrands: [],
+    duration: null,
+    timescale: null,
+    tracks: [],
+    hasMoov: false,
+    hasMdat: false,
+    fragmentCount: 0,
+    scanStoppedAt: null,
+    errors: [],
+  };
+  // 分片信息：trex 默认值、每个轨道的采样（最多 maxTimestamps 个）和采样总数
+  // { trackDefaults, samples: { [trackId]: [...] }, sampleCounts: { [trackId]: number }, nextDecodeTime }
+  const fragments = { trackDefaults: {}, samples: {}, sampleCounts: {}, nextDecodeTime: {} };
+
+  // 数据流只能顺序读取，每个顶层 box 在扫描经过时立即载入解析（moov 在文件末尾时也不需要回头读取）
+  await scanBoxes(source, result.errors, async (box) => {
+    // 读取次数达到上限（远程文件的大量 moof / mdat）：停止扫描，已解析的分片照常汇总
+    if (isScanExhausted(source)) {
+      result.scanStoppedAt = box.start;
+      return false;
+    }
+    if (box.type === 'ftyp') {
+      const view = await loadRegion(source, box.start, box.end, 'ftyp box', result.errors);
+      if (view) parseFtyp(view, rebase(box), result);
+    } else if (box.type === 'moov') {
+      result.hasMoov = true;
+      const view = await loadRegion(source, box.start, box.end, 'moov box', result.errors);
+      if (view) parseMoov(view, rebase(box), result, fragments);
+    } else if (box.type === 'moof') {
+      result.fragmentCount++;
+      const view = await loadRegion(source, box.start, box.end, 'moof box', result.errors);
+      if (view) parseMoof(view, rebase(box), result, fragments);
+    } else if (box.type === 'mdat') {
+      result.hasMdat = true;
+    }
+  });
+
+  if (result.fragmentCount > 0) {
+    applyFragments(result, fragments);
+  }
+
+  // 扫描提前停止时，没有扫描到的部分可能仍有 moov / mdat
+  if (!result.hasMoov && result.scanStoppedAt === null) {
+    result.errors.push('缺少 moov box，无法读取视频元数据');
+  }
+  if (!result.hasMdat && result.scanStoppedAt === null) {
+    result.errors.push('缺少 mdat box，文件中没有媒体数据');
+  }
+
+  return result;
+}
+
+/**
+ * 逐个读取顶层 box 的头部（不读取 box 内容）
+ * @param {Object} source - 字节源
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @param {Function} [onBox] - 每读到一个 box 调用一次（async），返回后才读取下一个 box 的头部；返回 false 时停止扫描
+ * @returns {Promise<Array<Object>>} box 列表（偏移为文件中的绝对偏移）
+ */
+async function scanBoxes(source, errors, onBox) {
+  const boxes = [];
+  const end = source.size;
+  let offset = 0;
+
+  while (offset + 8 <= end) {
+    const header = await readView(source, offset, Math.min(offset + 16, end));
+    const box = readBoxHeader(header, 0, end - offset, errors, offset);
+    if (!box) break;
+
+    const absolute = { ...box, start: offset, dataStart: offset + box.dataStart, end: offset + box.end, base: 0 };
+    boxes.push(absolute);
+    if (onBox && await onBox(absolute) === false) return boxes;
+    offset += box.size;
+  }
+
+  if (offset < end && offset + 8 > end) {
+    errors.push(`偏移 ${offset} 处存在 ${end - offset} 字节无法识别的尾部数据`);
+  }
+
+  return boxes;
+}
+
+/**
+ * 读取指定范围内的同级 box
+ * @param {DataView} view - 数据视图
+ * @param {number} start - 起始偏移
+ * @param {number} end - 结束偏移
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @param {number} [base] - 数据视图在文件中的起始偏移（用于错误信息）
+ * @returns {Array<Object>} box 列表
+ */
+export function readBoxes(view, start, end, errors = [], base = 0) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(view, offset, end, errors, base);
+    if (!box) break;
+
+    boxes.push(box);
+    offset += box.size;
+  }
+
+  if (offset < end && offset + 8 > end) {
+    errors.push(`偏移 ${base + offset} 处存在 ${end - offset} 字节无法识别的尾部数据`);
+  }
+
+  return boxes;
+}
+
+/**
+ * 读取单个 box 的头部（大小、类型，支持 64 位 largesize 和延伸到末尾的 box）
+ * @returns {Object|null} box 信息；头部无效时记录错误并返回 null
+ */
+function readBoxHeader(view, offset, end, errors, base) {
+  let size = view.getUint32(offset);
+  const type = readFourCC(view, offset + 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    // 64 位 largesize
+    if (offset + 16 > end) {
+      errors.push(`box "${type}" 头部被截断 (偏移 ${base + offset})`);
+      return null;
+    }
+    size = Number(view.getBigUint64(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    // 延伸到文件末尾
+    size = end - offset;
+  }
+
+  if (size < headerSize) {
+    errors.push(`box "${type}" 大小非法 (${size} 字节，偏移 ${base + offset})`);
+    return null;
+  }
+
+  const truncated = offset + size > end;
+  if (truncated) {
+    errors.push(`box "${type}" 被截断：声明 ${size} 字节，实际仅剩 ${end - offset} 字节`);
+  }
+
+  return {
+    type,
+    start: offset,
+    size,
+    dataStart: offset + headerSize,
+    end: Math.min(offset + size, end),
+    truncated,
+    base,
+  };
+}
+
+/**
+ * 读取子 box，按类型建立索引（同类型取第一个）
+ */
+function readChildren(view, parent, errors) {
+  const children = {};
+  for (const box of readBoxes(view, parent.dataStart, parent.end, errors, parent.base)) {
+    if (!children[box.type]) {
+      children[box.type] = box;
+    }
+  }
+  return children;
+}
+
+/**
+ * 解析 ftyp：主品牌和兼容品牌
+ */
+function parseFtyp(view, box, result) {
+  if (box.end - box.dataStart < 8) return;
+  result.brand = readFourCC(view, box.dataStart).trim();
+  for (let offset = box.dataStart + 8; offset + 4 <= box.end; offset += 4) {
+    result.compatibleBrands.push(readFourCC(view, offset).trim());
+  }
+}
+
+/**
+ * 解析 moov：mvhd、所有 trak 以及 mvex/trex 分片默认值
+ */
+function parseMoov(view, moov, result, fragments) {
+  const children = readBoxes(view, moov.dataStart, moov.end, result.errors, moov.base);
+
+  for (const box of children) {
+    if (box.type === 'mvhd') {
+      const header = readTimeHeader(view, box);
+      if (header) {
+        result.timescale = header.timescale;
+        result.duration = header.timescale ? header.duration / header.timescale : null;
+      }
+    } else if (box.type === 'trak') {
+      const track = parseTrak(view, box, result.errors);
+      if (track) {
+        result.tracks.push(track);
+      }
+    } else if (box.type === 'mvex') {
+      parseMvex(view, box, result.errors, fragments);
+    }
+  }
+}
+
+/**
+ * 解析 mvex：每个轨道 trex 中的默认采样时长、大小和标志
+ */
+function parseMvex(view, mvex, errors, fragments) {
+  for (const box of readBoxes(view, mvex.dataStart, mvex.end, errors, mvex.base)) {
+    if (box.type !== 'trex' || box.dataStart + 24 > box.end) continue;
+    const trackId = view.getUint32(box.dataStart + 4);
+    fragments.trackDefaults[trackId] = {
+      duration: view.getUint32(box.dataStart + 12),
+      size: view.getUint32(box.dataStart + 16),
+      flags: view.getUint32(box.dataStart + 20),
+    };
+  }
+}
+
+/**
+ * 解析 moof：每个 traf 的 tfhd（轨道与默认值）、tfdt（起始解码时间）和 trun（采样时长、标志、显示时间偏移）
+ */
+function parseMoof(view, moof, result, fragments) {
+  for (const traf of readBoxes(view, moof.dataStart, moof.end, result.errors, moof.base)) {
+    if (traf.type !== 'traf') continue;
+
+    const children = readBoxes(view, traf.dataStart, traf.end, result.errors, traf.base);
+    const tfhd = children.find(box => box.type === 'tfhd');
+    if (!tfhd || tfhd.dataStart + 8 > tfhd.end) {
+      result.errors.push(`moof 中的 traf 缺少 tfhd box (偏移 ${traf.base + traf.start})`);
+      continue;
+    }
+
+    const header = readTfhd(view, tfhd, fragments.trackDefaults);
+    const samples = fragments.samples[header.trackId] || (fragments.samples[header.trackId] = []);
+    const tfdt = children.find(box => box.type === 'tfdt');
+    let decodeTime = tfdt ? readTfdt(view, tfdt) : (fragments.nextDecodeTime[header.trackId] || 0);
+
+    children.filter(box => box.type === 'trun').forEach(trun => {
+      const run = readTrun(view, trun, header, decodeTime, samples, result.errors);
+      decodeTime = run.decodeTime;
+      fragments.sampleCounts[header.trackId] = (fragments.sampleCounts[header.trackId] || 0) + run.count;
+    });
+    fragments.nextDecodeTime[header.trackId] = decodeTime;
+  }
+}
+
+/**
+ * 解析 tfhd：轨道 ID 和本分片的默认采样时长、标志（未声明时取 trex 默认值）
+ */
+function readTfhd(view, box, trackDefaults) {
+  const flags = view.getUint32(box.dataStart) & 0xffffff;
+  const trackId = view.getUint32(box.dataStart + 4);
+  const defaults = trackDefaults[trackId] || { duration: 0, size: 0, flags: 0 };
+  const header = { trackId, duration: defaults.duration, flags: defaults.flags };
+
+  let offset = box.dataStart + 8;
+  if (flags & 0x1) offset += 8; // base-data-offset
+  if (flags & 0x2) offset += 4; // sample-description-index
+  if (flags & 0x8) {
+    if (offset + 4 <= box.end) header.duration = view.getUint32(offset);
+    offset += 4;
+  }
+  if (flags & 0x10) offset += 4; // default-sample-size
+  if (flags & 0x20 && offset + 4 <= box.end) {
+    header.flags = view.getUint32(offset);
+  }
+  return header;
+}
+
+/**
+ * 解析 tfdt：本分片第一个采样的解码时间（兼容 version 0/1）
+ */
+function readTfdt(view, box) {
+  if (view.getUint8(box.dataStart) === 1) {
+    return box.dataStart + 12 <= box.end ? Number(view.getBigUint64(box.dataStart + 4)) : 0;
+  }
+  return box.dataStart + 8 <= box.end ? view.getUint32(box.dataStart + 4) : 0;
+}
+
+/**
+ * 解析 trun：逐个采样读取时长、标志和显示时间偏移
+ * samples 达到 maxTimestamps 后不再记录采样，只累计解码时间
+ * @returns {Object} { decodeTime: 下一个采样的解码时间, count: 本 trun 的采样数 }
+ */
+function readTrun(view, box, header, decodeTime, samples, errors) {
+  if (box.dataStart + 8 > box.end) return { decodeTime, count: 0 };
+  const version = view.getUint8(box.dataStart);
+  const flags = view.getUint32(box.dataStart) & 0xffffff;
+  const sampleCount = view.getUint32(box.dataStart + 4);
+
+  let offset = box.dataStart + 8;
+  if (flags & 0x1) offset += 4; // data-offset
+  let firstSampleFlags = null;
+  if (flags & 0x4) {
+    firstSampleFlags = offset + 4 <= box.end ? view.getUint32(offset) : null;
+    offset += 4;
+  }
+
+  const entrySize = [0x100, 0x200, 0x400, 0x800].filter(bit => flags & bit).length * 4;
+  const available = entrySize ? Math.floor((box.end - offset) / entrySize) : sampleCount;
+  if (sampleCount > available) {
+    errors.push(`trun 声明 ${sampleCount} 个采样，实际只有 ${available} 个`);
+  }
+
+  const count = Math.min(sampleCount, available);
+  const kept = Math.max(0, Math.min(count, DEFAULT_SOURCE_OPTIONS.maxTimestamps - samples.length));
+  let dts = decodeTime;
+  for (let i = 0; i < count; i++) {
+    // 没有逐采样字段时剩余采样的时长相同，直接累计
+    if (i >= kept && !entrySize) {
+      dts += (count - i) * header.duration;
+      break;
+    }
+    let duration = header.duration;
+    let sampleFlags = i === 0 && firstSampleFlags !== null ? firstSampleFlags : header.flags;
+    let compositionOffset = 0;
+
+    if (flags & 0x100) {
+      duration = view.getUint32(offset);
+      offset += 4;
+    }
+    if (flags & 0x200) offset += 4; // sample-size
+    if (flags & 0x400) {
+      sampleFlags = view.getUint32(offset);
+      offset += 4;
+    }
+    if (flags & 0x800) {
+      // version 1 的偏移为有符号整数
+      compositionOffset = version === 1 ? view.getInt32(offset) : view.getUint32(offset);
+      offset += 4;
+    }
+
+    if (i < kept) {
+      samples.push({ dts, cts: dts + compositionOffset, keyframe: !(sampleFlags & NON_SYNC_SAMPLE_FLAG) });
+    }
+    dts += duration;
+  }
+  return { decodeTime: dts, count };
+}
+
+/**
+ * 将分片中的采样写入对应轨道：采样数、时长、帧率，视频轨道的显示时间和关键帧
+ * 时长以文件中实际存在的分片为准（单独的媒体分片拼接初始化分片时，moov 中可能是整个节目的时长）
+ */
+function applyFragments(result, fragments) {
+  const complete = result.scanStoppedAt === null;
+  result.tracks.forEach(track => {
+    const samples = fragments.samples[track.id];
+    if (!samples || samples.length === 0 || !track.timescale) return;
+
+    const start = samples[0].dts;
+    const end = fragments.nextDecodeTime[track.id];
+    const sampleCount = fragments.sampleCounts[track.id];
+    // 扫描提前停止时只有前一部分分片：采样数和时长以 moov 为准，帧率按已扫描的分片估算
+    if (complete) {
+      track.sampleCount = (track.sampleCount || 0) + sampleCount;
+      track.duration = (end - start) / track.timescale;
+    }
+
+    if (track.type === 'video') {
+      const offset = (track.timestamps || []).length;
+      const kept = samples.slice(0, Math.max(0, DEFAULT_SOURCE_OPTIONS.maxTimestamps - offset));
+      track.timestamps = (track.timestamps || []).concat(kept.map(sample => sample.cts / track.timescale));
+      track.keyframes = (track.keyframes || []).concat(
+        kept.map((sample, i) => (sample.keyframe ? offset + i : -1)).filter(index => index >= 0)
+      );
+      if (end > start) {
+        track.frameRate = Math.round((sampleCount / ((end - start) / track.timescale)) * 100) / 100;
+      }
+    }
+  });
+
+  const durations = result.tracks.filter(track => fragments.samples[track.id]).map(track => track.duration || 0);
+  if (durations.length > 0 && complete) {
+    result.duration = Math.max(...durations);
+  }
+}
+
+/**
+ * 解析 trak：tkhd、mdhd、hdlr、stsd、stsz，视频轨道额外解析 stts/ctts/stss
+ */
+function parseTrak(view, trak, errors) {
+  const track = {
+    id: null,
+    type: 'unknown',
+    handler: null,
+    codec: null,
+    codecName: null,
+    timescale: null,
+    duration: null,
+    width: null,
+    height: null,
+    sampleCount: null,
+    frameRate: null,
+    sampleRate: null,
+    channelCount: null,
+    timestamps: null,
+    keyframes: null,
+  };
+
+  const { tkhd, mdia } = readChildren(view, trak, errors);
+  if (tkhd) {
+    parseTkhd(view, tkhd, track);
+  }
+
+  if (!mdia) {
+    errors.push(`轨道 ${track.id ?? '?'} 缺少 mdia box`);
+    return track;
+  }
+
+  const { mdhd, hdlr, minf } = readChildren(view, mdia, errors);
+  if (mdhd) {
+    const header = readTimeHeader(view, mdhd);
+    if (header && header.timescale) {
+      track.timescale = header.timescale;
+      track.duration = header.duration / header.timescale;
+    }
+  }
+
+  if (hdlr && hdlr.dataStart + 12 <= hdlr.end) {
+    track.handler = readFourCC(view, hdlr.dataStart + 8);
+    track.type = HANDLER_TYPES[track.handler] || track.handler;
+  }
+
+  const stbl = minf && readChildren(view, minf, errors).stbl;
+  if (!stbl) {
+    errors.push(`轨道 ${track.id ?? '?'} 缺少 stbl box（采样表）`);
+    return track;
+  }
+
+  const { stsd, stsz, stts, ctts, stss } = readChildren(view, stbl, errors);
+  if (stsd) {
+    parseStsd(view, stsd, track);
+  }
+
+  if (stsz && stsz.dataStart + 12 <= stsz.end) {
+    track.sampleCount = view.getUint32(stsz.dataStart + 8);
+  }
+
+  if (track.type === 'video' && track.sampleCount && track.duration) {
+    track.frameRate = Math.round((track.sampleCount / track.duration) * 100) / 100;
+  }
+
+  if (track.type === 'video' && track.timescale) {
+    if (stts) {
+      track.timestamps = readSampleTimestamps(view, stts, ctts, track.timescale, track.sampleCount, errors);
+      track.keyframes = readSyncSamples(view, stss, track.timestamps.length, errors);
+    } else {
+      errors.push(`视频轨道 ${track.id ?? '?'} 缺少 stts box（采样时间表）`);
+    }
+  }
+
+  return track;
+}
+
+/**
+ * 解码 stts（解码时间差）和 ctts（显示时间偏移），得到每个采样的显示时间
+ * 最多展开 stsz 声明的采样数，且不超过 maxTimestamps 个
+ * @param {number|null} sampleCount - stsz 中的采样数；没有 stsz 时为 null
+ * @returns {Array<number>} 按解码顺序排列的显示时间（秒）
+ */
+function readSampleTimestamps(view, stts, ctts, timescale, sampleCount, errors) {
+  const timestamps = [];
+  const sttsCount = readEntryCount(view, stts, 8, errors);
+  const limit = Math.min(sampleCount ?? Infinity, DEFAULT_SOURCE_OPTIONS.maxTimestamps);
+  let declared = 0;
+  let dts = 0;
+
+  for (let i = 0; i < sttsCount; i++) {
+    const entry = stts.dataStart + 8 + i * 8;
+    const count = view.getUint32(entry);
+    const sampleDelta = view.getUint32(entry + 4);
+    declared += count;
+    for (let j = 0; j < count && timestamps.length < limit; j++) {
+      timestamps.push(dts);
+      dts += sampleDelta;
+    }
+  }
+  if (sampleCount !== null && declared > sampleCount) {
+    errors.push(`stts 声明 ${declared} 个采样，超过 stsz 中的 ${sampleCount} 个`);
+  }
+
+  if (ctts) {
+    // version 1 的偏移为有符号整数
+    const signed = view.getUint8(ctts.dataStart) === 1;
+    const cttsCount = readEntryCount(view, ctts, 8, errors);
+    let sample = 0;
+
+    for (let i = 0; i < cttsCount && sample < timestamps.length; i++) {
+      const entry = ctts.dataStart + 8 + i * 8;
+      const sampleCount = view.getUint32(entry);
+      const offset = signed ? view.getInt32(entry + 4) : view.getUint32(entry + 4);
+      for (let j = 0; j < sampleCount && sample < timestamps.length; j++) {
+        timestamps[sample++] += offset;
+      }
+    }
+  }
+
+  return timestamps.map(time => time / timescale);
+}
+
+/**
+ * 解码 stss 同步采样表
+ * @returns {Array<number>} 关键帧下标（从 0 开始）；没有 stss 时所有采样都是关键帧
+ */
+function readSyncSamples(view, stss, sampleCount, errors) {
+  if (!stss) {
+    return Array.from({ length: sampleCount }, (_, i) => i);
+  }
+
+  const keyframes = [];
+  const count = readEntryCount(view, stss, 4, errors);
+  for (let i = 0; i < count; i++) {
+    // stss 中的采样编号从 1 开始
+    const sample = view.getUint32(stss.dataStart + 8 + i * 4) - 1;
+    if (sample >= 0 && sample < sampleCount) {
+      keyframes.push(sample);
+    }
+  }
+  return keyframes;
+}
+
+/**
+ * 读取采样表的条目数，并按 box 实际长度截断
+ * @param {number} entrySize - 每个条目的字节数
+ */
+function readEntryCount(view, box, entrySize, errors) {
+  if (box.dataStart + 8 > box.end) return 0;
+  const declared = view.getUint32(box.dataStart + 4);
+  const available = Math.floor((box.end - box.dataStart - 8) / entrySize);
+  if (declared > available) {
+    errors.push(`${box.type} 声明 ${declared} 个条目，实际只有 ${available} 个`);
+    return available;
+  }
+  return declared;
+}
+
+/**
+ * 解析 tkhd：轨道 ID 和显示尺寸
+ */
+function parseTkhd(view, box, track) {
+  const version = view.getUint8(box.dataStart);
+  const idOffset = box.dataStart + (version === 1 ? 20 : 12);
+  const sizeOffset = box.dataStart + (version === 1 ? 88 : 76);
+
+  if (idOffset + 4 <= box.end) {
+    track.id = view.getUint32(idOffset);
+  }
+  if (sizeOffset + 8 <= box.end) {
+    // 16.16 定点数
+    const width = view.getUint32(sizeOffset) / 65536;
+    const height = view.getUint32(sizeOffset + 4) / 65536;
+    if (width > 0 && height > 0) {
+      track.width = Math.round(width);
+      track.height = Math.round(height);
+    }
+  }
+}
+
+/**
+ * 解析 stsd：第一个采样描述的编码 FourCC 以及画面/音频参数
+ */
+function parseStsd(view, box, track) {
+  const entryStart = box.dataStart + 8;
+  if (entryStart + 8 > box.end) return;
+
+  const codec = readFourCC(view, entryStart + 4);
+  track.codec = codec;
+  track.codecName = CODEC_NAMES[codec] || null;
+
+  if (track.type === 'video' && entryStart + 36 <= box.end) {
+    const width = view.getUint16(entryStart + 32);
+    const height = view.getUint16(entryStart + 34);
+    if (width > 0 && height > 0) {
+      track.width = width;
+      track.height = height;
+    }
+  } else if (track.type === 'audio' && entryStart + 36 <= box.end) {
+    track.channelCount = view.getUint16(entryStart + 24);
+    track.sampleRate = view.getUint32(entryStart + 32) >>> 16;
+  }
+}
+
+/**
+ * 读取 mvhd/mdhd 中的 timescale 与 duration（兼容 version 0/1）
+ */
+function readTimeHeader(view, box) {
+  const version = view.getUint8(box.dataStart);
+  if (version === 1) {
+    if (box.dataStart + 32 > box.end) return null;
+    return {
+      timescale: view.getUint32(box.dataStart + 20),
+      duration: Number(view.getBigUint64(box.dataStart + 24)),
+    };
+  }
+  if (box.dataStart + 20 > box.end) return null;
+  return {
+    timescale: view.getUint32(box.dataStart + 12),
+    duration: view.getUint32(box.dataStart + 16),
+  };
+}
+
+/**
+ * 读取 4 字节 ASCII 类型码
+ * @param {DataView|Uint8Array} source - 数据源
+ * @param {number} offset - 偏移
+ */
+function readFourCC(source, offset) {
+  const byteAt = source instanceof DataView
+    ? (i) => source.getUint8(offset + i)
+    : (i) => source[offset + i];
+  return String.fromCharCode(byteAt(0), byteAt(1), byteAt(2), byteAt(3));
+}
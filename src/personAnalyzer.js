@@ -0,0 +1,119 @@
+/**
+ * 人物画面缺残分析
+ * 根据每帧的人物 / 人脸检测框，判断主体是否缺失、被画面边缘截断或被部分遮挡
+ */
+
+import { toVideoRect } from './imageUtils.js';
+
+// 默认阈值
+export const DEFAULT_PERSON_OPTIONS = {
+  expectPerson: false,                   // 画面中应有人物；为 false 时只报告检测结果，不判定问题
+  minScore: 0.5,                         // 检测置信度低于该值的框忽略
+  edgeMargin: 0.01,                      // 检测框距画面边缘小于该比例视为贴边
+  cutOffEdges: ['left', 'top', 'right'], // 贴边即视为截断的边（底边常见于半身构图，默认不算）
+  minVisibility: 0.6,                    // 可见比例低于该值视为遮挡
+  frameRatio: 0.3,                       // 超过该比例的帧异常时判定为人物画面缺残
+};
+
+const STATUS_LABELS = {
+  absent: '未检测到人物',
+  cutOff: '人物被画面边缘截断',
+  occluded: '人物被部分遮挡',
+};
+
+const EDGE_LABELS = { left: '左', top: '上', right: '右', bottom: '下' };
+
+/**
+ * 分析多帧人物画面
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale }
+ * @param {Array<Array<Object>|null>} detections - 每帧的检测框（与 frames 对应），检测失败为 null
+ * @param {Object} [options] - 见 DEFAULT_PERSON_OPTIONS
+ * @returns {Object} 每帧状态和检测框（原始视频坐标）、异常帧、是否缺残
+ */
+export function analyzePersonPresence(frames, detections, options = {}) {
+  const settings = { ...DEFAULT_PERSON_OPTIONS, ...options };
+  const result = {
+    expectPerson: settings.expectPerson,
+    frames: frames.map((frame, i) => analyzeFramePersons(frame, detections[i], settings)),
+    problemFrames: [],
+    hasMissingPerson: false,
+    details: [],
+  };
+
+  const analyzed = result.frames.filter(frame => frame.status !== 'unknown');
+  result.problemFrames = analyzed
+    .filter(frame => frame.status !== 'present')
+    .map(frame => frame.frameIndex);
+
+  const failed = result.frames.length - analyzed.length;
+  if (failed > 0) {
+    result.details.push(`${failed} 帧人物检测失败，未参与判定`);
+  }
+  if (!settings.expectPerson) {
+    return result;
+  }
+
+  result.hasMissingPerson = analyzed.length > 0 &&
+    result.problemFrames.length > analyzed.length * settings.frameRatio;
+  analyzed
+    .filter(frame => frame.status !== 'present')
+    .forEach(frame => {
+      const time = frame.time !== null ? ` (${frame.time.toFixed(2)}s)` : '';
+      const edges = frame.status === 'cutOff'
+        ? `（${[...new Set(frame.persons.flatMap(person => person.cutOffEdges))].map(edge => EDGE_LABELS[edge]).join('、')} 边缘）`
+        : '';
+      result.details.push(`第 ${frame.frameIndex} 帧${time}${STATUS_LABELS[frame.status]}${edges}`);
+    });
+
+  return result;
+}
+
+/**
+ * 判定单帧人物状态：present / absent / cutOff / occluded / unknown（检测失败）
+ */
+function analyzeFramePersons(frame, detections, settings) {
+  const result = {
+    frameIndex: frame.index,
+    time: typeof frame.time === 'number' ? frame.time : null,
+    status: 'unknown',
+    persons: [],
+  };
+  if (!Array.isArray(detections)) {
+    return result;
+  }
+
+  const marginX = frame.width * settings.edgeMargin;
+  const marginY = frame.height * settings.edgeMargin;
+  result.persons = detections
+    .filter(detection => detection.score >= settings.minScore)
+    .map(detection => {
+      const { x, y, width, height } = detection.box;
+      const touching = {
+        left: x <= marginX,
+        top: y <= marginY,
+        right: x + width >= frame.width - marginX,
+        bottom: y + height >= frame.height - marginY,
+      };
+      const cutOffEdges = settings.cutOffEdges.filter(edge => touching[edge]);
+      return {
+        label: detection.label,
+        score: detection.score,
+        box: toVideoRect({ x0: x, y0: y, x1: x + width, y1: y + height }, frame.scale || 1),
+        visibility: typeof detection.visibility === 'number' ? detection.visibility : null,
+        cutOffEdges,
+        occluded: typeof detection.visibility === 'number' && detection.visibility < settings.minVisibility,
+      };
+    });
+
+  // 任一主体完整可见即视为正常，否则按最严重的情况归类
+  if (result.persons.length === 0) {
+    result.status = 'absent';
+  } else if (result.persons.some(person => person.cutOffEdges.length === 0 && !person.occluded)) {
+    result.status = 'present';
+  } else if (result.persons.some(person => person.cutOffEdges.length > 0)) {
+    result.status = 'cutOff';
+  } else {
+    result.status = 'occluded';
+  }
+  return result;
+}
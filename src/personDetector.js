@@ -0,0 +1,173 @@
+/**
+ * 人物 / 人脸检测器
+ * 检测器统一为 { name, detect(frame) }，detect 返回该帧的检测框：
+ * [{ label: 'person' | 'face', score, box: { x, y, width, height }, visibility? }]，
+ * box 为帧像素（分析分辨率）坐标，visibility 为可见比例（0-1，检测器无法判断时省略）
+ */
+
+import { getHttpClient } from './httpClient.js';
+import { round } from './mathUtils.js';
+
+// 本地检测器参数
+export const DEFAULT_LOCAL_DETECTOR_OPTIONS = {
+  cellSize: 8,        // 肤色统计的网格边长（像素）
+  cellSkinRatio: 0.5, // 网格内肤色像素占比超过该值视为肤色网格
+  minCells: 6,        // 人脸候选区域最少网格数
+  minAspect: 0.5,     // 人脸候选区域宽高比范围
+  maxAspect: 2,
+  fullFill: 0.75,     // 未遮挡人脸（近似椭圆）在外接框中的肤色填充率
+};
+
+/**
+ * 根据配置创建检测器
+ * @param {Object} env - 环境变量（PERSON_DETECTOR: local / huggingface）
+ * @returns {Object} 检测器
+ */
+export function createPersonDetector(env = {}) {
+  if (env.PERSON_DETECTOR === 'huggingface' && env.HF_API_KEY) {
+    return createHuggingFacePersonDetector({ apiKey: env.HF_API_KEY, model: env.PERSON_MODEL });
+  }
+  return createLocalPersonDetector();
+}
+
+/**
+ * 本地替身检测器：基于 YCbCr 肤色分割和连通区域查找人脸，无需联网，
+ * 用于离线运行和开发调试，精度有限
+ * @param {Object} [options] - 见 DEFAULT_LOCAL_DETECTOR_OPTIONS
+ */
+export function createLocalPersonDetector(options = {}) {
+  const settings = { ...DEFAULT_LOCAL_DETECTOR_OPTIONS, ...options };
+  return {
+    name: 'local',
+    async detect(frame) {
+      return detectSkinFaces(frame, settings);
+    },
+  };
+}
+
+/**
+ * Hugging Face 目标检测模型（默认 facebook/detr-resnet-50），使用页面上传的 JPEG 帧
+ * @param {Object} config - { apiKey, model, baseUrl }
+ */
+export function createHuggingFacePersonDetector(config) {
+  const model = config.model || 'facebook/detr-resnet-50';
+  const baseUrl = config.baseUrl || 'https://router.huggingface.co/hf-inference/models';
+  return {
+    name: `huggingface:${model}`,
+    async detect(frame) {
+      if (!frame.image) {
+        throw new Error(`帧 ${frame.index} 没有 JPEG 图像，无法调用目标检测模型`);
+      }
+
+      const response = await getHttpClient('huggingface').fetch(`${baseUrl}/${model}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'image/jpeg',
+        },
+        body: await frame.image.arrayBuffer(),
+      });
+      if (!response.ok) {
+        throw new Error(`目标检测请求失败 (${response.status})`);
+      }
+
+      // 返回 [{ score, label, box: { xmin, ymin, xmax, ymax } }]，坐标为原始视频分辨率
+      const output = await response.json();
+      const scale = frame.scale || 1;
+      return (Array.isArray(output) ? output : [])
+        .filter(item => item.label === 'person' && item.box)
+        .map(item => ({
+          label: 'person',
+          score: item.score,
+          box: {
+            x: item.box.xmin * scale,
+            y: item.box.ymin * scale,
+            width: (item.box.xmax - item.box.xmin) * scale,
+            height: (item.box.ymax - item.box.ymin) * scale,
+          },
+        }));
+    },
+  };
+}
+
+/**
+ * 肤色网格 + 连通区域查找人脸候选
+ */
+function detectSkinFaces(frame, settings) {
+  const { width, height, data } = frame;
+  const size = settings.cellSize;
+  const cols = Math.floor(width / size);
+  const rows = Math.floor(height / size);
+  const skin = new Uint8Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      let count = 0;
+      for (let y = row * size; y < (row + 1) * size; y++) {
+        for (let x = col * size; x < (col + 1) * size; x++) {
+          const p = (y * width + x) * 4;
+          if (isSkin(data[p], data[p + 1], data[p + 2])) count++;
+        }
+      }
+      skin[row * cols + col] = count > size * size * settings.cellSkinRatio ? 1 : 0;
+    }
+  }
+
+  const detections = [];
+  const visited = new Uint8Array(cols * rows);
+  for (let start = 0; start < skin.length; start++) {
+    if (!skin[start] || visited[start]) continue;
+
+    // 4 邻域洪泛，统计连通区域的外接框
+    const stack = [start];
+    visited[start] = 1;
+    let cells = 0;
+    let minCol = cols;
+    let minRow = rows;
+    let maxCol = -1;
+    let maxRow = -1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      cells++;
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+      [[col - 1, row], [col + 1, row], [col, row - 1], [col, row + 1]].forEach(([c, r]) => {
+        if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+        const next = r * cols + c;
+        if (skin[next] && !visited[next]) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      });
+    }
+
+    const boxCols = maxCol - minCol + 1;
+    const boxRows = maxRow - minRow + 1;
+    const aspect = boxCols / boxRows;
+    if (cells < settings.minCells || aspect < settings.minAspect || aspect > settings.maxAspect) continue;
+
+    const fill = cells / (boxCols * boxRows);
+    detections.push({
+      label: 'face',
+      score: round(Math.min(1, 0.4 + fill / 2)),
+      box: { x: minCol * size, y: minRow * size, width: boxCols * size, height: boxRows * size },
+      visibility: round(Math.min(1, fill / settings.fullFill)),
+    });
+  }
+
+  return detections;
+}
+
+/**
+ * YCbCr 肤色范围（Chai & Ngan）
+ */
+function isSkin(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
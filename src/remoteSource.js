@@ -0,0 +1,169 @@
+/**
+ * 远程视频的字节源（HTTP Range）
+ * 先用 Range 请求读取文件开头一块，服务器返回 206 时后续按需发送 Range 请求，
+ * 只读取文件头、moov 等元数据区域（无论位于文件开头还是末尾）和数据采样位置；
+ * 服务器不支持范围请求（返回 200）时改为边下载边解析，没有 Content-Length 或启用压缩传输时整体下载
+ * 字节源的 stats() 返回实际传输的字节数，随检测结果回显；
+ * 按需读取的字节源带有 scan（createCachedReader 的参数）：扫描时每次只请求一小块，并限制扫描媒体数据的请求次数
+ */
+
+import { DEFAULT_SOURCE_OPTIONS, createBufferSource, createStreamSource, createSliceSource } from './byteSource.js';
+
+// 读取方式
+export const TRANSFER_MODES = {
+  range: 'range',   // HTTP Range 按需读取
+  stream: 'stream', // 不支持范围请求，顺序下载并丢弃读过的数据
+  full: 'full',     // 不支持范围请求，整体下载
+};
+
+/**
+ * 打开远程视频
+ * @param {string} url - 视频 URL
+ * @param {Object} [options] - { probeSize: 首次读取的字节数, retainedRanges(size): 顺序下载时需要保留的范围,
+ *   range: { offset, length } 只读取文件中的一段（如流媒体的字节范围分片），字节源的偏移从该段起点开始 }
+ * @returns {Promise<Object>} { source, mimeType }；source 额外提供 stats() → { mode, requests, bytesTransferred }
+ */
+export async function openRemoteSource(url, options = {}) {
+  const probeSize = options.probeSize || DEFAULT_SOURCE_OPTIONS.chunkSize;
+  const retainedRanges = options.retainedRanges || (() => []);
+  const range = options.range || null;
+  const start = range ? range.offset : 0;
+  const probeEnd = start + (range ? Math.min(probeSize, range.length) : probeSize);
+
+  const probe = await fetch(url, { headers: { Range: `bytes=${start}-${probeEnd - 1}` } });
+  const mimeType = probe.headers.get('content-type') || 'video/mp4';
+
+  // 空文件等无法满足的范围：按普通请求重新下载
+  if (probe.status === 416) {
+    const response = await fetch(url);
+    checkResponse(response);
+    return { source: await openFullSource(response, retainedRanges, range), mimeType };
+  }
+  checkResponse(probe);
+
+  const served = probe.status === 206 ? parseContentRange(probe.headers.get('content-range')) : null;
+  if (served && served.start === start && served.total !== null) {
+    const head = new Uint8Array(await probe.arrayBuffer());
+    const size = range ? Math.max(0, Math.min(range.length, served.total - start)) : served.total;
+    return { source: createRangeSource(url, size, head, start), mimeType };
+  }
+
+  // 不支持范围请求（或无法得知文件大小），直接使用这次的响应
+  if (probe.status === 206) {
+    await cancelBody(probe);
+    const response = await fetch(url);
+    checkResponse(response);
+    return { source: await openFullSource(response, retainedRanges, range), mimeType };
+  }
+  return { source: await openFullSource(probe, retainedRanges, range), mimeType };
+}
+
+/**
+ * 按需发送 Range 请求的字节源
+ * @param {string} url - 视频 URL
+ * @param {number} size - 文件（或所读取的一段）大小
+ * @param {Uint8Array} head - 首次请求读到的开头部分
+ * @param {number} [start] - 所读取的一段在文件中的起始偏移
+ */
+function createRangeSource(url, size, head, start = 0) {
+  let requests = 1;
+  let bytesTransferred = head.byteLength;
+
+  async function read(offset, length) {
+    const end = Math.min(offset + length, size);
+    if (offset >= end) return new Uint8Array(0);
+    if (end <= head.byteLength) {
+      return head.subarray(offset, end);
+    }
+
+    const response = await fetch(url, { headers: { Range: `bytes=${start + offset}-${start + end - 1}` } });
+    requests++;
+    if (response.status !== 206) {
+      await cancelBody(response);
+      throw new Error(`范围请求失败 (${response.status})，偏移 ${start + offset}`);
+    }
+    const range = parseContentRange(response.headers.get('content-range'));
+    if (!range || range.start !== start + offset) {
+      await cancelBody(response);
+      throw new Error(`范围请求返回的数据位置不符：请求偏移 ${start + offset}，实际 ${range ? range.start : '未知'}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    bytesTransferred += bytes.byteLength;
+    if (bytes.byteLength === 0) {
+      throw new Error(`范围请求没有返回数据，偏移 ${offset}`);
+    }
+    if (bytes.byteLength >= end - offset) {
+      return bytes.subarray(0, end - offset);
+    }
+
+    // 服务器可能只返回部分范围，继续请求剩余部分
+    const rest = await read(offset + bytes.byteLength, end - offset - bytes.byteLength);
+    const result = new Uint8Array(bytes.byteLength + rest.byteLength);
+    result.set(bytes, 0);
+    result.set(rest, bytes.byteLength);
+    return result;
+  }
+
+  return {
+    size,
+    read,
+    close: async () => {},
+    stats: () => ({ mode: TRANSFER_MODES.range, requests, bytesTransferred }),
+    scan: { chunkSize: DEFAULT_SOURCE_OPTIONS.remoteChunkSize, maxReads: DEFAULT_SOURCE_OPTIONS.maxRemoteReads },
+  };
+}
+
+/**
+ * 不支持范围请求时读取完整响应：有 Content-Length 且未压缩时边下载边解析，否则整体下载
+ * 只需要文件中的一段时，从完整响应中截取
+ */
+async function openFullSource(response, retainedRanges, range) {
+  const size = Number(response.headers.get('content-length'));
+  const start = range ? range.offset : 0;
+
+  // 压缩传输时 Content-Length 不是解压后的大小
+  if (response.body && size > 0 && !response.headers.get('content-encoding')) {
+    const keep = retainedRanges(range ? Math.min(range.length, size - start) : size)
+      .map(kept => ({ offset: start + kept.offset, length: kept.length }));
+    const source = createStreamSource(response.body, size, { keep });
+    const streamed = {
+      ...source,
+      stats: () => ({ mode: TRANSFER_MODES.stream, requests: 1, bytesTransferred: source.bytesReceived() }),
+    };
+    return range ? createSliceSource(streamed, range.offset, range.length) : streamed;
+  }
+
+  const source = createBufferSource(await response.arrayBuffer());
+  const full = {
+    ...source,
+    stats: () => ({ mode: TRANSFER_MODES.full, requests: 1, bytesTransferred: source.size }),
+  };
+  return range ? createSliceSource(full, range.offset, range.length) : full;
+}
+
+/**
+ * 解析 Content-Range（"bytes 0-1023/4096"）
+ * @returns {Object|null} { start, end, total }；总大小为 "*" 时 total 为 null
+ */
+function parseContentRange(value) {
+  const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec((value || '').trim());
+  if (!match) return null;
+  return {
+    start: Number(match[1]),
+    end: Number(match[2]),
+    total: match[3] === '*' ? null : Number(match[3]),
+  };
+}
+
+function checkResponse(response) {
+  if (!response.ok) {
+    throw new Error(`无法获取视频: ${response.status} ${response.statusText}`);
+  }
+}
+
+async function cancelBody(response) {
+  if (response.body) {
+    await response.body.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * 帧采样策略
+ * 页面按所选策略决定取帧时间点，随检测请求上报 sampling 字段；Worker 校验参数并在结果中回显实际时间点
+ */
+
+import { pickEvenly, round } from './mathUtils.js';
+
+// 支持的策略：固定帧数、固定间隔、按场景切换、按关键帧
+export const SAMPLING_STRATEGIES = ['count', 'interval', 'scene', 'keyframe'];
+
+// 默认采样参数
+export const DEFAULT_SAMPLING = {
+  strategy: 'count',
+  count: 5,    // 固定帧数策略的帧数，也是其他策略的帧数上限
+  interval: 2, // 固定间隔策略的间隔（秒）
+};
+
+// 单次检测最多采样的帧数（帧像素随请求上传，需要控制请求大小）
+export const MAX_SAMPLE_FRAMES = 20;
+
+// 关键帧时间点最多返回的数量
+const MAX_KEYFRAME_TIMES = 500;
+
+/**
+ * 校验页面上报的采样参数
+ * @param {Object|null} raw - { strategy, count, interval, timestamps, fallback }
+ * @returns {Object} { strategy, count, interval, timestamps, fallback }
+ */
+export function normalizeSampling(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const strategy = SAMPLING_STRATEGIES.includes(input.strategy) ? input.strategy : DEFAULT_SAMPLING.strategy;
+  const count = Math.min(MAX_SAMPLE_FRAMES, Math.max(1, Math.round(Number(input.count)) || DEFAULT_SAMPLING.count));
+  const interval = Number(input.interval) > 0 ? Number(input.interval) : DEFAULT_SAMPLING.interval;
+  const timestamps = Array.isArray(input.timestamps)
+    ? input.timestamps.map(Number).filter(Number.isFinite).slice(0, MAX_SAMPLE_FRAMES).map(round)
+    : null;
+
+  return {
+    strategy,
+    count,
+    interval,
+    timestamps,
+    // 所选策略无法取帧时（如没有场景切换、无法读取关键帧），页面会回退到固定帧数
+    fallback: SAMPLING_STRATEGIES.includes(input.fallback) ? input.fallback : null,
+  };
+}
+
+/**
+ * 结果中回显的采样信息
+ * @param {Object} sampling - normalizeSampling 的结果
+ * @param {Array<Object>} frames - 实际收到的帧像素 { index, time }
+ * @param {Object} metadata - 视频元数据（关键帧策略用于计算与最近关键帧的偏差）
+ */
+export function summarizeSampling(sampling, frames, metadata) {
+  const summary = {
+    ...sampling,
+    timestamps: frames
+      .map(frame => frame.time)
+      .filter(time => time !== null)
+      .sort((a, b) => a - b)
+      .map(round),
+    requestedTimestamps: sampling.timestamps,
+  };
+
+  if (sampling.strategy === 'keyframe' && !sampling.fallback) {
+    const keyframes = listKeyframeTimes(metadata);
+    if (keyframes.length > 0) {
+      summary.keyframeOffsets = summary.timestamps.map(time =>
+        round(keyframes.reduce((best, keyframe) => Math.min(best, Math.abs(keyframe - time)), Infinity))
+      );
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * 从容器元数据中列出关键帧时间点（秒，相对第一帧），按时间升序
+ * @param {Object} metadata - 视频元数据
+ * @param {number} [limit] - 最多返回的数量
+ */
+export function listKeyframeTimes(metadata, limit = MAX_KEYFRAME_TIMES) {
+  const track = (metadata.tracks || []).find(t => t.type === 'video' && t.timestamps && t.keyframes);
+  if (!track || track.timestamps.length === 0) return [];
+
+  const startTime = track.timestamps.reduce((min, time) => Math.min(min, time), Infinity);
+  const times = track.keyframes
+    .map(index => track.timestamps[index])
+    .filter(time => time !== undefined)
+    .map(time => round(time - startTime))
+    .sort((a, b) => a - b);
+
+  // 超过上限时均匀抽取
+  return pickEvenly(times, limit);
+}
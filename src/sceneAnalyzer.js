@@ -0,0 +1,160 @@
+/**
+ * 场景切分与逐场景质量汇总
+ * 基于页面采样的亮度时间轴，用相邻采样的亮度直方图差异识别镜头 / 场景切换，
+ * 再把逐帧检测结果（花屏、偏色、模糊）和黑场 / 冻结 / 闪烁时间段归入各个场景
+ */
+
+import { encodeGrayBMP } from './imageUtils.js';
+import { medianInterval, round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_SCENE_OPTIONS = {
+  histogramBins: 32,     // 亮度直方图分箱数
+  cutThreshold: 0.4,     // 相邻采样直方图差异（0-1，总变差距离）超过该值视为场景切换
+  minSceneDuration: 0.5, // 场景最短时长（秒），更短的画面变化（如闪光）不算切换
+  maxScenes: 50,         // 最多返回的场景数，超出的切换点按差异大小取舍
+  frameRatio: 0.3,       // 场景内超过该比例的帧异常时标记该场景
+};
+
+/**
+ * 按直方图差异切分场景
+ * @param {Array<Object>} samples - 时间轴采样 { time, width, height, luma: Uint8Array }，按时间升序
+ * @param {Object} [options] - 见 DEFAULT_SCENE_OPTIONS
+ * @returns {Array<Object>} 场景 { index, start, end, cutScore, thumbnailTime, thumbnail }
+ */
+export function detectSceneCuts(samples, options = {}) {
+  const settings = { ...DEFAULT_SCENE_OPTIONS, ...options };
+  if (samples.length === 0) return [];
+
+  const histograms = samples.map(sample => lumaHistogram(sample.luma, settings.histogramBins));
+  const candidates = [];
+  for (let i = 1; i < samples.length; i++) {
+    const score = histogramDistance(histograms[i - 1], histograms[i]);
+    if (score <= settings.cutThreshold) continue;
+
+    // 闪光等瞬时变化：前后 minSceneDuration 处的画面与切换点另一侧相同，不算场景切换
+    let before = i - 1;
+    while (before > 0 && samples[i - 1].time - samples[before].time < settings.minSceneDuration) before--;
+    let after = i;
+    while (after + 1 < samples.length && samples[after].time - samples[i].time < settings.minSceneDuration) after++;
+    if (histogramDistance(histograms[i - 1], histograms[after]) > settings.cutThreshold &&
+      histogramDistance(histograms[before], histograms[i]) > settings.cutThreshold) {
+      candidates.push({ sampleIndex: i, score });
+    }
+  }
+
+  // 按差异从大到小接受切换点，与已接受的切换点或首尾过近的舍弃
+  const startTime = samples[0].time;
+  const endTime = samples[samples.length - 1].time + medianInterval(samples);
+  const cuts = [];
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (cuts.length >= settings.maxScenes - 1) return;
+      const time = samples[candidate.sampleIndex].time;
+      const tooClose = time - startTime < settings.minSceneDuration ||
+        endTime - time < settings.minSceneDuration ||
+        cuts.some(cut => Math.abs(samples[cut.sampleIndex].time - time) < settings.minSceneDuration);
+      if (!tooClose) cuts.push(candidate);
+    });
+  cuts.sort((a, b) => a.sampleIndex - b.sampleIndex);
+
+  const bounds = [{ sampleIndex: 0, score: null }, ...cuts];
+  return bounds.map((bound, i) => {
+    const lastIndex = i + 1 < bounds.length ? bounds[i + 1].sampleIndex : samples.length;
+    // 缩略图取场景中间的采样，避开切换处的过渡画面
+    const middle = samples[Math.floor((bound.sampleIndex + lastIndex - 1) / 2)];
+    return {
+      index: i,
+      start: round(samples[bound.sampleIndex].time),
+      end: round(i + 1 < bounds.length ? samples[lastIndex].time : endTime),
+      cutScore: bound.score !== null ? round(bound.score) : null,
+      thumbnailTime: round(middle.time),
+      thumbnail: encodeGrayBMP(middle.luma, middle.width, middle.height),
+    };
+  });
+}
+
+/**
+ * 将逐帧检测结果和时间段归入场景，给出每个场景的花屏 / 偏色 / 模糊 / 黑场冻结闪烁标记
+ * @param {Array<Object>} scenes - detectSceneCuts 的结果
+ * @param {Object} results - { color, blockiness, sharpness, temporal }，各项可为 null
+ * @param {Object} [options] - 见 DEFAULT_SCENE_OPTIONS
+ * @returns {Object} { sceneCount, scenes, problemScenes, details }
+ */
+export function summarizeScenes(scenes, results, options = {}) {
+  const settings = { ...DEFAULT_SCENE_OPTIONS, ...options };
+  const frameChecks = [
+    { flag: 'glitch', frames: results.blockiness?.frames, isIssue: frame => frame.hasArtifacts },
+    { flag: 'colorShift', frames: results.color?.frames, isIssue: frame => frame.hasColorCast },
+    { flag: 'blur', frames: results.sharpness?.frames, isIssue: frame => frame.isBlurry },
+  ];
+  const temporal = results.temporal;
+  const ranges = temporal
+    ? [...temporal.blackRanges, ...temporal.frozenRanges, ...temporal.flashRanges]
+    : [];
+
+  const summary = {
+    sceneCount: scenes.length,
+    scenes: scenes.map((scene, i) => {
+      const isLast = i === scenes.length - 1;
+      const inScene = time => time !== null && time >= scene.start && (time < scene.end || isLast);
+      const frameIndexes = new Set();
+      const flags = {};
+
+      frameChecks.forEach(check => {
+        const frames = (check.frames || []).filter(frame => inScene(frame.time));
+        frames.forEach(frame => frameIndexes.add(frame.frameIndex));
+        flags[check.flag] = frames.length > 0 &&
+          frames.filter(check.isIssue).length > frames.length * settings.frameRatio;
+      });
+      flags.frameAnomaly = ranges.some(range => range.start < scene.end && range.end > scene.start);
+
+      return {
+        ...scene,
+        frameIndexes: [...frameIndexes].sort((a, b) => a - b),
+        flags,
+        hasIssue: Object.values(flags).some(Boolean),
+      };
+    }),
+    problemScenes: [],
+    details: [],
+  };
+
+  summary.problemScenes = summary.scenes.filter(scene => scene.hasIssue).map(scene => scene.index);
+  if (summary.problemScenes.length > 0) {
+    summary.details.push(
+      `共 ${summary.sceneCount} 个场景，其中 ${summary.problemScenes.length} 个存在问题: ` +
+      summary.scenes
+        .filter(scene => scene.hasIssue)
+        .map(scene => `场景 ${scene.index + 1}（${scene.start}s - ${scene.end}s）`)
+        .join(', ')
+    );
+  }
+  return summary;
+}
+
+/**
+ * 归一化亮度直方图
+ */
+function lumaHistogram(luma, bins) {
+  const histogram = new Float64Array(bins);
+  for (let i = 0; i < luma.length; i++) {
+    histogram[(luma[i] * bins) >> 8]++;
+  }
+  for (let i = 0; i < bins; i++) {
+    histogram[i] /= luma.length || 1;
+  }
+  return histogram;
+}
+
+/**
+ * 两个归一化直方图的总变差距离（0 为完全相同，1 为完全不重叠）
+ */
+function histogramDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  return sum / 2;
+}
@@ -0,0 +1,124 @@
+/**
+ * 无参考清晰度 / 模糊分析
+ * 在帧像素亮度通道上计算拉普拉斯方差和 Sobel 边缘密度，判断画面是否失焦或模糊
+ */
+
+import { toLuma } from './imageUtils.js';
+import { round } from './mathUtils.js';
+
+// 不同内容类型的阈值：屏幕录制大面积平坦但文字边缘锐利，摄像机画面纹理更丰富
+export const SHARPNESS_PROFILES = {
+  camera: {
+    minLaplacianVariance: 50,  // 拉普拉斯方差低于该值视为模糊
+    minEdgeDensity: 0.01,      // 边缘像素占比低于该值（几乎没有清晰边缘）视为模糊
+    sharpReference: 500,       // 清晰度分数 100 对应的拉普拉斯方差
+  },
+  screen: {
+    minLaplacianVariance: 100,
+    minEdgeDensity: 0.002,
+    sharpReference: 2000,
+  },
+};
+
+// 默认参数
+export const DEFAULT_SHARPNESS_OPTIONS = {
+  profile: 'camera',   // 阈值预设，见 SHARPNESS_PROFILES
+  edgeThreshold: 100,  // Sobel 梯度（|gx| + |gy|）超过该值视为边缘像素
+  minContrast: 10,     // 亮度标准差低于该值的帧（纯色、黑场）不参与模糊判定
+  frameRatio: 0.3,     // 超过该比例的帧模糊时判定为模糊
+};
+
+/**
+ * 分析多帧清晰度
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale, data: RGBA }
+ * @param {Object} [options] - 见 DEFAULT_SHARPNESS_OPTIONS，可直接覆盖预设中的阈值
+ * @returns {Object} 每帧分数、模糊帧下标、是否模糊
+ */
+export function analyzeSharpness(frames, options = {}) {
+  const profile = SHARPNESS_PROFILES[options.profile] ? options.profile : DEFAULT_SHARPNESS_OPTIONS.profile;
+  const settings = { ...DEFAULT_SHARPNESS_OPTIONS, ...SHARPNESS_PROFILES[profile], ...options, profile };
+  const result = {
+    profile,
+    frames: frames.map(frame => analyzeFrameSharpness(frame, settings)),
+    blurryFrames: [],
+    avgSharpness: null,
+    hasBlur: false,
+    details: [],
+  };
+
+  result.blurryFrames = result.frames.filter(frame => frame.isBlurry).map(frame => frame.frameIndex);
+  const rated = result.frames.filter(frame => !frame.lowContrast);
+  if (rated.length > 0) {
+    result.avgSharpness = round(rated.reduce((sum, frame) => sum + frame.sharpnessScore, 0) / rated.length);
+  }
+  result.hasBlur = rated.length > 0 && result.blurryFrames.length > rated.length * settings.frameRatio;
+
+  result.frames.filter(frame => frame.isBlurry).forEach(frame => {
+    const time = frame.time !== null ? ` (${frame.time.toFixed(2)}s)` : '';
+    result.details.push(
+      `第 ${frame.frameIndex} 帧${time}画面模糊: 清晰度 ${frame.sharpnessScore}，` +
+      `拉普拉斯方差 ${frame.laplacianVariance}，边缘密度 ${(frame.edgeDensity * 100).toFixed(1)}%`
+    );
+  });
+
+  return result;
+}
+
+/**
+ * 分析单帧清晰度
+ * @param {Object} frame - 帧像素
+ * @param {Object} settings - 阈值（已合并预设）
+ */
+export function analyzeFrameSharpness(frame, settings = { ...DEFAULT_SHARPNESS_OPTIONS, ...SHARPNESS_PROFILES.camera }) {
+  const { width, height } = frame;
+  const luma = toLuma(frame);
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < luma.length; i++) {
+    sum += luma[i];
+    sumSquares += luma[i] * luma[i];
+  }
+  const mean = sum / luma.length;
+  const contrast = Math.sqrt(Math.max(0, sumSquares / luma.length - mean * mean));
+
+  // 4 邻域拉普拉斯与 Sobel 梯度（忽略最外一圈像素）
+  let lapSum = 0;
+  let lapSquares = 0;
+  let edges = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+      lapSum += laplacian;
+      lapSquares += laplacian * laplacian;
+
+      const gx = (luma[i - width + 1] + 2 * luma[i + 1] + luma[i + width + 1]) -
+        (luma[i - width - 1] + 2 * luma[i - 1] + luma[i + width - 1]);
+      const gy = (luma[i + width - 1] + 2 * luma[i + width] + luma[i + width + 1]) -
+        (luma[i - width - 1] + 2 * luma[i - width] + luma[i - width + 1]);
+      if (Math.abs(gx) + Math.abs(gy) > settings.edgeThreshold) edges++;
+      count++;
+    }
+  }
+
+  const lapMean = count ? lapSum / count : 0;
+  const laplacianVariance = count ? lapSquares / count - lapMean * lapMean : 0;
+  const edgeDensity = count ? edges / count : 0;
+  const lowContrast = contrast < settings.minContrast;
+
+  return {
+    frameIndex: frame.index,
+    time: typeof frame.time === 'number' ? frame.time : null,
+    laplacianVariance: round(laplacianVariance),
+    edgeDensity: round(edgeDensity),
+    sharpnessScore: Math.round(
+      Math.min(100, (100 * Math.log1p(laplacianVariance)) / Math.log1p(settings.sharpReference))
+    ),
+    contrast: round(contrast),
+    lowContrast,
+    isBlurry: !lowContrast &&
+      (laplacianVariance < settings.minLaplacianVariance || edgeDensity < settings.minEdgeDensity),
+  };
+}
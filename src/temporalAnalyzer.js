@@ -0,0 +1,261 @@
+/**
+ * 黑场 / 冻结帧 / 闪烁分析
+ * 基于页面按固定间隔采样的低分辨率亮度缩略图（时间轴），检测连续黑场、画面冻结和
+ * 超过光敏性癫痫准则（WCAG 2.3.1：任意 1 秒内不超过 3 次闪烁）的亮度闪烁，结果均为时间段；
+ * 时间轴间隔过大（较长视频）时，闪烁改用页面在亮度跳变附近加密采样的窗口检测
+ */
+
+import { medianInterval, round } from './mathUtils.js';
+
+// 默认阈值
+export const DEFAULT_TEMPORAL_OPTIONS = {
+  blackPixelThreshold: 32, // 亮度不超过该值的像素视为黑色
+  blackRatio: 0.98,        // 黑色像素占比超过该值视为黑场
+  minBlackDuration: 1,     // 黑场最短时长（秒）
+  freezeThreshold: 0.5,    // 相邻采样平均亮度差低于该值视为画面未变化
+  minFreezeDuration: 2,    // 冻结最短时长（秒）
+  flashDelta: 0.1,         // 相对亮度变化超过该值视为一次亮度跳变
+  flashMaxDarker: 0.8,     // 跳变中较暗一侧的相对亮度须低于该值
+  maxFlashesPerSecond: 3,  // 每秒闪烁次数上限（一次闪烁为一对相反的跳变）
+  maxFlashInterval: 1 / 6, // 采样间隔超过该值（秒）时无法可靠识别闪烁
+  maxEvents: 20,           // 每类事件最多返回的时间段数
+};
+
+// sRGB 亮度值到线性相对亮度的查找表
+const RELATIVE_LUMINANCE = new Float32Array(256).map((_, i) => {
+  const c = i / 255;
+  return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * 分析亮度时间轴
+ * @param {Array<Object>} samples - 采样 { time, luma: Uint8Array }，按时间升序
+ * @param {Object} [options] - 见 DEFAULT_TEMPORAL_OPTIONS
+ * @param {Array<Object>} [flashSamples] - 亮度跳变附近的加密采样 { time, luma }，按时间升序，
+ *   相邻间隔不超过 maxFlashInterval 的采样属于同一窗口；只在 samples 间隔过大时用于闪烁检测
+ * @returns {Object} 黑场、冻结、闪烁时间段及是否存在问题
+ */
+export function analyzeTemporal(samples, options = {}, flashSamples = []) {
+  const settings = { ...DEFAULT_TEMPORAL_OPTIONS, ...options };
+  const result = {
+    sampleCount: samples.length,
+    sampleInterval: null,
+    blackRanges: [],
+    frozenRanges: [],
+    flashRanges: [],
+    flashAnalyzed: false,
+    flashWindows: [],
+    hasIssue: false,
+    details: [],
+  };
+
+  if (samples.length < 2) {
+    return result;
+  }
+
+  const interval = medianInterval(samples);
+  const endTime = samples[samples.length - 1].time + interval;
+  result.sampleInterval = round(interval);
+
+  const stats = samples.map((sample, i) => measureSample(sample, i > 0 ? samples[i - 1] : null, settings));
+
+  // 连续黑场
+  result.blackRanges = findRuns(samples, stats.map(stat => stat.isBlack), endTime)
+    .filter(range => range.end - range.start >= settings.minBlackDuration)
+    .slice(0, settings.maxEvents)
+    .map(range => describeRange(range, samples[0].time, endTime));
+
+  // 冻结：与上一采样几乎相同的非黑场画面，区间从重复开始的那一帧算起
+  const unchanged = stats.map((stat, i) => {
+    const next = stats[i + 1];
+    const sameAsPrevious = i > 0 && stat.diff < settings.freezeThreshold;
+    const sameAsNext = next !== undefined && next.diff < settings.freezeThreshold;
+    return !stat.isBlack && (sameAsPrevious || sameAsNext);
+  });
+  result.frozenRanges = findRuns(samples, unchanged, endTime)
+    .filter(range => range.end - range.start >= settings.minFreezeDuration)
+    .slice(0, settings.maxEvents)
+    .map(range => describeRange(range, samples[0].time, endTime));
+
+  // 闪烁：采样间隔足够小时才能可靠识别，否则只检测加密采样的窗口
+  const windows = splitWindows(flashSamples, settings.maxFlashInterval);
+  if (interval <= settings.maxFlashInterval + 1e-6) {
+    result.flashAnalyzed = true;
+    result.flashRanges = findFlashRanges(samples, stats, settings)
+      .slice(0, settings.maxEvents);
+  } else if (windows.length > 0) {
+    result.flashAnalyzed = true;
+    result.flashWindows = windows.map(window => ({ start: round(window[0].time), end: round(window[window.length - 1].time) }));
+    result.flashRanges = windows
+      .flatMap(window => {
+        const windowStats = window.map((sample, i) => measureSample(sample, i > 0 ? window[i - 1] : null, settings));
+        return findFlashRanges(window, windowStats, settings);
+      })
+      .slice(0, settings.maxEvents);
+    result.details.push(
+      `时间轴采样间隔 ${result.sampleInterval}s 过大，闪烁只在 ${windows.length} 处亮度跳变附近加密采样检测`
+    );
+  } else {
+    result.details.push(
+      `时间轴采样间隔 ${result.sampleInterval}s 过大，未进行闪烁检测（需要不超过 ${round(settings.maxFlashInterval)}s）`
+    );
+  }
+
+  const positionLabels = { start: '开头 ', end: '结尾 ', middle: '' };
+  if (result.blackRanges.length > 0) {
+    result.details.push(
+      `检测到 ${result.blackRanges.length} 段黑场: ` +
+      result.blackRanges.map(range => `${positionLabels[range.position]}${formatRange(range)}`).join(', ')
+    );
+  }
+  if (result.frozenRanges.length > 0) {
+    result.details.push(
+      `检测到 ${result.frozenRanges.length} 段画面冻结: ` +
+      result.frozenRanges.map(range => `${positionLabels[range.position]}${formatRange(range)}`).join(', ')
+    );
+  }
+  if (result.flashRanges.length > 0) {
+    result.details.push(
+      `检测到 ${result.flashRanges.length} 段闪烁超过每秒 ${settings.maxFlashesPerSecond} 次（光敏性风险）: ` +
+      result.flashRanges.map(range => `${formatRange(range)}（最多 ${range.maxFlashes} 次/秒）`).join(', ')
+    );
+  }
+
+  result.hasIssue = result.blackRanges.length > 0 || result.frozenRanges.length > 0 || result.flashRanges.length > 0;
+  return result;
+}
+
+/**
+ * 单个采样的黑场判定、相对亮度和与上一采样的差异
+ */
+function measureSample(sample, previous, settings) {
+  const { luma } = sample;
+  let dark = 0;
+  let luminance = 0;
+  let diff = 0;
+  for (let i = 0; i < luma.length; i++) {
+    if (luma[i] <= settings.blackPixelThreshold) dark++;
+    luminance += RELATIVE_LUMINANCE[luma[i]];
+    if (previous) diff += Math.abs(luma[i] - previous.luma[i]);
+  }
+  return {
+    isBlack: dark >= luma.length * settings.blackRatio,
+    luminance: luminance / luma.length,
+    diff: previous ? diff / luma.length : Infinity,
+  };
+}
+
+/**
+ * 将满足条件的连续采样合并为时间段，结束时间取下一个采样的时间
+ */
+function findRuns(samples, flags, endTime) {
+  const ranges = [];
+  let start = null;
+  flags.forEach((flag, i) => {
+    if (flag && start === null) {
+      start = samples[i].time;
+    } else if (!flag && start !== null) {
+      ranges.push({ start, end: samples[i].time });
+      start = null;
+    }
+  });
+  if (start !== null) {
+    ranges.push({ start, end: endTime });
+  }
+  return ranges;
+}
+
+/**
+ * 找出相对亮度的跳变（带 flashDelta 滞回），统计任意 1 秒窗口内的闪烁次数
+ */
+function findFlashRanges(samples, stats, settings) {
+  const transitions = [];
+  let direction = 0;
+  let extreme = stats[0].luminance;
+  let low = extreme;
+  let high = extreme;
+
+  stats.forEach((stat, i) => {
+    const value = stat.luminance;
+    const time = samples[i].time;
+    if (direction === 0) {
+      low = Math.min(low, value);
+      high = Math.max(high, value);
+      if (high - value >= settings.flashDelta && value < settings.flashMaxDarker) {
+        transitions.push(time);
+        direction = -1;
+        extreme = value;
+      } else if (value - low >= settings.flashDelta && low < settings.flashMaxDarker) {
+        transitions.push(time);
+        direction = 1;
+        extreme = value;
+      }
+    } else if (direction === 1) {
+      if (value > extreme) {
+        extreme = value;
+      } else if (extreme - value >= settings.flashDelta && value < settings.flashMaxDarker) {
+        transitions.push(time);
+        direction = -1;
+        extreme = value;
+      }
+    } else if (value < extreme) {
+      extreme = value;
+    } else if (value - extreme >= settings.flashDelta && extreme < settings.flashMaxDarker) {
+      transitions.push(time);
+      direction = 1;
+      extreme = value;
+    }
+  });
+
+  // 一对相反的跳变为一次闪烁，窗口内跳变数超过上限的两倍即超标
+  const maxTransitions = settings.maxFlashesPerSecond * 2;
+  const ranges = [];
+  for (let i = 0; i < transitions.length; i++) {
+    let j = i;
+    while (j + 1 < transitions.length && transitions[j + 1] - transitions[i] < 1) j++;
+    const count = j - i + 1;
+    if (count <= maxTransitions) continue;
+
+    const range = { start: round(transitions[i]), end: round(transitions[j]), maxFlashes: Math.floor(count / 2) };
+    const last = ranges[ranges.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+      last.maxFlashes = Math.max(last.maxFlashes, range.maxFlashes);
+    } else {
+      ranges.push(range);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * 按采样间隔把加密采样切分为窗口，丢弃不足 2 个采样的窗口
+ */
+function splitWindows(samples, maxInterval) {
+  const windows = [];
+  let current = [];
+  samples.forEach((sample, i) => {
+    if (i > 0 && sample.time - samples[i - 1].time > maxInterval + 1e-6) {
+      windows.push(current);
+      current = [];
+    }
+    current.push(sample);
+  });
+  windows.push(current);
+  return windows.filter(window => window.length >= 2);
+}
+
+/**
+ * 时间段取整并标注位于视频开头、结尾还是中间
+ */
+function describeRange(range, startTime, endTime) {
+  const epsilon = 1e-6;
+  let position = 'middle';
+  if (range.start <= startTime + epsilon) position = 'start';
+  else if (range.end >= endTime - epsilon) position = 'end';
+  return { start: round(range.start), end: round(range.end), position };
+}
+
+function formatRange(range) {
+  return `${range.start}s - ${range.end}s`;
+}
@@ -0,0 +1,164 @@
+/**
+ * 帧时间戳分析
+ * 基于容器采样表（MP4 stts/ctts、WebM 块时间戳）检测掉帧、重复时间戳、帧间隔异常和可变帧率抖动
+ */
+
+// 默认阈值
+export const DEFAULT_TIMING_THRESHOLDS = {
+  dropRatio: 1.5,          // 帧间隔超过标称间隔的倍数，视为掉帧
+  irregularTolerance: 0.1, // 帧间隔偏离标称间隔的比例，超过则视为不规则
+  irregularRatio: 0.05,    // 不规则帧间隔占比超过该值时判定为卡顿
+  jitterThreshold: 0.1,    // 帧间隔变异系数超过该值时视为 VFR 抖动
+  maxEvents: 20,           // 每类事件最多返回的时间段数
+};
+
+// 时间比较精度（秒）
+const EPSILON = 1e-6;
+
+/**
+ * 分析帧时间戳
+ * @param {Array<number>} timestamps - 帧显示时间（秒），顺序不限
+ * @param {Object} [options] - 阈值，见 DEFAULT_TIMING_THRESHOLDS
+ * @returns {Object} 分析结果（标称帧间隔、各类事件时间段、抖动系数、是否卡顿）
+ */
+export function analyzeFrameTiming(timestamps, options = {}) {
+  const thresholds = { ...DEFAULT_TIMING_THRESHOLDS, ...options };
+  const result = {
+    frameCount: timestamps ? timestamps.length : 0,
+    nominalFrameDuration: null,
+    droppedFrames: [],
+    duplicateTimestamps: [],
+    irregularDurations: [],
+    jitter: 0,
+    isVariableFrameRate: false,
+    hasStutter: false,
+    details: [],
+  };
+
+  if (!timestamps || timestamps.length < 3) {
+    return result;
+  }
+
+  const sorted = [...timestamps].sort((a, b) => a - b);
+  const deltas = [];
+  for (let i = 1; i < sorted.length; i++) {
+    deltas.push(sorted[i] - sorted[i - 1]);
+  }
+
+  const positive = deltas.filter(delta => delta > EPSILON);
+  if (positive.length === 0) {
+    result.duplicateTimestamps.push({ start: sorted[0], end: sorted[sorted.length - 1], count: sorted.length });
+    result.hasStutter = true;
+    result.details.push('所有帧的时间戳相同，无法正常播放');
+    return result;
+  }
+
+  // 标称帧间隔取中位数，不受少量掉帧影响
+  const nominal = median(positive);
+  result.nominalFrameDuration = nominal;
+
+  let irregularCount = 0;
+  const regularDeltas = [];
+
+  for (let i = 0; i < deltas.length; i++) {
+    const delta = deltas[i];
+    const start = sorted[i];
+    const end = sorted[i + 1];
+
+    if (delta <= EPSILON) {
+      appendEvent(result.duplicateTimestamps, start, end, 1);
+    } else if (delta > nominal * thresholds.dropRatio) {
+      const missing = Math.max(1, Math.round(delta / nominal) - 1);
+      appendEvent(result.droppedFrames, start, end, missing);
+    } else {
+      regularDeltas.push(delta);
+      if (Math.abs(delta - nominal) > nominal * thresholds.irregularTolerance) {
+        irregularCount++;
+        appendEvent(result.irregularDurations, start, end, 1);
+      }
+    }
+  }
+
+  result.jitter = regularDeltas.length > 1 ? stdDev(regularDeltas) / nominal : 0;
+  result.isVariableFrameRate = result.jitter > thresholds.jitterThreshold;
+
+  const irregularShare = irregularCount / deltas.length;
+  result.hasStutter = result.droppedFrames.length > 0 ||
+    result.duplicateTimestamps.length > 0 ||
+    irregularShare > thresholds.irregularRatio ||
+    result.isVariableFrameRate;
+
+  describe(result, irregularShare, thresholds.maxEvents);
+
+  result.droppedFrames = result.droppedFrames.slice(0, thresholds.maxEvents).map(roundEvent);
+  result.duplicateTimestamps = result.duplicateTimestamps.slice(0, thresholds.maxEvents).map(roundEvent);
+  result.irregularDurations = result.irregularDurations.slice(0, thresholds.maxEvents).map(roundEvent);
+
+  return result;
+}
+
+/**
+ * 追加事件；与上一事件首尾相接时合并为一个时间段
+ */
+function appendEvent(events, start, end, count) {
+  const last = events[events.length - 1];
+  if (last && Math.abs(last.end - start) <= EPSILON) {
+    last.end = end;
+    last.count += count;
+    return;
+  }
+  events.push({ start, end, count });
+}
+
+/**
+ * 时间段精确到毫秒
+ */
+function roundEvent(event) {
+  return {
+    start: Math.round(event.start * 1000) / 1000,
+    end: Math.round(event.end * 1000) / 1000,
+    count: event.count,
+  };
+}
+
+/**
+ * 生成可读说明
+ */
+function describe(result, irregularShare, maxEvents) {
+  const format = (event) => `${event.start.toFixed(3)}s - ${event.end.toFixed(3)}s`;
+
+  if (result.droppedFrames.length > 0) {
+    const missing = result.droppedFrames.reduce((sum, event) => sum + event.count, 0);
+    result.details.push(
+      `检测到 ${result.droppedFrames.length} 处掉帧（约缺失 ${missing} 帧）: ` +
+      result.droppedFrames.slice(0, maxEvents).map(format).join(', ')
+    );
+  }
+  if (result.duplicateTimestamps.length > 0) {
+    result.details.push(
+      `检测到 ${result.duplicateTimestamps.length} 处重复时间戳: ` +
+      result.duplicateTimestamps.slice(0, maxEvents).map(event => `${event.start.toFixed(3)}s`).join(', ')
+    );
+  }
+  if (irregularShare > 0) {
+    result.details.push(
+      `${(irregularShare * 100).toFixed(1)}% 的帧间隔偏离标称值 ` +
+      `${(result.nominalFrameDuration * 1000).toFixed(2)}ms`
+    );
+  }
+  if (result.isVariableFrameRate) {
+    result.details.push(`帧间隔抖动系数 ${result.jitter.toFixed(3)}，存在可变帧率抖动`);
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function stdDev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return Math.sqrt(variance);
+}
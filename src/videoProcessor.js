@@ -1,66 +1,185 @@
 /**
  * 视频处理工具
  * 注意：Cloudflare Workers 环境限制，实际视频处理需要外部服务
+ * 视频数据通过字节源（byteSource.js）按范围读取，只读取文件头、容器元数据和采样位置
  */
 
+import { isISOBMFF, parseMP4 } from './mp4Parser.js';
+import { isEBML, parseWebM } from './webmParser.js';
+import { isAVI, isRIFF, getRIFFFormType, parseAVI } from './aviParser.js';
+import { analyzeFrameTiming } from './timingAnalyzer.js';
+import { analyzeGOP } from './gopAnalyzer.js';
+import { analyzeAudio } from './audioAnalyzer.js';
+import { analyzeColorCast } from './colorAnalyzer.js';
+import { analyzeBlockiness } from './blockinessAnalyzer.js';
+import { compareFrames } from './compareAnalyzer.js';
+import { analyzeSharpness } from './sharpnessAnalyzer.js';
+import { analyzePersonPresence } from './personAnalyzer.js';
+import { analyzeTemporal } from './temporalAnalyzer.js';
+import { detectSceneCuts, summarizeScenes } from './sceneAnalyzer.js';
+import { analyzeManifest } from './manifestAnalyzer.js';
+import { toByteSource, createCachedReader } from './byteSource.js';
+
+// 文件头检查读取的字节数
+const HEADER_SIZE = 20;
+
+// 每个数据采样读取的字节数
+const SAMPLE_SIZE = 100;
+
+// MPEG-TS 包大小和同步字节
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+
 /**
  * 分析视频元数据
+ * @param {Object|ArrayBuffer|Blob} input - 字节源（见 byteSource.js），也接受 ArrayBuffer / Blob
+ * @param {string} mimeType - MIME 类型
  */
-export async function analyzeVideoMetadata(videoBuffer, mimeType) {
+export async function analyzeVideoMetadata(input, mimeType) {
+  const source = toByteSource(input);
   const analysis = {
-    size: videoBuffer.byteLength,
+    size: source.size,
     mimeType: mimeType,
+    container: null,
     duration: null,
     resolution: null,
     frameRate: null,
     codec: null,
+    videoCodec: null,
+    audioCodec: null,
+    timescale: null,
+    trackCount: 0,
+    tracks: [],
+    containerErrors: [],
+    partialScan: null,
   };
 
   // 基础检测：检查文件头
-  const header = new Uint8Array(videoBuffer.slice(0, 12));
+  const header = await source.read(0, 12);
+  // 容器解析顺序读取大量 box / 元素头，按块缓存；远程字节源按 source.scan 限制每块大小和读取次数
+  const reader = createCachedReader(source, source.scan);
   
-  // MP4 检测
-  if (header[4] === 0x66 && header[5] === 0x74 && header[6] === 0x79 && header[7] === 0x70) {
-    analysis.codec = 'MP4';
+  // MP4/MOV 检测：解析 box 结构
+  if (isISOBMFF(header)) {
+    const mp4 = await parseMP4(reader);
+    // QuickTime 品牌为 "qt  "
+    analysis.container = mp4.brand === 'qt' ? 'MOV' : 'MP4';
+    applyContainerMetadata(analysis, mp4);
+  }
+  // AVI 检测：RIFF 表单类型必须为 "AVI "（排除 WAV 等 RIFF 文件）
+  else if (isAVI(header)) {
+    const avi = await parseAVI(reader);
+    analysis.container = 'AVI';
+    analysis.index = avi.index;
+    applyContainerMetadata(analysis, avi);
+    if (!analysis.frameRate) {
+      analysis.frameRate = avi.frameRate;
+    }
+  }
+  // WebM/MKV 检测：解析 EBML 结构
+  else if (isEBML(header)) {
+    const webm = await parseWebM(reader);
+    analysis.container = webm.docType === 'matroska' ? 'MKV' : 'WebM';
+    analysis.clusters = webm.clusters;
+    applyContainerMetadata(analysis, {
+      ...webm,
+      // 与 MP4 一致，timescale 表示每秒的时间单位数
+      timescale: 1e9 / webm.timecodeScale,
+    });
   }
-  // AVI 检测
-  else if (header[0] === 0x52 && header[1] === 0x49 && header[2] === 0x46 && header[3] === 0x46) {
-    analysis.codec = 'AVI';
+  // MPEG-TS（HLS 分片常用）：只识别格式，不解析节目流
+  else if (isMPEGTS(await source.read(0, TS_PACKET_SIZE * 2 + 1))) {
+    analysis.container = 'MPEG-TS';
+    analysis.codec = analysis.container;
   }
-  // WebM 检测
-  else if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
-    analysis.codec = 'WebM';
+
+  if (analysis.partialScan) {
+    analysis.partialScan.maxReads = reader.maxReads;
   }
 
   return analysis;
 }
 
+/**
+ * 连续三个 188 字节的包都以同步字节 0x47 开头
+ */
+function isMPEGTS(bytes) {
+  return bytes.length > TS_PACKET_SIZE * 2 &&
+    [0, TS_PACKET_SIZE, TS_PACKET_SIZE * 2].every(offset => bytes[offset] === TS_SYNC_BYTE);
+}
+
+/**
+ * 将容器解析结果（MP4/WebM/AVI）写入元数据
+ */
+function applyContainerMetadata(analysis, info) {
+  const videoTrack = info.tracks.find(track => track.type === 'video');
+  const audioTrack = info.tracks.find(track => track.type === 'audio');
+
+  analysis.duration = info.duration;
+  analysis.timescale = info.timescale || null;
+  analysis.trackCount = info.tracks.length;
+  analysis.tracks = info.tracks;
+  analysis.containerErrors = info.errors;
+  // 读取次数达到上限，媒体数据只扫描到 scannedBytes：时间戳、关键帧和索引校验只覆盖这一部分
+  if (info.scanStoppedAt !== null && info.scanStoppedAt !== undefined) {
+    analysis.partialScan = { scannedBytes: info.scanStoppedAt };
+  }
+
+  if (videoTrack) {
+    analysis.videoCodec = videoTrack.codec;
+    analysis.frameRate = videoTrack.frameRate;
+    if (videoTrack.width && videoTrack.height) {
+      analysis.resolution = { width: videoTrack.width, height: videoTrack.height };
+    }
+    if (!analysis.duration) {
+      analysis.duration = videoTrack.duration;
+    }
+  }
+  if (audioTrack) {
+    analysis.audioCodec = audioTrack.codec;
+  }
+
+  analysis.codec = analysis.videoCodec || analysis.audioCodec || analysis.container;
+}
+
 /**
  * 检测视频文件损坏
+ * @param {Object|ArrayBuffer|Blob} input - 字节源（见 byteSource.js），也接受 ArrayBuffer / Blob
+ * @param {Object} [metadata] - analyzeVideoMetadata 的结果，用于带出容器结构错误
  */
-export function detectCorruption(videoBuffer) {
+export async function detectCorruption(input, metadata = null) {
+  const source = toByteSource(input);
   const issues = [];
   
   // 检查文件完整性
-  if (videoBuffer.byteLength < 1024) {
+  if (source.size < 1024) {
     issues.push('文件过小，可能不完整');
     return { hasIssue: true, issues };
   }
 
   // 检查文件头
-  const header = new Uint8Array(videoBuffer.slice(0, 20));
+  const header = await source.read(0, HEADER_SIZE);
   let hasValidHeader = false;
 
-  // MP4
-  if (header[4] === 0x66 && header[5] === 0x74 && header[6] === 0x79 && header[7] === 0x70) {
+  // MP4/MOV
+  if (isISOBMFF(header)) {
     hasValidHeader = true;
   }
   // AVI
-  else if (header[0] === 0x52 && header[1] === 0x49 && header[2] === 0x46 && header[3] === 0x46) {
+  else if (isAVI(header)) {
     hasValidHeader = true;
   }
-  // WebM
-  else if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+  // 其他 RIFF 文件（WAV 等）
+  else if (isRIFF(header)) {
+    issues.push(`RIFF 文件类型为 "${getRIFFFormType(header)}"，不是 AVI 视频`);
+    return { hasIssue: true, issues };
+  }
+  // WebM/MKV
+  else if (isEBML(header)) {
+    hasValidHeader = true;
+  }
+  // MPEG-TS（由 analyzeVideoMetadata 识别）
+  else if (metadata && metadata.container === 'MPEG-TS') {
     hasValidHeader = true;
   }
 
@@ -68,22 +187,244 @@ export function detectCorruption(videoBuffer) {
     issues.push('文件头异常，可能已损坏');
   }
 
+  // 容器结构错误（box/元素/块截断、缺少 moov/Segment、未知大小元素、idx1 索引不一致等）
+  if (metadata && metadata.containerErrors) {
+    issues.push(...metadata.containerErrors.map(error => `容器结构异常：${error}`));
+  }
+
   return {
     hasIssue: issues.length > 0,
     issues,
   };
 }
 
+/**
+ * 基于帧时间戳检测卡顿
+ * @param {Object} metadata - analyzeVideoMetadata 的结果
+ * @returns {Object} 检测结果；timing 为 null 表示容器没有可用的帧时间戳
+ */
+export function detectStutter(metadata) {
+  const videoTrack = (metadata.tracks || []).find(track => track.type === 'video' && track.timestamps);
+
+  if (!videoTrack) {
+    return { hasIssue: false, issues: [], timing: null };
+  }
+
+  const timing = analyzeFrameTiming(videoTrack.timestamps);
+  return {
+    hasIssue: timing.hasStutter,
+    issues: timing.details,
+    timing,
+  };
+}
+
+/**
+ * 分析关键帧 / GOP 结构
+ * @param {Object} metadata - analyzeVideoMetadata 的结果
+ * @param {Object} [options] - 见 DEFAULT_GOP_OPTIONS
+ * @returns {Object} 检测结果；gop 为 null 表示容器没有可用的关键帧信息
+ */
+export function detectGOPIssues(metadata, options = {}) {
+  const videoTrack = (metadata.tracks || []).find(track =>
+    track.type === 'video' && track.timestamps && track.keyframes
+  );
+
+  if (!videoTrack) {
+    return { hasIssue: false, issues: [], gop: null };
+  }
+
+  const gop = analyzeGOP(videoTrack.timestamps, videoTrack.keyframes, options);
+  return {
+    hasIssue: gop.hasIssue,
+    issues: gop.details,
+    gop,
+  };
+}
+
+/**
+ * 检测音频问题（缺失音轨、音视频时长不一致、静音、削波）
+ * @param {Object} metadata - analyzeVideoMetadata 的结果
+ * @param {Object|null} clientAnalysis - 页面端 Web Audio 分析结果
+ * @param {Object} [options] - 见 DEFAULT_AUDIO_OPTIONS
+ * @returns {Object} 检测结果；容器无法识别时 audio 为 null
+ */
+export function detectAudioIssues(metadata, clientAnalysis = null, options = {}) {
+  if (!metadata.tracks || metadata.tracks.length === 0) {
+    return { hasIssue: false, issues: [], audio: null };
+  }
+
+  const audio = analyzeAudio(metadata.tracks, clientAnalysis, options);
+  return {
+    hasIssue: audio.hasIssue,
+    issues: audio.details,
+    audio,
+  };
+}
+
+/**
+ * 检测偏色（基于页面上传的帧像素）
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, data: RGBA }
+ * @param {Object} [options] - 见 DEFAULT_COLOR_OPTIONS
+ * @returns {Object} 检测结果；没有帧像素时 color 为 null
+ */
+export function detectColorShift(frames, options = {}) {
+  if (!frames || frames.length === 0) {
+    return { hasIssue: false, issues: [], color: null };
+  }
+
+  const color = analyzeColorCast(frames, options);
+  return {
+    hasIssue: color.hasColorShift,
+    issues: color.details,
+    color,
+  };
+}
+
+/**
+ * 块效应 / 花屏检测（基于页面上传的帧像素）
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale, data: RGBA }
+ * @param {Object} [options] - 见 DEFAULT_BLOCKINESS_OPTIONS
+ * @returns {Object} 检测结果；没有帧像素时 blockiness 为 null
+ */
+export function detectBlockArtifacts(frames, options = {}) {
+  if (!frames || frames.length === 0) {
+    return { hasIssue: false, issues: [], blockiness: null };
+  }
+
+  const blockiness = analyzeBlockiness(frames, options);
+  return {
+    hasIssue: blockiness.hasGlitch,
+    issues: blockiness.details,
+    blockiness,
+  };
+}
+
+/**
+ * 模糊 / 清晰度检测（基于页面上传的帧像素）
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale, data: RGBA }
+ * @param {Object} [options] - 见 DEFAULT_SHARPNESS_OPTIONS / SHARPNESS_PROFILES
+ * @returns {Object} 检测结果；没有帧像素时 sharpness 为 null
+ */
+export function detectBlur(frames, options = {}) {
+  if (!frames || frames.length === 0) {
+    return { hasIssue: false, issues: [], sharpness: null };
+  }
+
+  const sharpness = analyzeSharpness(frames, options);
+  return {
+    hasIssue: sharpness.hasBlur,
+    issues: sharpness.details,
+    sharpness,
+  };
+}
+
+/**
+ * 人物画面缺残检测：逐帧调用人物 / 人脸检测器，再判定主体缺失、截断和遮挡
+ * @param {Array<Object>} frames - 帧像素 { index, time, width, height, scale, data: RGBA, image? }
+ * @param {Object} detector - 检测器 { name, detect(frame) }，见 personDetector.js
+ * @param {Object} [options] - 见 DEFAULT_PERSON_OPTIONS
+ * @returns {Promise<Object>} 检测结果；没有帧像素时 person 为 null
+ */
+export async function detectMissingPerson(frames, detector, options = {}) {
+  if (!frames || frames.length === 0) {
+    return { hasIssue: false, issues: [], person: null };
+  }
+
+  const detections = await Promise.all(
+    frames.map(frame =>
+      detector.detect(frame).catch(error => {
+        console.warn(`帧 ${frame.index} 人物检测失败:`, error);
+        return null;
+      })
+    )
+  );
+
+  const person = analyzePersonPresence(frames, detections, options);
+  person.detector = detector.name;
+  return {
+    hasIssue: person.hasMissingPerson,
+    issues: person.details,
+    person,
+  };
+}
+
+/**
+ * 黑场 / 冻结帧 / 闪烁检测（基于页面采样的亮度时间轴）
+ * @param {Array<Object>} timeline - 采样 { time, luma: Uint8Array }
+ * @param {Object} [options] - 见 DEFAULT_TEMPORAL_OPTIONS
+ * @param {Array<Object>} [flashTimeline] - 亮度跳变附近的加密采样（时间轴间隔过大时用于闪烁检测）
+ * @returns {Object} 检测结果；没有时间轴时 temporal 为 null
+ */
+export function detectFrameAnomalies(timeline, options = {}, flashTimeline = []) {
+  if (!timeline || timeline.length < 2) {
+    return { hasIssue: false, issues: [], temporal: null };
+  }
+
+  const temporal = analyzeTemporal(timeline, options, flashTimeline);
+  return {
+    hasIssue: temporal.hasIssue,
+    issues: temporal.details,
+    temporal,
+  };
+}
+
+/**
+ * 场景切分与逐场景质量汇总（基于页面采样的亮度时间轴）
+ * @param {Array<Object>} timeline - 采样 { time, width, height, luma: Uint8Array }
+ * @param {Object} results - 逐帧检测结果 { color, blockiness, sharpness, temporal }
+ * @param {Object} [options] - 见 DEFAULT_SCENE_OPTIONS
+ * @returns {Object|null} 各场景的时间段、缩略图和问题标记；没有时间轴时为 null
+ */
+export function splitScenes(timeline, results, options = {}) {
+  if (!timeline || timeline.length === 0) {
+    return null;
+  }
+  return summarizeScenes(detectSceneCuts(timeline, options), results, options);
+}
+
+/**
+ * 与参考视频对比（PSNR / SSIM），帧像素均由页面在相同时间点提取
+ * @param {Array<Object>} referenceFrames - 参考视频帧像素
+ * @param {Array<Object>} distortedFrames - 待测视频帧像素
+ * @param {Object} [options] - 见 DEFAULT_COMPARE_OPTIONS
+ * @returns {Object} 检测结果；comparison.frameCount 为 0 表示没有可对齐的帧
+ */
+export function compareWithReference(referenceFrames, distortedFrames, options = {}) {
+  const comparison = compareFrames(referenceFrames, distortedFrames, options);
+  return {
+    hasIssue: comparison.hasQualityLoss,
+    issues: comparison.details,
+    comparison,
+  };
+}
+
+/**
+ * 审查自适应流清单（HLS / DASH）
+ * @param {Object} manifest - manifestLoader.js 读取的清单
+ * @param {Array<Object>} probes - 抽样分片的检测结果
+ * @param {Object} [options] - 见 DEFAULT_MANIFEST_OPTIONS
+ * @returns {Object} 检测结果；manifest 为各档位统计和问题列表
+ */
+export function detectManifestIssues(manifest, probes, options = {}) {
+  const audit = analyzeManifest(manifest, probes, options);
+  return {
+    hasIssue: audit.hasIssue,
+    issues: audit.details,
+    manifest: audit,
+  };
+}
+
 /**
  * 采样视频数据用于分析
+ * @param {Object|ArrayBuffer|Blob} input - 字节源（见 byteSource.js），也接受 ArrayBuffer / Blob
+ * @param {number} [sampleCount] - 采样数
  */
-export function sampleVideoData(videoBuffer, sampleCount = 10) {
+export async function sampleVideoData(input, sampleCount = 10) {
+  const source = toByteSource(input);
   const samples = [];
-  const chunkSize = Math.floor(videoBuffer.byteLength / sampleCount);
   
-  for (let i = 0; i < sampleCount; i++) {
-    const offset = i * chunkSize;
-    const chunk = new Uint8Array(videoBuffer.slice(offset, offset + 100));
+  for (const { offset, length } of planSampleRanges(source.size, sampleCount)) {
+    const chunk = await source.read(offset, length);
     
     // 计算数据特征
     let sum = 0;
@@ -109,3 +450,20 @@ export function sampleVideoData(videoBuffer, sampleCount = 10) {
   return samples;
 }
 
+/**
+ * 数据采样的位置：把文件等分为 sampleCount 段，读取每段开头的 SAMPLE_SIZE 字节
+ */
+function planSampleRanges(size, sampleCount) {
+  const chunkSize = Math.floor(size / sampleCount);
+  return Array.from({ length: sampleCount }, (_, i) => ({ offset: i * chunkSize, length: SAMPLE_SIZE }));
+}
+
+/**
+ * 只能顺序读取的数据流需要提前保留的范围：文件头和数据采样位置
+ * 容器解析会读到文件末尾，之后的文件头检查和数据采样从保留的数据中读取
+ * @param {number} size - 文件大小
+ * @param {number} [sampleCount] - 采样数，与 sampleVideoData 一致
+ */
+export function listRetainedRanges(size, sampleCount = 10) {
+  return [{ offset: 0, length: HEADER_SIZE }, ...planSampleRanges(size, sampleCount)];
+}
@@ -0,0 +1,93 @@
+/**
+ * 检测结果回调（webhook）
+ * 以 JSON POST 到回调地址，请求头附带 HMAC-SHA256 签名：
+ * - X-Webhook-Timestamp: 发送时的 Unix 时间戳（秒）
+ * - X-Webhook-Signature: sha256=<hex>，签名内容为 `${timestamp}.${body}`，接收方可据此校验来源并拒绝重放
+ * 这里只负责单次投递；网络错误、超时和 408 / 429 / 5xx 可以重试，由调用方按 webhookRetryDelay 安排下一次投递
+ * （任务回调由 Durable Object alarm 触发重试，见 jobObject.js），其他状态码视为接收方拒收
+ */
+
+import { RETRYABLE_STATUS } from './httpClient.js';
+
+// 默认参数
+export const DEFAULT_WEBHOOK_OPTIONS = {
+  maxRetries: 5,              // 最多重试次数（不含首次投递）
+  baseDelay: 30 * 1000,       // 指数退避的初始等待（毫秒）
+  maxDelay: 15 * 60 * 1000,   // 单次等待上限（毫秒）
+  timeout: 10000,             // 单次投递超时（毫秒）
+};
+
+/**
+ * 投递一次回调
+ * @param {string} url - 回调地址
+ * @param {Object} payload - 回调内容（JSON 序列化后发送）
+ * @param {string} secret - 签名密钥
+ * @param {Object} [options] - 见 DEFAULT_WEBHOOK_OPTIONS
+ * @returns {Promise<Object>} { sentAt, status, error, duration, retryable }；投递成功时 error 为 null
+ */
+export async function sendWebhook(url, payload, secret, options = {}) {
+  const settings = { ...DEFAULT_WEBHOOK_OPTIONS, ...options };
+  const body = JSON.stringify(payload);
+  const started = Date.now();
+  const timestamp = Math.floor(started / 1000);
+  const attempt = {
+    sentAt: new Date(started).toISOString(),
+    status: null,
+    error: null,
+    duration: null,
+    retryable: false,
+  };
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeout);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${await signPayload(`${timestamp}.${body}`, secret)}`,
+      },
+      body,
+      signal: controller.signal,
+    });
+    attempt.status = response.status;
+    await response.body?.cancel();
+    if (!response.ok) {
+      attempt.error = `回调地址返回 ${response.status}`;
+      attempt.retryable = RETRYABLE_STATUS.includes(response.status);
+    }
+  } catch (error) {
+    attempt.error = controller.signal.aborted ? `投递超时（${settings.timeout / 1000} 秒）` : error.message;
+    attempt.retryable = true;
+  } finally {
+    clearTimeout(timer);
+  }
+  attempt.duration = Date.now() - started;
+  return attempt;
+}
+
+/**
+ * 第 retry 次重试（从 0 开始）前的等待时间：指数退避，带抖动
+ */
+export function webhookRetryDelay(retry, options = {}) {
+  const settings = { ...DEFAULT_WEBHOOK_OPTIONS, ...options };
+  const backoff = settings.baseDelay * Math.pow(2, retry);
+  return Math.min(backoff / 2 + Math.random() * backoff / 2, settings.maxDelay);
+}
+
+/**
+ * HMAC-SHA256 签名，返回十六进制字符串
+ */
+export async function signPayload(message, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
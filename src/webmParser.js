@@ -0,0 +1,544 @@
+/**
+ * EBML/Matroska (WebM/MKV) 容器解析
+ * 顺序读取 Segment → Info/Tracks/Cluster，不构建完整元素树
+ * EBML 头、Info、Tracks 整体载入内存后解析；Cluster 只逐个读取子元素头和块头，跳过帧数据
+ */
+
+import { DEFAULT_SOURCE_OPTIONS, isScanExhausted, loadRegion, readView, rebase } from './byteSource.js';
+
+// 元素头最长 12 字节（ID 4 字节 + 大小 8 字节）
+const MAX_HEADER_SIZE = 12;
+
+// 块头最长 11 字节（轨道号 8 字节 + 相对时间戳 2 字节 + 标志位 1 字节）
+const MAX_BLOCK_HEADER_SIZE = 11;
+
+// 常用元素 ID（保留长度标记位）
+const IDS = {
+  EBML: 0x1A45DFA3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  SeekHead: 0x114D9B74,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  BlockGroup: 0xA0,
+  Block: 0xA1,
+  ReferenceBlock: 0xFB,
+  Cues: 0x1C53BB6B,
+  Chapters: 0x1043A770,
+  Tags: 0x1254C367,
+  Attachments: 0x1941A469,
+  Void: 0xEC,
+  CRC32: 0xBF,
+};
+
+// Segment 的直接子元素，用于确定未知大小元素的结束位置
+const SEGMENT_CHILDREN = new Set([
+  IDS.SeekHead, IDS.Info, IDS.Tracks, IDS.Cluster, IDS.Cues,
+  IDS.Chapters, IDS.Tags, IDS.Attachments,
+]);
+
+// TrackType 取值
+const TRACK_TYPES = {
+  1: 'video',
+  2: 'audio',
+  17: 'subtitle',
+  18: 'buttons',
+  33: 'control',
+};
+
+// 常见 CodecID 对应的名称
+export const CODEC_NAMES = {
+  V_VP8: 'VP8',
+  V_VP9: 'VP9',
+  V_AV1: 'AV1',
+  'V_MPEG4/ISO/AVC': 'H.264/AVC',
+  'V_MPEGH/ISO/HEVC': 'H.265/HEVC',
+  A_OPUS: 'Opus',
+  A_VORBIS: 'Vorbis',
+  A_AAC: 'AAC',
+  A_FLAC: 'FLAC',
+};
+
+/**
+ * 判断文件头是否为 EBML 格式
+ * @param {Uint8Array} header - 文件头（至少 4 字节）
+ */
+export function isEBML(header) {
+  return header.length >= 4 &&
+    header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3;
+}
+
+/**
+ * 解析 WebM/MKV 文件
+ * @param {Object} source - 字节源 { size, read(offset, length) }，见 byteSource.js
+ * @returns {Promise<Object>} 容器信息（DocType、时长、轨道、Cluster 时间戳、结构错误）；scanStoppedAt 为扫描达到读取上限时停止的偏移
+ */
+export async function parseWebM(source) {
+  const result = {
+    docType: null,
+    duration: null,
+    timecodeScale: 1000000,
+    muxingApp: null,
+    writingApp: null,
+    tracks: [],
+    clusters: [],
+    scanStoppedAt: null,
+    errors: [],
+  };
+
+  let offset = 0;
+  let hasSegment = false;
+
+  while (offset < source.size) {
+    const element = await readElementHeaderAt(source, offset, source.size, result.errors);
+    if (!element) break;
+
+    if (element.id === IDS.EBML) {
+      const view = await loadRegion(source, element.start, element.end, 'EBML 头', result.errors);
+      if (view) parseEbmlHeader(view, rebase(element), result);
+    } else if (element.id === IDS.Segment) {
+      hasSegment = true;
+      await parseSegment(source, element, result);
+    }
+
+    offset = element.end;
+  }
+
+  // 扫描提前停止时只有前一部分 Cluster 的块：不据此估算时长和帧率
+  const complete = result.scanStoppedAt === null;
+
+  if (!hasSegment) {
+    result.errors.push('缺少 Segment 元素，文件中没有媒体数据');
+  } else if (result.tracks.length === 0 && complete) {
+    result.errors.push('缺少 Tracks 元素，无法识别音视频轨道');
+  }
+
+  // Info 中没有 Duration 时，用最后一个 Cluster 的时间戳估算
+  if (result.duration === null && result.clusters.length > 0 && complete) {
+    result.duration = result.clusters[result.clusters.length - 1].timestamp;
+  }
+
+  // 没有 DefaultDuration 的视频轨道，用块数量估算帧率
+  result.tracks.forEach(track => {
+    if (track.type === 'video' && !track.frameRate && track.sampleCount && result.duration && complete) {
+      track.frameRate = Math.round((track.sampleCount / result.duration) * 100) / 100;
+    }
+    track.duration = (complete ? estimateTrackDuration(track) : null) ?? result.duration;
+    delete track.firstTimestamp;
+    delete track.lastTimestamp;
+    if (track.type !== 'video') {
+      track.timestamps = null;
+      track.keyframes = null;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 根据首尾块时间戳估算轨道时长（最后一块按平均块间隔计入）
+ */
+function estimateTrackDuration(track) {
+  if (track.sampleCount < 2 || track.firstTimestamp === undefined) return null;
+  const span = track.lastTimestamp - track.firstTimestamp;
+  return span + span / (track.sampleCount - 1);
+}
+
+/**
+ * 从字节源读取元素头，返回文件中的绝对偏移
+ * @param {Object} source - 字节源
+ * @param {number} offset - 元素起始偏移
+ * @param {number} parentEnd - 父元素结束偏移
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @returns {Promise<Object|null>} 元素信息；无法读取时返回 null
+ */
+async function readElementHeaderAt(source, offset, parentEnd, errors) {
+  const view = await readView(source, offset, Math.min(offset + MAX_HEADER_SIZE, parentEnd));
+  return toAbsolute(readElementHeader(view, 0, parentEnd - offset, errors, offset), offset);
+}
+
+/**
+ * 把相对 offset 读取的元素信息转换为文件中的绝对偏移
+ */
+function toAbsolute(element, offset) {
+  if (!element) return null;
+  return {
+    ...element,
+    start: offset + element.start,
+    dataStart: offset + element.dataStart,
+    end: offset + element.end,
+    base: 0,
+  };
+}
+
+/**
+ * 读取元素头（ID + 数据大小）
+ * @param {DataView} view - 数据视图
+ * @param {number} offset - 元素起始偏移
+ * @param {number} parentEnd - 父元素结束偏移
+ * @param {Array<string>} errors - 结构错误收集数组
+ * @param {number} [base] - 数据视图在文件中的起始偏移（用于错误信息）
+ * @returns {Object|null} 元素信息；无法读取时返回 null
+ */
+export function readElementHeader(view, offset, parentEnd, errors = [], base = 0) {
+  const id = readVint(view, offset, parentEnd, true);
+  if (!id) {
+    errors.push(`偏移 ${base + offset} 处的元素 ID 无效或被截断`);
+    return null;
+  }
+
+  const size = readVint(view, offset + id.length, parentEnd, false);
+  if (!size) {
+    errors.push(`元素 0x${id.value.toString(16).toUpperCase()} 的大小字段无效或被截断 (偏移 ${base + offset})`);
+    return null;
+  }
+
+  const dataStart = offset + id.length + size.length;
+  const name = elementName(id.value);
+
+  if (size.unknown) {
+    errors.push(`元素 ${name} 大小未知 (偏移 ${base + offset})，无法校验其完整性`);
+    return {
+      id: id.value,
+      name,
+      start: offset,
+      dataStart,
+      size: null,
+      end: parentEnd,
+      unknownSize: true,
+      truncated: false,
+      base,
+    };
+  }
+
+  const truncated = dataStart + size.value > parentEnd;
+  if (truncated) {
+    errors.push(`元素 ${name} 被截断：声明 ${size.value} 字节，实际仅剩 ${parentEnd - dataStart} 字节`);
+  }
+
+  return {
+    id: id.value,
+    name,
+    start: offset,
+    dataStart,
+    size: size.value,
+    end: Math.min(dataStart + size.value, parentEnd),
+    unknownSize: false,
+    truncated,
+    base,
+  };
+}
+
+/**
+ * 读取 EBML 变长整数
+ * @param {boolean} keepMarker - 元素 ID 保留长度标记位，数据大小则去除
+ */
+function readVint(view, offset, end, keepMarker) {
+  if (offset >= end) return null;
+
+  const first = view.getUint8(offset);
+  if (first === 0) return null;
+
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  // 元素 ID 最长 4 字节，数据大小最长 8 字节
+  if (length > (keepMarker ? 4 : 8) || offset + length > end) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    const byte = view.getUint8(offset + i);
+    value = value * 256 + byte;
+    allOnes = allOnes && byte === 0xFF;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * 解析 EBML 头：DocType
+ */
+function parseEbmlHeader(view, header, result) {
+  forEachChild(view, header, result.errors, (child) => {
+    if (child.id === IDS.DocType) {
+      result.docType = readString(view, child);
+    }
+  });
+}
+
+/**
+ * 顺序遍历 Segment 的子元素
+ */
+async function parseSegment(source, segment, result) {
+  let offset = segment.dataStart;
+
+  while (offset < segment.end) {
+    // 读取次数达到上限（远程文件逐个读取块头）：停止扫描，Info / Tracks 通常位于 Cluster 之前
+    if (result.scanStoppedAt === null && isScanExhausted(source)) {
+      result.scanStoppedAt = offset;
+    }
+    if (result.scanStoppedAt !== null) break;
+
+    const element = await readElementHeaderAt(source, offset, segment.end, result.errors);
+    if (!element) break;
+
+    if (element.id === IDS.Info) {
+      const view = await loadRegion(source, element.start, element.end, 'Info 元素', result.errors);
+      if (view) parseInfo(view, rebase(element), result);
+    } else if (element.id === IDS.Tracks) {
+      const view = await loadRegion(source, element.start, element.end, 'Tracks 元素', result.errors);
+      if (view) parseTracks(view, rebase(element), result);
+    } else if (element.id === IDS.Cluster) {
+      element.end = await parseCluster(source, element, result);
+    }
+
+    offset = element.end;
+  }
+}
+
+/**
+ * 解析 Info：TimecodeScale、Duration、封装工具
+ */
+function parseInfo(view, info, result) {
+  let rawDuration = null;
+
+  forEachChild(view, info, result.errors, (child) => {
+    if (child.id === IDS.TimecodeScale) {
+      result.timecodeScale = readUint(view, child);
+    } else if (child.id === IDS.Duration) {
+      rawDuration = readFloat(view, child);
+    } else if (child.id === IDS.MuxingApp) {
+      result.muxingApp = readString(view, child);
+    } else if (child.id === IDS.WritingApp) {
+      result.writingApp = readString(view, child);
+    }
+  });
+
+  if (rawDuration !== null) {
+    result.duration = (rawDuration * result.timecodeScale) / 1e9;
+  }
+}
+
+/**
+ * 解析 Tracks：每个 TrackEntry 的编码、尺寸、采样率
+ */
+function parseTracks(view, tracks, result) {
+  forEachChild(view, tracks, result.errors, (entry) => {
+    if (entry.id !== IDS.TrackEntry) return;
+
+    const track = {
+      id: null,
+      type: 'unknown',
+      codec: null,
+      codecName: null,
+      duration: null,
+      width: null,
+      height: null,
+      sampleCount: 0,
+      frameRate: null,
+      sampleRate: null,
+      channelCount: null,
+      timestamps: [],
+      keyframes: [],
+    };
+
+    forEachChild(view, entry, result.errors, (child) => {
+      if (child.id === IDS.TrackNumber) {
+        track.id = readUint(view, child);
+      } else if (child.id === IDS.TrackType) {
+        const type = readUint(view, child);
+        track.type = TRACK_TYPES[type] || `type-${type}`;
+      } else if (child.id === IDS.CodecID) {
+        track.codec = readString(view, child);
+        track.codecName = CODEC_NAMES[track.codec] || null;
+      } else if (child.id === IDS.DefaultDuration) {
+        // 单位为纳秒
+        const frameDuration = readUint(view, child);
+        if (frameDuration > 0) {
+          track.frameRate = Math.round((1e9 / frameDuration) * 100) / 100;
+        }
+      } else if (child.id === IDS.Video) {
+        forEachChild(view, child, result.errors, (field) => {
+          if (field.id === IDS.PixelWidth) track.width = readUint(view, field);
+          if (field.id === IDS.PixelHeight) track.height = readUint(view, field);
+        });
+      } else if (child.id === IDS.Audio) {
+        forEachChild(view, child, result.errors, (field) => {
+          if (field.id === IDS.SamplingFrequency) track.sampleRate = readFloat(view, field);
+          if (field.id === IDS.Channels) track.channelCount = readUint(view, field);
+        });
+      }
+    });
+
+    result.tracks.push(track);
+  });
+}
+
+/**
+ * 解析 Cluster：时间戳、块数量和视频块时间戳
+ * @returns {number} Cluster 的实际结束偏移（未知大小时以下一个 Segment 子元素为界）
+ */
+async function parseCluster(source, cluster, result) {
+  const entry = { offset: cluster.start, timestamp: null, blockCount: 0 };
+  let offset = cluster.dataStart;
+
+  while (offset < cluster.end) {
+    if (isScanExhausted(source)) {
+      result.scanStoppedAt = offset;
+      break;
+    }
+    const header = await readView(source, offset, Math.min(offset + MAX_HEADER_SIZE, cluster.end));
+
+    // 未知大小的 Cluster 遇到同级元素即结束
+    if (cluster.unknownSize) {
+      const next = readVint(header, 0, header.byteLength, true);
+      if (next && SEGMENT_CHILDREN.has(next.value)) break;
+    }
+
+    const child = toAbsolute(readElementHeader(header, 0, cluster.end - offset, result.errors, offset), offset);
+    if (!child) break;
+
+    if (child.id === IDS.Timecode) {
+      const view = await readView(source, child.start, child.end);
+      entry.timestamp = (readUint(view, rebase(child)) * result.timecodeScale) / 1e9;
+    } else if (child.id === IDS.SimpleBlock) {
+      await readBlockAt(source, child, entry.timestamp, null, result);
+      entry.blockCount++;
+    } else if (child.id === IDS.BlockGroup) {
+      // BlockGroup 没有 ReferenceBlock 时为关键帧
+      let block = null;
+      let hasReference = false;
+      let fieldOffset = child.dataStart;
+      while (fieldOffset < child.end) {
+        const field = await readElementHeaderAt(source, fieldOffset, child.end, result.errors);
+        if (!field) break;
+        if (field.id === IDS.Block) block = field;
+        if (field.id === IDS.ReferenceBlock) hasReference = true;
+        fieldOffset = field.end;
+      }
+      if (block) {
+        await readBlockAt(source, block, entry.timestamp, !hasReference, result);
+        entry.blockCount++;
+      }
+    }
+
+    offset = child.end;
+  }
+
+  if (entry.timestamp === null && result.scanStoppedAt === null) {
+    result.errors.push(`偏移 ${cluster.start} 处的 Cluster 缺少 Timecode`);
+  }
+  result.clusters.push(entry);
+
+  return Math.min(offset, cluster.end);
+}
+
+/**
+ * 从字节源读取块头（只读取块数据的开头，不读取帧数据）
+ */
+async function readBlockAt(source, block, clusterTimestamp, isKeyframe, result) {
+  const headerEnd = Math.min(block.dataStart + MAX_BLOCK_HEADER_SIZE, block.end);
+  const view = await readView(source, block.start, headerEnd);
+  readBlock(view, { ...rebase(block), end: headerEnd - block.start }, clusterTimestamp, isKeyframe, result);
+}
+
+/**
+ * 读取块头：统计所属轨道的采样数和时间范围，并记录视频块的时间戳和关键帧
+ * @param {number|null} clusterTimestamp - 所在 Cluster 的时间戳（秒）
+ * @param {boolean|null} isKeyframe - BlockGroup 的关键帧判断；SimpleBlock 传 null，从标志位读取
+ */
+function readBlock(view, block, clusterTimestamp, isKeyframe, result) {
+  const trackNumber = readVint(view, block.dataStart, block.end, false);
+  if (!trackNumber) return;
+  const track = result.tracks.find(t => t.id === trackNumber.value);
+  if (!track) return;
+
+  track.sampleCount++;
+
+  // 块头：轨道号 + 16 位有符号相对时间戳 + 标志位
+  const timecodeOffset = block.dataStart + trackNumber.length;
+  if (clusterTimestamp === null || timecodeOffset + 3 > block.end) return;
+
+  const time = clusterTimestamp + (view.getInt16(timecodeOffset) * result.timecodeScale) / 1e9;
+  track.firstTimestamp = Math.min(track.firstTimestamp ?? time, time);
+  track.lastTimestamp = Math.max(track.lastTimestamp ?? time, time);
+
+  // 时间戳最多记录 maxTimestamps 个，之后的块只计数
+  if (track.type === 'video' && track.timestamps.length < DEFAULT_SOURCE_OPTIONS.maxTimestamps) {
+    const keyframe = isKeyframe !== null ? isKeyframe : (view.getUint8(timecodeOffset + 2) & 0x80) !== 0;
+    if (keyframe) {
+      track.keyframes.push(track.timestamps.length);
+    }
+    track.timestamps.push(time);
+  }
+}
+
+/**
+ * 依次处理元素的直接子元素
+ */
+function forEachChild(view, parent, errors, callback) {
+  let offset = parent.dataStart;
+  while (offset < parent.end) {
+    const child = readElementHeader(view, offset, parent.end, errors, parent.base);
+    if (!child) break;
+    callback(child);
+    offset = child.end;
+  }
+}
+
+/**
+ * 读取无符号整数元素
+ */
+function readUint(view, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.end; i++) {
+    value = value * 256 + view.getUint8(i);
+  }
+  return value;
+}
+
+/**
+ * 读取浮点数元素（4 或 8 字节）
+ */
+function readFloat(view, element) {
+  const length = element.end - element.dataStart;
+  if (length === 4) return view.getFloat32(element.dataStart);
+  if (length === 8) return view.getFloat64(element.dataStart);
+  return null;
+}
+
+/**
+ * 读取 ASCII/UTF-8 字符串元素（去除尾部补零）
+ */
+function readString(view, element) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + element.dataStart, element.end - element.dataStart);
+  return new TextDecoder().decode(bytes).replace(/\0+$/, '');
+}
+
+/**
+ * 元素 ID 的可读名称
+ */
+function elementName(id) {
+  const name = Object.keys(IDS).find(key => IDS[key] === id);
+  return name || `0x${id.toString(16).toUpperCase()}`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Cloudflare Workers AI 检测：注入模拟的 env.AI.run，离线校验请求参数和结果换算
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectWithCloudflareAI, CLOUDFLARE_AI_MODELS } from '../src/aiDetector.js';
+import { resetHttpClients } from '../src/httpClient.js';
+
+// 第 i 帧的内容为 [0xFF, 0xD8, i]，模拟 AI 按第三个字节区分帧
+const frames = [0, 1, 2, 3].map(index => new Uint8Array([0xFF, 0xD8, index]));
+
+/**
+ * 模拟的 AI 绑定：记录每次调用，按模型和帧返回预设输出
+ */
+function createAI(respond) {
+  const calls = [];
+  return {
+    calls,
+    async run(model, input) {
+      calls.push({ model, input });
+      return respond(model, input.image[2]);
+    },
+  };
+}
+
+// 图像分类第 0、1 帧出现 glitch 标签；目标检测只有第 0、1 帧有人物；视觉语言模型都回答偏色
+function respond(model, frame) {
+  if (model === CLOUDFLARE_AI_MODELS.classification) {
+    return frame < 2
+      ? [{ label: 'digital glitch', score: 0.6 }, { label: 'television', score: 0.3 }]
+      : [{ label: 'television', score: 0.8 }];
+  }
+  if (model === CLOUDFLARE_AI_MODELS.detection) {
+    return frame < 2 ? [{ label: 'person', score: 0.9, box: {} }] : [{ label: 'chair', score: 0.9, box: {} }];
+  }
+  return { description: 'Answer: {"glitch": false, "colorShift": true, "blur": false}' };
+}
+
+beforeEach(() => {
+  resetHttpClients();
+});
+
+test('按任务构造请求：分类和目标检测逐帧调用，视觉语言模型最多 3 帧', async () => {
+  const AI = createAI(respond);
+  const metadata = { extractedFrames: [frames[0], frames[1].buffer, frames[2], frames[3]] };
+  await detectWithCloudflareAI([], metadata, { AI }, { expectPerson: true });
+
+  const byModel = model => AI.calls.filter(call => call.model === model);
+  assert.equal(AI.calls.length, 11);
+  assert.equal(byModel(CLOUDFLARE_AI_MODELS.classification).length, 4);
+  assert.equal(byModel(CLOUDFLARE_AI_MODELS.detection).length, 4);
+
+  // 图像以普通数组传入（ArrayBuffer 同样转换）
+  assert.deepEqual(byModel(CLOUDFLARE_AI_MODELS.classification).map(call => call.input), frames.map(frame => ({ image: [...frame] })));
+
+  const vision = byModel(CLOUDFLARE_AI_MODELS.vision);
+  assert.deepEqual(vision.map(call => call.input.image[2]), [0, 1, 2]);
+  vision.forEach(call => {
+    assert.equal(call.input.max_tokens, 64);
+    assert.match(call.input.prompt, /Answer only with JSON/);
+  });
+});
+
+test('按异常帧比例换算概率，每类问题取各任务的最高值', async () => {
+  const AI = createAI(respond);
+  const result = await detectWithCloudflareAI([], { extractedFrames: frames }, { AI }, { expectPerson: true });
+
+  // 2 / 4 帧异常：logistic((0.5 - 0.3) × 10)；视觉语言模型 3 / 3 帧偏色、0 / 3 帧花屏和模糊
+  assert.deepEqual(result.probabilities, {
+    glitch: 0.881,
+    corruption: 0.881,
+    missingPerson: 0.881,
+    colorShift: 0.999,
+    blur: 0.047,
+  });
+  assert.deepEqual(result.details, ['使用 Cloudflare AI 分析了 4 个视频帧（图像分类 4 帧，目标检测 4 帧，视觉语言模型 3 帧）']);
+});
+
+test('未要求画面中有人物时不调用目标检测；分类标签都没出现时花屏和乱码弃权', async () => {
+  const AI = createAI((model, frame) => model === CLOUDFLARE_AI_MODELS.classification
+    ? [{ label: 'television', score: 0.8 }]
+    : respond(model, frame));
+  const result = await detectWithCloudflareAI([], { extractedFrames: frames }, { AI });
+
+  assert.equal(AI.calls.some(call => call.model === CLOUDFLARE_AI_MODELS.detection), false);
+  assert.deepEqual(result.probabilities, { glitch: 0.047, colorShift: 0.999, blur: 0.047 });
+});
+
+test('无法解析的回答和失败的调用被跳过，全部失败时报错', async () => {
+  const partial = createAI((model, frame) => {
+    if (model === CLOUDFLARE_AI_MODELS.vision) return { description: 'The frame looks fine.' };
+    if (frame === 3) throw Object.assign(new Error('模型不可用'), { retryable: false });
+    return respond(model, frame);
+  });
+  const result = await detectWithCloudflareAI([], { extractedFrames: frames }, { AI: partial });
+  // 3 帧分类结果中 2 帧花屏；视觉语言模型没有可用回答，不给出偏色和模糊
+  assert.deepEqual(result.probabilities, { glitch: 0.975, corruption: 0.975 });
+
+  const failing = createAI(() => {
+    throw Object.assign(new Error('模型不可用'), { retryable: false });
+  });
+  await assert.rejects(
+    detectWithCloudflareAI([], { extractedFrames: frames }, { AI: failing }),
+    /7 次 Workers AI 调用全部失败或无法解析/
+  );
+});
+
+test('没有 AI 绑定时报错，没有帧时不调用模型', async () => {
+  await assert.rejects(detectWithCloudflareAI([], { extractedFrames: frames }, {}), /Cloudflare AI 未配置/);
+
+  const AI = createAI(respond);
+  const result = await detectWithCloudflareAI([], {}, { AI });
+  assert.equal(AI.calls.length, 0);
+  assert.deepEqual(result.probabilities, {});
+});
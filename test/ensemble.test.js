@@ -0,0 +1,86 @@
+/**
+ * 多检测器集成：判定为不存在或弃权的检测器不能抵消有把握的发现
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDetectorResults } from '../src/detectorRegistry.js';
+import { DEFAULT_DETECTOR_WEIGHTS } from '../src/ensemble.js';
+import { readModelConfig, mapModelOutput } from '../src/modelConfig.js';
+
+const detector = (name, supports) => ({ name, supports });
+
+function outcome(name, supports, probabilities) {
+  return { name, detector: detector(name, supports), result: { probabilities, details: [] } };
+}
+
+test('AI 后端的低概率不会抵消本地检测的花屏判定', () => {
+  const local = outcome('local', ['glitch', 'corruption'], { glitch: 0.9 });
+  const rules = outcome('rules', ['glitch', 'corruption'], { glitch: 0.018 });
+  const huggingface = outcome('huggingface', ['glitch', 'corruption'], { glitch: 0.047 });
+
+  const withoutAI = mergeDetectorResults([local, rules], DEFAULT_DETECTOR_WEIGHTS);
+  const withAI = mergeDetectorResults([local, rules, huggingface], DEFAULT_DETECTOR_WEIGHTS);
+
+  assert.equal(withoutAI.issues.glitch, true);
+  assert.equal(withAI.issues.glitch, true);
+  assert.equal(withAI.issueProbabilities.glitch, 0.9);
+  assert.deepEqual(withAI.issueSources.glitch, ['local']);
+});
+
+test('多个检测器都有发现时证据叠加，相对权重低的检测器证据打折', () => {
+  const merged = mergeDetectorResults([
+    outcome('local', ['glitch'], { glitch: 0.6 }),
+    outcome('rules', ['glitch'], { glitch: 0.8 }),
+  ], DEFAULT_DETECTOR_WEIGHTS);
+
+  // 证据 0.2 和 0.6 × 0.3 = 0.18：0.5 + 0.5 × (1 - 0.8 × 0.82)
+  assert.equal(merged.issueProbabilities.glitch, 0.672);
+  assert.equal(merged.issues.glitch, true);
+});
+
+test('都判定为不存在时按权重加权平均', () => {
+  const merged = mergeDetectorResults([
+    outcome('local', ['glitch'], { glitch: 0.1 }),
+    outcome('rules', ['glitch'], { glitch: 0.4 }),
+  ], DEFAULT_DETECTOR_WEIGHTS);
+
+  assert.equal(merged.issueProbabilities.glitch, 0.169);
+  assert.equal(merged.issues.glitch, false);
+  assert.equal(merged.issueConfidence.glitch, 0.831);
+});
+
+test('映射的标签没有出现在模型输出中时 Hugging Face 弃权', () => {
+  const config = readModelConfig();
+  const imagenet = [
+    { label: 'television, television system', score: 0.41 },
+    { label: 'screen, CRT screen', score: 0.22 },
+    { label: 'monitor', score: 0.08 },
+  ];
+  assert.deepEqual(mapModelOutput(imagenet, config), {});
+
+  const merged = mergeDetectorResults([
+    outcome('local', ['glitch', 'corruption'], { glitch: 0.9 }),
+    outcome('huggingface', ['glitch', 'corruption'], {}),
+  ], DEFAULT_DETECTOR_WEIGHTS);
+  assert.equal(merged.detectors[1].status, 'ok');
+  assert.deepEqual(merged.detectors[1].probabilities, {});
+  assert.equal(merged.issueProbabilities.glitch, 0.9);
+});
+
+test('标签出现但置信度不足时算作没有问题，absent 规则始终给出判定', () => {
+  const config = readModelConfig({
+    HF_LABEL_MAP: JSON.stringify([
+      { label: 'glitch', issue: 'glitch', minScore: 0.5 },
+      { label: 'person', issue: 'missingPerson', when: 'absent', minScore: 0.5 },
+    ]),
+  });
+
+  assert.deepEqual(mapModelOutput([{ label: 'glitch', score: 0.2 }], config, { expectPerson: true }), {
+    glitch: false,
+    missingPerson: true,
+  });
+  assert.deepEqual(mapModelOutput([{ label: 'glitch', score: 0.7 }, { label: 'person', score: 0.9 }], config), {
+    glitch: true,
+  });
+});